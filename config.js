@@ -1,7 +1,112 @@
 'use strict';
 
+const path = require('path');
+
 exports.PORT = process.env.PORT || 8080;
 
 exports.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/noteful-app';
 
-exports.TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost/noteful-app-test';
\ No newline at end of file
+exports.TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost/noteful-app-test';
+
+exports.JWT_SECRET = process.env.JWT_SECRET;
+
+exports.JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
+
+// Trashed notes, folders and tags are permanently removed after this many days
+exports.TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS || 30;
+
+// How often (in ms) the background purge looks for expired trash
+exports.TRASH_PURGE_INTERVAL = process.env.TRASH_PURGE_INTERVAL || 60 * 60 * 1000;
+
+// Largest archive or JSON export accepted by `POST /api/import`
+exports.IMPORT_SIZE_LIMIT = process.env.IMPORT_SIZE_LIMIT || '20mb';
+
+// Most entries, and most bytes once unpacked, an imported zip archive may
+// hold. Archives over either limit are rejected with a 413.
+exports.IMPORT_MAX_ENTRIES = Number(process.env.IMPORT_MAX_ENTRIES) || 10000;
+
+exports.IMPORT_MAX_UNZIPPED_SIZE = Number(process.env.IMPORT_MAX_UNZIPPED_SIZE) || 100 * 1024 * 1024;
+
+// How often (in ms) an idle event stream sends a comment to keep proxies
+// from closing it
+exports.EVENTS_HEARTBEAT_INTERVAL = process.env.EVENTS_HEARTBEAT_INTERVAL || 30 * 1000;
+
+// Reminder webhooks: comma separated URLs every due reminder is POSTed to,
+// how often (in ms) to look for due reminders, and how often and how long
+// (in ms, doubled after every failure) to retry a delivery
+exports.REMINDER_WEBHOOK_URLS = (process.env.REMINDER_WEBHOOK_URLS || '').split(',').filter(Boolean);
+
+exports.REMINDER_CHECK_INTERVAL = process.env.REMINDER_CHECK_INTERVAL || 60 * 1000;
+
+exports.REMINDER_MAX_ATTEMPTS = process.env.REMINDER_MAX_ATTEMPTS || 5;
+
+exports.REMINDER_RETRY_DELAY = process.env.REMINDER_RETRY_DELAY || 60 * 1000;
+
+// Outgoing webhooks: how often (in ms) to retry failed deliveries, how many
+// attempts to make and how long (in ms, doubled after every failure) to wait
+// before the first retry
+exports.WEBHOOK_RETRY_INTERVAL = process.env.WEBHOOK_RETRY_INTERVAL || 15 * 1000;
+
+exports.WEBHOOK_MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS || 8;
+
+exports.WEBHOOK_RETRY_DELAY = process.env.WEBHOOK_RETRY_DELAY || 30 * 1000;
+
+// Whether webhooks may point at loopback, private and link-local addresses.
+// Off, so users can't reach services inside the network, except when
+// testing against a local receiver.
+exports.WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : process.env.NODE_ENV === 'test';
+
+// Where attachments are stored: `local` writes them under
+// `STORAGE_LOCAL_ROOT`, `s3` to `S3_BUCKET` on any S3-compatible service
+exports.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+exports.STORAGE_LOCAL_ROOT = process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, 'uploads');
+
+exports.S3_ENDPOINT = process.env.S3_ENDPOINT || 'https://s3.amazonaws.com';
+
+exports.S3_REGION = process.env.S3_REGION || 'us-east-1';
+
+exports.S3_BUCKET = process.env.S3_BUCKET;
+
+exports.S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+
+exports.S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY;
+
+// Largest attachment accepted, in bytes
+exports.ATTACHMENT_SIZE_LIMIT = Number(process.env.ATTACHMENT_SIZE_LIMIT) || 10 * 1024 * 1024;
+
+// Comma separated MIME types attachments may have
+exports.ATTACHMENT_TYPES = (process.env.ATTACHMENT_TYPES ||
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown').split(',');
+
+// Rate limits, each `<requests>/<seconds>`: a bucket of `requests` tokens
+// that refills over `seconds`. `RATE_LIMIT_IP` covers every API request from
+// an IP and `RATE_LIMIT_AUTH` sign-ups and logins from an IP. Signed in users
+// get `RATE_LIMIT_READ` for GET requests and `RATE_LIMIT_WRITE` for the rest.
+exports.RATE_LIMIT_IP = process.env.RATE_LIMIT_IP || '600/60';
+
+exports.RATE_LIMIT_AUTH = process.env.RATE_LIMIT_AUTH || '10/60';
+
+exports.RATE_LIMIT_READ = process.env.RATE_LIMIT_READ || '300/60';
+
+exports.RATE_LIMIT_WRITE = process.env.RATE_LIMIT_WRITE || '60/60';
+
+// Which proxies to trust for the client's IP, that requests are counted by:
+// `true` for all, a number of hops such as `1` on Heroku, or a comma
+// separated list of addresses and subnets. Off by default, since trusting
+// `X-Forwarded-For` without a proxy in front lets clients pick their own IP.
+exports.TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY || 'false');
+
+function parseTrustProxy(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Where the buckets are kept: `memory` for a single process, or `none` to
+// turn rate limiting off, the default when testing
+exports.RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE ||
+  (process.env.NODE_ENV === 'test' ? 'none' : 'memory');
@@ -0,0 +1,28 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filename: { type: String, required: true },
+  mimetype: { type: String, required: true },
+  size: { type: Number, required: true },
+  // Where the storage adapter keeps the file, never sent to clients
+  key: { type: String, required: true }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+attachmentSchema.index({ noteId: 1 });
+
+attachmentSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.key;
+  }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,58 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// `delete` takes an item to the trash, `restore` brings it back and `purge`
+// removes it for good
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const RESOURCES = ['note', 'folder', 'tag'];
+
+const auditEventSchema = new mongoose.Schema({
+  // Who made the change, and whose item it changed: a collaborator's edit
+  // shows up in the owner's log
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ACTIONS, required: true },
+  resource: { type: String, enum: RESOURCES, required: true },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // The item before and after the change, null for creates, deletes and purges
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  ip: { type: String },
+  requestId: { type: String },
+  created: { type: Date, default: Date.now }
+});
+
+auditEventSchema.index({ ownerId: 1, created: -1 });
+auditEventSchema.index({ ownerId: 1, resource: 1, resourceId: 1, created: -1 });
+
+// The log is append-only: events can be added but never changed or removed
+function appendOnly(next) {
+  const err = new Error('Audit events cannot be changed');
+  next(err);
+}
+
+['update', 'updateOne', 'updateMany', 'findOneAndUpdate', 'remove', 'deleteOne', 'deleteMany', 'findOneAndRemove']
+  .forEach(hook => {
+    auditEventSchema.pre(hook, appendOnly);
+  });
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+auditEventSchema.statics.ACTIONS = ACTIONS;
+auditEventSchema.statics.RESOURCES = RESOURCES;
+
+auditEventSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  }
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
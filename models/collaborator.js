@@ -0,0 +1,39 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const ROLES = ['viewer', 'editor'];
+
+const collaboratorSchema = new mongoose.Schema({
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ROLES, required: true }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+// One grant per user and note
+collaboratorSchema.index({ noteId: 1, userId: 1 }, { unique: true });
+
+collaboratorSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  }
+});
+
+collaboratorSchema.statics.ROLES = ROLES;
+
+/**
+ * Resolve with true when `userId` holds `role` on the note. Editors can do
+ * everything viewers can.
+ */
+collaboratorSchema.statics.hasRole = function (noteId, userId, role) {
+  const roles = role === 'editor' ? ['editor'] : ROLES;
+  return this.count({ noteId, userId, role: { $in: roles } })
+    .then(count => count > 0);
+};
+
+module.exports = mongoose.model('Collaborator', collaboratorSchema);
@@ -2,16 +2,90 @@
 
 const mongoose = require('mongoose');
 
+const versioning = require('./versioning');
+const legacyIndexes = require('./legacy-indexes');
+
+const { ObjectId } = mongoose.Types;
+
 const folderSchema = new mongoose.Schema({
-  name: { type: String, unique: true }
+  name: { type: String, required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deletedAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+// Names only need to be unique among the sibling folders in a single user's
+// account, and items in the trash do not block reusing their name
+folderSchema.index({ name: 1, parentId: 1, userId: 1 }, {
+  unique: true,
+  partialFilterExpression: { deletedAt: { $type: 'null' } }
 });
 
+folderSchema.plugin(versioning);
+
+// Names used to be unique across every account
+folderSchema.plugin(legacyIndexes, { names: ['name_1'] });
+
 folderSchema.set('toObject', {
   transform: function (doc, ret) {
     ret.id = ret._id;
     delete ret._id;
-    delete ret.__v;
   }
 });
 
+/**
+ * Resolve with the ids of every folder below `id`, at any depth.
+ * `match` narrows which folders are followed, e.g. `{ deletedAt: null }`.
+ */
+folderSchema.statics.findDescendantIds = function (id, userId, match = {}) {
+  return this.aggregate([
+    { $match: { _id: ObjectId(id), userId: ObjectId(userId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentId',
+        as: 'descendants',
+        restrictSearchWithMatch: Object.assign({ userId: ObjectId(userId) }, match)
+      }
+    }
+  ])
+    .then(([result]) => result ? result.descendants.map(folder => folder._id) : []);
+};
+
+/**
+ * Resolve with the folders from the root down to and including `id`, or an
+ * empty array when the folder does not exist.
+ */
+folderSchema.statics.findAncestors = function (id, userId) {
+  return this.aggregate([
+    { $match: { _id: ObjectId(id), userId: ObjectId(userId), deletedAt: null } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parentId',
+        connectFromField: 'parentId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+        restrictSearchWithMatch: { userId: ObjectId(userId) }
+      }
+    }
+  ])
+    .then(([result]) => {
+      if (!result) {
+        return [];
+      }
+      const ancestors = result.ancestors.sort((a, b) => b.depth - a.depth);
+      return [...ancestors, result].map(folder => {
+        delete folder.depth;
+        delete folder.ancestors;
+        return this.hydrate(folder);
+      });
+    });
+};
+
 module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,25 @@
+'use strict';
+
+// MongoDB's codes for a missing index, and for a collection that doesn't
+// exist yet and so has no indexes at all
+const NOT_FOUND = [26, 27];
+
+/**
+ * Schema plugin that adds a `dropLegacyIndexes()` static, which drops the
+ * `names` indexes that older versions of the schema created. Mongoose only
+ * ever adds indexes, so without it a deployed database keeps enforcing
+ * rules the schema has since dropped. Dropping an index that is already
+ * gone is not an error.
+ */
+module.exports = function legacyIndexes(schema, { names }) {
+  schema.statics.dropLegacyIndexes = function () {
+    return Promise.all(names.map(name => {
+      return this.collection.dropIndex(name)
+        .catch(err => {
+          if (!NOT_FOUND.includes(err.code)) {
+            throw err;
+          }
+        });
+    }));
+  };
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const noteRevisionSchema = new mongoose.Schema({
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rev: { type: Number, required: true },
+  title: { type: String },
+  content: { type: String },
+  folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder' },
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  created: { type: Date, default: Date.now }
+});
+
+noteRevisionSchema.index({ noteId: 1, rev: 1 }, { unique: true });
+
+noteRevisionSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  }
+});
+
+function snapshot(note) {
+  return {
+    noteId: note._id,
+    userId: note.userId,
+    title: note.title,
+    content: note.content,
+    folderId: note.folderId,
+    tags: note.tags
+  };
+}
+
+// How many times `record` picks a new `rev` when a concurrent save took it
+const MAX_RECORD_ATTEMPTS = 5;
+
+function isDuplicate(err) {
+  return err.code === 11000;
+}
+
+/**
+ * Store the note's current state as the next revision, written by `authorId`.
+ * When saves of the same note race for a `rev`, the unique index lets only
+ * one have it and the others retry with the next one.
+ */
+noteRevisionSchema.statics.record = function (note, authorId) {
+  const attempt = remaining => {
+    return this.findOne({ noteId: note._id })
+      .sort('-rev')
+      .then(latest => {
+        const rev = latest ? latest.rev + 1 : 1;
+        return this.create(Object.assign(snapshot(note), { authorId, rev }));
+      })
+      .catch(err => {
+        if (isDuplicate(err) && remaining > 1) {
+          return attempt(remaining - 1);
+        }
+        throw err;
+      });
+  };
+  return attempt(MAX_RECORD_ATTEMPTS);
+};
+
+/**
+ * Notes created before revisions existed have no history. Store their
+ * current state as revision 1 so the first update does not lose it. If a
+ * concurrent save stored revision 1 first, the note already has one.
+ */
+noteRevisionSchema.statics.recordBaseline = function (note) {
+  return this.count({ noteId: note._id })
+    .then(count => {
+      if (count) {
+        return null;
+      }
+      return this.create(Object.assign(snapshot(note), {
+        authorId: note.userId,
+        rev: 1,
+        created: note.updated || note.created
+      }));
+    })
+    .catch(err => {
+      if (isDuplicate(err)) {
+        return null;
+      }
+      throw err;
+    });
+};
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
@@ -2,20 +2,156 @@
 
 const mongoose = require('mongoose');
 
+const versioning = require('./versioning');
+const Collaborator = require('./collaborator');
+const { parseLinks } = require('../utils/wiki-links');
+
+const FLAGS = ['pinned', 'archived', 'favorite'];
+
 const noteSchema = new mongoose.Schema({
   title: { type: String },
   content: { type: String },
-  created: { type: Date, default: Date.now },
   folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder' },
-  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }]
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  dueAt: { type: Date, default: null },
+  remindAt: { type: Date, default: null },
+  // When the reminder was sent, only used by the reminder scheduler
+  remindedAt: { type: Date, select: false },
+  // The keys of the notes its content links to, kept in step with `content`
+  links: { type: [String], select: false },
+  deletedAt: { type: Date, default: null },
+  // Flags are only stored while set, so notes that predate them sort and
+  // filter like any other unflagged note
+  pinned: { type: Boolean },
+  archived: { type: Boolean },
+  favorite: { type: Boolean }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
 });
 
+// Full-text search over both fields, with title matches ranked higher
+noteSchema.index({ title: 'text', content: 'text' }, { weights: { title: 5, content: 1 } });
+
+// For the `due` filter and the reminder scheduler
+noteSchema.index({ userId: 1, dueAt: 1 });
+noteSchema.index({ remindAt: 1 });
+
+// For backlinks
+noteSchema.index({ userId: 1, links: 1 });
+
+// Pinned notes are listed first
+noteSchema.index({ userId: 1, pinned: -1, created: 1 });
+
+noteSchema.plugin(versioning);
+
+// Moving the reminder to a time still to come sends it again
+noteSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate();
+  const remindAt = 'remindAt' in update ? update.remindAt : (update.$set || {}).remindAt;
+  if (remindAt && new Date(remindAt) > Date.now()) {
+    update.$unset = Object.assign({}, update.$unset, { remindedAt: '' });
+  }
+  next();
+});
+
+// Before validation rather than saving, as `insertMany` validates each note
+// but never saves it
+noteSchema.pre('validate', function (next) {
+  if (this.isModified('content')) {
+    this.links = parseLinks(this.content);
+  }
+  next();
+});
+
+// Updates that change the content also refresh its links
+noteSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate();
+  const $set = update.$set || {};
+  if ('content' in update || 'content' in $set || 'content' in (update.$unset || {})) {
+    const content = 'content' in update ? update.content : $set.content;
+    update.$set = Object.assign({}, update.$set, { links: parseLinks(content) });
+  }
+  next();
+});
+
+/**
+ * Parse the links of the matching notes saved before links were kept, which
+ * have none stored. Written to the collection directly: links change
+ * nothing clients can see, so they shouldn't bump the notes' versions.
+ */
+noteSchema.statics.backfillLinks = function (filter) {
+  return this.find(Object.assign({}, filter, { links: { $exists: false } })).select('content')
+    .then(notes => {
+      if (!notes.length) {
+        return;
+      }
+      return this.collection.bulkWrite(notes.map(note => ({
+        updateOne: {
+          filter: { _id: note._id, links: { $exists: false } },
+          update: { $set: { links: parseLinks(note.content) } }
+        }
+      })));
+    });
+};
+
 noteSchema.set('toObject', {
   transform: function (doc, ret) {
     ret.id = ret._id;
     delete ret._id;
-    delete ret.__v;
+    // Links are served by `GET /api/notes/:id/links`
+    delete ret.links;
+    FLAGS.forEach(flag => {
+      if (doc.isSelected(flag)) {
+        ret[flag] = ret[flag] === true;
+      }
+    });
   }
 });
 
+noteSchema.statics.FLAGS = FLAGS;
+
+/**
+ * Resolve with the live note when `userId` owns it or has been granted at
+ * least `role` on it, otherwise with null
+ */
+noteSchema.statics.findForUser = function (id, userId, role) {
+  return this.findOne({ _id: id, deletedAt: null })
+    .then(note => {
+      if (!note || note.userId.toString() === userId) {
+        return note;
+      }
+      return Collaborator.hasRole(id, userId, role)
+        .then(hasRole => (hasRole ? note : null));
+    });
+};
+
+/**
+ * Resolve with `[{ _id, count }]`: how many of the user's live notes are
+ * directly in each folder
+ */
+noteSchema.statics.countByFolder = function (userId) {
+  return this.aggregate([
+    { $match: { userId: mongoose.Types.ObjectId(userId), deletedAt: null, folderId: { $ne: null } } },
+    { $group: { _id: '$folderId', count: { $sum: 1 } } }
+  ]);
+};
+
+/**
+ * Resolve with `[{ _id, count }]`: how many of the user's live notes carry
+ * each tag, or only each of `tagIds` when given
+ */
+noteSchema.statics.countByTag = function (userId, tagIds) {
+  const only = tagIds ? [{ $match: { tags: { $in: tagIds } } }] : [];
+  return this.aggregate([
+    { $match: { userId: mongoose.Types.ObjectId(userId), deletedAt: null } },
+    ...only,
+    { $unwind: '$tags' },
+    ...only,
+    // A note listing a tag twice still counts once
+    { $group: { _id: { tag: '$tags', note: '$_id' } } },
+    { $group: { _id: '$_id.tag', count: { $sum: 1 } } }
+  ]);
+};
+
 module.exports = mongoose.model('Note', noteSchema);
@@ -0,0 +1,36 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'delivered', 'failed'];
+
+const reminderDeliverySchema = new mongoose.Schema({
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  url: { type: String, required: true },
+  // The body POSTed to `url`, fixed when the reminder fires
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: null },
+  lastStatus: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+reminderDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+reminderDeliverySchema.index({ userId: 1, created: -1 });
+
+reminderDeliverySchema.statics.STATUSES = STATUSES;
+
+reminderDeliverySchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  }
+});
+
+module.exports = mongoose.model('ReminderDelivery', reminderDeliverySchema);
@@ -0,0 +1,50 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// The lists of tag ids a search can hold
+const TAG_FIELDS = ['allTags', 'anyTags', 'noneTags'];
+
+// Every condition is optional, and a note must meet all that are set
+const savedSearchSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  searchTerm: { type: String, default: '' },
+  // Notes must carry every one of `allTags`, at least one of `anyTags` and
+  // none of `noneTags`
+  allTags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  anyTags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  noneTags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  // Notes in any of these folders, and their subfolders with `recursive`
+  folderIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Folder' }],
+  recursive: { type: Boolean, default: false },
+  // From the `After` date up to, not including, the `Before` one
+  createdAfter: { type: Date, default: null },
+  createdBefore: { type: Date, default: null },
+  updatedAfter: { type: Date, default: null },
+  updatedBefore: { type: Date, default: null },
+  dueAfter: { type: Date, default: null },
+  dueBefore: { type: Date, default: null },
+  // `true` only matches flagged notes and `false` unflagged ones. Archived
+  // notes are left out unless `archived` is `true`, and then only they match.
+  pinned: { type: Boolean, default: null },
+  favorite: { type: Boolean, default: null },
+  archived: { type: Boolean, default: false }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+// Names only need to be unique within a single user's account
+savedSearchSchema.index({ name: 1, userId: 1 }, { unique: true });
+
+savedSearchSchema.statics.TAG_FIELDS = TAG_FIELDS;
+
+savedSearchSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  }
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
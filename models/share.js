@@ -0,0 +1,54 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const shareSchema = new mongoose.Schema({
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  token: { type: String, required: true, unique: true },
+  password: { type: String, default: null },
+  expiresAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+shareSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    ret.hasPassword = !!ret.password;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.password;
+  }
+});
+
+shareSchema.methods.isExpired = function () {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+// Links without a password accept any (or no) password. Anything but a
+// string, such as the array a repeated form field parses to, is wrong.
+shareSchema.methods.validatePassword = function (password) {
+  if (!this.password) {
+    return Promise.resolve(true);
+  }
+  if (typeof password !== 'string') {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, this.password);
+};
+
+shareSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, 10);
+};
+
+// URL-safe and long enough that links cannot be guessed
+shareSchema.statics.generateToken = function () {
+  return crypto.randomBytes(24).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+};
+
+module.exports = mongoose.model('Share', shareSchema);
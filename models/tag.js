@@ -2,15 +2,35 @@
 
 const mongoose = require('mongoose');
 
+const versioning = require('./versioning');
+const legacyIndexes = require('./legacy-indexes');
+
 const tagSchema = new mongoose.Schema({
-  name: { type: String, unique: true }
+  name: { type: String, required: true },
+  // A `#rrggbb` color for the tag's chip
+  color: { type: String, default: null },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deletedAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+// Names only need to be unique within a single user's account, and items in
+// the trash do not block reusing their name
+tagSchema.index({ name: 1, userId: 1 }, {
+  unique: true,
+  partialFilterExpression: { deletedAt: { $type: 'null' } }
 });
 
+tagSchema.plugin(versioning);
+
+// Names used to be unique across every account
+tagSchema.plugin(legacyIndexes, { names: ['name_1'] });
+
 tagSchema.set('toObject', {
   transform: function (doc, ret) {
     ret.id = ret._id;
     delete ret._id;
-    delete ret.__v;
   }
 });
 
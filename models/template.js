@@ -0,0 +1,33 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const { findPrompts } = require('../utils/templates');
+
+const templateSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // The title and content of the notes made from it, with placeholders
+  title: { type: String, default: '' },
+  content: { type: String, default: '' },
+  // The folder and tags those notes start in
+  folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+// Names only need to be unique within a single user's account
+templateSchema.index({ name: 1, userId: 1 }, { unique: true });
+
+templateSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    // The values a note made from it needs, see `POST /api/notes`
+    ret.prompts = findPrompts(ret.title, ret.content);
+  }
+});
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -0,0 +1,20 @@
+'use strict';
+
+// Every update through a query bumps the version, so there is no write path
+// that can change a document without clients noticing
+function bumpVersion(next) {
+  const update = this.getUpdate();
+  update.$inc = Object.assign({}, update.$inc, { version: 1 });
+  next();
+}
+
+/**
+ * Schema plugin that exposes Mongoose's version key as `version` and
+ * increments it on every update. Routes use it for `ETag` and `If-Match`.
+ */
+module.exports = function versioning(schema) {
+  schema.set('versionKey', 'version');
+  ['findOneAndUpdate', 'update', 'updateOne', 'updateMany'].forEach(hook => {
+    schema.pre(hook, bumpVersion);
+  });
+};
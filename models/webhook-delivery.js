@@ -0,0 +1,36 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'delivered', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  // The body POSTed to the webhook, fixed when the change happens
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: null },
+  lastStatus: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, created: -1 });
+
+webhookDeliverySchema.statics.STATUSES = STATUSES;
+
+webhookDeliverySchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  }
+});
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
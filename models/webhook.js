@@ -0,0 +1,37 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// The events a webhook can subscribe to, the same ones `GET /api/events`
+// streams
+const EVENT_TYPES = [
+  'note.created', 'note.updated', 'note.deleted',
+  'folder.created', 'folder.updated', 'folder.deleted',
+  'tag.created', 'tag.updated', 'tag.deleted'
+];
+
+const webhookSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  url: { type: String, required: true },
+  // Signs every delivery, never sent back to clients
+  secret: { type: String, required: true },
+  events: [{ type: String, enum: EVENT_TYPES }],
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: { createdAt: 'created', updatedAt: 'updated' }
+});
+
+webhookSchema.index({ userId: 1, events: 1 });
+
+webhookSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+webhookSchema.set('toObject', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.secret;
+  }
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
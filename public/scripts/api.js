@@ -1,33 +1,62 @@
-/* global $ */
+/* global $ store */
 'use strict';
 
 const api = (function () {
+  const authHeaders = function() {
+    return store.authToken ? { Authorization: `Bearer ${store.authToken}` } : {};
+  };
   const search = function(path, query) {
     return $.ajax({
+      headers: authHeaders(),
       type: 'GET',
       url: path,
       dataType: 'json',
       data: query
     });
   };
+  // Like `search`, but also resolves the URL of the next page from the `Link` header
+  const searchPage = function(path, query) {
+    return $.ajax({
+      headers: authHeaders(),
+      type: 'GET',
+      url: path,
+      dataType: 'json',
+      data: query
+    }).then((items, status, xhr) => {
+      const link = xhr.getResponseHeader('Link') || '';
+      const match = link.match(/<([^>]+)>;\s*rel="next"/);
+      return { items, next: match ? match[1] : null };
+    });
+  };
   const details = function(path) {
     return $.ajax({
+      headers: authHeaders(),
       type: 'GET',
       dataType: 'json',
       url: path,
     });
   };
-  const update = function(path, obj) {
+  // Sends only the changed fields as a merge patch, where `null` removes a
+  // field. Pass the `version` you loaded to only update that version; the
+  // server responds with a 412 and its current copy when someone else got
+  // there first.
+  const update = function(path, changes, version) {
+    const headers = authHeaders();
+    if (version !== undefined) {
+      headers['If-Match'] = `"${version}"`;
+    }
     return $.ajax({
-      type: 'PUT',
+      headers,
+      type: 'PATCH',
       url: path,
-      contentType: 'application/json',
+      contentType: 'application/merge-patch+json',
       dataType: 'json',
-      data: JSON.stringify(obj)
+      data: JSON.stringify(changes)
     });
   };
   const create = function(path, obj) {
     return $.ajax({
+      headers: authHeaders(),
       type: 'POST',
       url: path,
       contentType: 'application/json',
@@ -38,14 +67,95 @@ const api = (function () {
   };
   const remove = function(path) {
     return $.ajax({
+      headers: authHeaders(),
       type: 'DELETE',
       dataType: 'json',
       url: path,
     });
   };
+  // Upload a file as the raw request body
+  const upload = function(path, file) {
+    return $.ajax({
+      headers: authHeaders(),
+      type: 'POST',
+      url: path,
+      contentType: file.type || 'application/zip',
+      dataType: 'json',
+      processData: false,
+      data: file
+    });
+  };
+  // Upload a file as a `multipart/form-data` form with a single `field`
+  const uploadForm = function(path, field, file) {
+    const form = new FormData();
+    form.append(field, file);
+    return $.ajax({
+      headers: authHeaders(),
+      type: 'POST',
+      url: path,
+      contentType: false,
+      dataType: 'json',
+      processData: false,
+      data: form
+    });
+  };
+  // jQuery can't hand back binary responses, so downloads use `fetch`
+  const download = function(path) {
+    return fetch(path, { headers: authHeaders() })
+      .then(response => {
+        if (!response.ok) {
+          return response.json().then(err => Promise.reject({ responseJSON: err }));
+        }
+        return response.blob();
+      });
+  };
+  // `EventSource` can't send the `Authorization` header, so server-sent
+  // events are read with `fetch`. Calls `onEvent({ type, data })` for each
+  // event and resolves when the server closes the stream.
+  const stream = function(path, onEvent) {
+    return fetch(path, { headers: Object.assign({ Accept: 'text/event-stream' }, authHeaders()) })
+      .then(response => {
+        if (!response.ok) {
+          return Promise.reject({ status: response.status });
+        }
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const read = () => reader.read().then(({ done, value }) => {
+          if (done) {
+            return;
+          }
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach(block => {
+            const event = { type: 'message', data: '' };
+            block.split('\n').forEach(line => {
+              if (line.startsWith('event: ')) {
+                event.type = line.slice(7);
+              } else if (line.startsWith('data: ')) {
+                event.data += line.slice(6);
+              }
+            });
+            // Blocks without data are comments such as the heartbeat
+            if (event.data) {
+              onEvent({ type: event.type, data: JSON.parse(event.data) });
+            }
+          });
+          return read();
+        });
+        return read();
+      });
+  };
   return {
     create,
+    upload,
+    uploadForm,
+    download,
+    stream,
     search,
+    searchPage,
     details,
     update,
     remove
@@ -3,32 +3,120 @@
 
 const noteful = (function () {
 
+  // Reconnect this long (in ms) after the event stream drops
+  const RECONNECT_DELAY = 5000;
+
+  // Chips of tags without a color of their own
+  const DEFAULT_TAG_COLOR = '#929fad';
+
+  // The sidebar views and what each one lists
+  const VIEWS = [
+    { view: 'all', label: 'All' },
+    { view: 'pinned', label: 'Pinned' },
+    { view: 'favorites', label: 'Favorites' },
+    { view: 'archive', label: 'Archive' }
+  ];
+
+  // The note last loaded into the editor
+  let editorNote = null;
+
   function render() {
+    $('.js-auth-section').toggle(!store.authorized);
+    $('.js-main').toggle(store.authorized);
+    if (!store.authorized) {
+      return;
+    }
+
+    // Pushed changes re-render while a note is open, so keep unsaved edits
+    // until a different note is loaded
+    const editForm = $('.js-note-edit-form');
+    const edits = store.currentNote === editorNote && {
+      title: editForm.find('.js-note-title-entry').val(),
+      content: editForm.find('.js-note-content-entry').val(),
+      folderId: editForm.find('.js-note-folder-entry').val(),
+      tags: editForm.find('.js-note-tags-entry').val(),
+      dueAt: editForm.find('.js-note-due-entry').val(),
+      remindAt: editForm.find('.js-note-remind-entry').val()
+    };
+    editorNote = store.currentNote;
+
+    // The dashboard takes the editor's place while it is open
+    $('.js-dashboard').html(generateDashboard(store.stats));
+    editForm.toggle(!store.stats);
+
     const notesList = generateNotesList(store.notes, store.currentNote);
     $('.js-notes-list').html(notesList);
 
+    const bulkForm = $('.js-bulk-form');
+    bulkForm.toggle(store.selectedNotes.length > 0);
+    bulkForm.find('.js-bulk-count').text(`${store.selectedNotes.length} selected`);
+    const bulkFolder = bulkForm.find('.js-bulk-folder');
+    const bulkTag = bulkForm.find('.js-bulk-tag');
+    const [selectedFolder, selectedTag] = [bulkFolder.val(), bulkTag.val()];
+    bulkFolder.html(generateFolderSelect(store.folders, 'No folder')).val(selectedFolder || '');
+    bulkTag.html(generateTagsSelect(store.tags));
+    if (selectedTag) {
+      bulkTag.val(selectedTag);
+    }
+    showBulkFields(bulkForm);
+
+    $('.js-views-list').html(generateViewsList(store.currentQuery));
+
     const folderList = generateFolderList(store.folders, store.currentQuery);
     $('.js-folders-list').html(folderList);
 
+    $('.js-saved-searches-list').html(generateSavedSearchList(store.savedSearches, store.currentQuery));
+
     const folderSelect = generateFolderSelect(store.folders);
     $('.js-note-folder-entry').html(folderSelect);
 
+    const parentSelect = $('.js-new-folder-parent');
+    const selectedParent = parentSelect.val();
+    parentSelect.html(generateFolderSelect(store.folders, 'Top level')).val(selectedParent || '');
+
     const tagsList = generateTagsList(store.tags, store.currentQuery);
     $('.js-tags-list').html(tagsList);
 
+    const templateSelect = $('.js-new-note-template');
+    const selectedTemplate = templateSelect.val();
+    templateSelect.html(generateTemplateSelect(store.templates)).val(selectedTemplate || '');
+
     const tagsSelect = generateTagsSelect(store.tags);
     $('.js-note-tags-entry').html(tagsSelect);
 
-    const editForm = $('.js-note-edit-form');
-    editForm.find('.js-note-title-entry').val(store.currentNote.title);
-    editForm.find('.js-note-content-entry').val(store.currentNote.content);
-    editForm.find('.js-note-folder-entry').val(store.currentNote.folderId);
+    const trashList = generateTrashList(store.trash);
+    $('.js-trash-list').html(trashList);
 
-    editForm.find('.js-note-tags-entry').val(() => {
-      if (store.currentNote.tags) {
-        return store.currentNote.tags.map(tag => tag.id);
-      }
-    });
+    const values = edits || {
+      title: store.currentNote.title,
+      content: store.currentNote.content,
+      folderId: store.currentNote.folderId,
+      tags: store.currentNote.tags ? store.currentNote.tags.map(tag => tag.id) : [],
+      dueAt: toDateInput(store.currentNote.dueAt),
+      remindAt: toDateInput(store.currentNote.remindAt)
+    };
+    editForm.find('.js-note-title-entry').val(values.title);
+    editForm.find('.js-note-content-entry').val(values.content);
+    if (!edits) {
+      showEditor(editForm);
+    }
+    editForm.find('.js-note-folder-entry').val(values.folderId);
+    editForm.find('.js-note-tags-entry').val(values.tags);
+    editForm.find('.js-note-due-entry').val(values.dueAt);
+    editForm.find('.js-note-remind-entry').val(values.remindAt);
+
+    // Collaborators can only edit the text of a note they don't own
+    const isOwner = !store.currentNote.id || store.currentNote.userId === store.currentUserId;
+    editForm.find('.js-note-folder-entry, .js-note-tags-entry, .js-note-dates').toggle(isOwner);
+
+    editForm.find('.js-note-history-button').toggle(!!store.currentNote.id && isOwner);
+    $('.js-note-attachments').html(generateAttachments(store.attachments, store.currentNote));
+    $('.js-note-conflict').html(generateConflict(store.conflict, store.currentNote));
+    $('.js-note-history').html(generateHistory(store.revisions, store.currentDiff, store.currentNote));
+
+    editForm.find('.js-note-share-button').toggle(!!store.currentNote.id && isOwner);
+    $('.js-note-sharing').html(generateSharing(store.sharing, store.currentNote));
+    $('.js-shared-toggle').toggleClass('active', !!store.currentQuery.shared);
   }
 
   /**
@@ -37,34 +125,240 @@ const noteful = (function () {
   function generateNotesList(list, currNote) {
     const listItems = list.map(item => `
       <li data-id="${item.id}" class="js-note-element ${currNote.id === item.id ? 'active' : ''}">
-        <a href="#" class="name js-note-link">${item.title}</a>
+        <input type="checkbox" class="js-note-select" ${store.selectedNotes.includes(item.id) ? 'checked' : ''}>
+        <a href="#" class="name js-note-link">${escapeHtml(item.title)}</a>
+        ${generateDueBadge(item.dueAt)}
+        ${generateNoteFlags(item)}
         <button class="removeBtn js-note-delete-button">X</button>
         <div class="metadata">
             <div class="date">${moment(item.created).calendar()}</div>
-            <div class="tags">${getTagsCommaSeparated(item.tags)}</div>
+            <div class="tags">${generateTagChips(item.tags)}</div>
           </div>
+        ${generateSnippets(item.snippets)}
       </li>`);
     return listItems.join('');
   }
 
+  // Only the owner can flag a note
+  function generateNoteFlags(note) {
+    if (note.userId !== store.currentUserId) {
+      return '';
+    }
+    const flag = (name, label, title) => `
+      <button class="flagBtn js-note-flag ${note[name] ? 'active' : ''}" data-flag="${name}" title="${title}">${label}</button>`;
+    return `<span class="note-flags">
+      ${flag('pinned', 'pin', note.pinned ? 'unpin' : 'pin to the top')}
+      ${flag('favorite', '&#9733;', note.favorite ? 'remove from favorites' : 'add to favorites')}
+      ${flag('archived', 'arch', note.archived ? 'unarchive' : 'archive')}
+    </span>`;
+  }
+
+  function generateDueBadge(dueAt) {
+    if (!dueAt) {
+      return '';
+    }
+    const due = moment(dueAt);
+    const status = due.isBefore() ? 'overdue' : due.isSame(moment(), 'day') ? 'today' : 'upcoming';
+    return `<span class="due-badge due-${status}" title="due ${due.format('LLL')}">${due.calendar()}</span>`;
+  }
+
+  function generateSnippets(snippets) {
+    if (!snippets || !snippets.length) {
+      return '';
+    }
+    const items = snippets.map(snippet => `
+      <div class="snippet snippet-${snippet.field}">${highlightSnippet(snippet)}</div>`);
+    return `<div class="snippets">${items.join('')}</div>`;
+  }
+
+  function generateHistory(revisions, diff, currNote) {
+    // Hide history that was loaded for a note which is no longer open
+    if (!revisions || !revisions.length || revisions[0].noteId !== currNote.id) {
+      return '';
+    }
+    const listItems = revisions.map(item => `
+      <li data-rev="${item.rev}" class="js-revision-item ${diff && diff.to === item.rev ? 'active' : ''}">
+        <a href="#" class="name js-revision-link">#${item.rev} ${escapeHtml(item.title)}</a>
+        <span class="date">${moment(item.created).calendar()}</span>
+        <button class="js-revision-restore">restore</button>
+      </li>`);
+    return `
+      <header>
+        <h3>History</h3>
+        <button class="js-note-history-close">close</button>
+      </header>
+      <ul class="revisions">${listItems.join('')}</ul>
+      ${diff ? generateDiff(diff) : ''}`;
+  }
+
+  function generateDashboard(stats) {
+    if (!stats) {
+      return '';
+    }
+    const most = Math.max(1, ...stats.createdPerDay.map(day => day.count));
+    const bars = stats.createdPerDay.map(day => `
+      <div class="bar" style="height: ${Math.round(day.count / most * 100)}%" title="${day.date}: ${day.count}"></div>`);
+    const folders = stats.folders.map(item => `
+      <li><span class="name">${escapeHtml(item.name)}</span><span class="note-count">${item.noteCount}</span></li>`);
+    const tags = stats.tags.map(item => `
+      <li>${generateTagChip(item)}<span class="note-count">${item.noteCount}</span></li>`);
+    const recent = stats.recentlyEdited.map(item => `
+      <li data-id="${item.id}">
+        <a href="#" class="name js-dashboard-note">${escapeHtml(item.title)}</a>
+        <span class="date">${moment(item.updated).calendar()}</span>
+      </li>`);
+    return `
+      <header>
+        <h3>Dashboard</h3>
+        <button class="js-dashboard-close">close</button>
+      </header>
+      <ul class="totals">
+        <li><strong>${stats.notes}</strong> notes</li>
+        <li><strong>${stats.unfiled}</strong> unfiled</li>
+        <li><strong>${stats.untagged}</strong> untagged</li>
+      </ul>
+      <h4>Created in the last ${stats.createdPerDay.length} days</h4>
+      <div class="chart">${bars.join('')}</div>
+      <h4>Recently edited</h4>
+      <ul class="recent">${recent.join('')}</ul>
+      <h4>Folders</h4>
+      <ul class="counts">${folders.join('')}</ul>
+      <h4>Tags</h4>
+      <ul class="counts">${tags.join('')}</ul>`;
+  }
+
+  function generateDiff(diff) {
+    const lines = diff.changes.map(change => change.lines.map(line => {
+      const prefix = change.type === 'added' ? '+' : change.type === 'removed' ? '-' : ' ';
+      return `<div class="diff-${change.type}">${prefix} ${escapeHtml(line)}</div>`;
+    }).join(''));
+    return `<div class="diff"><h3>#${diff.from} &rarr; #${diff.to}</h3>${lines.join('')}</div>`;
+  }
+
+  function generateConflict(conflict, currNote) {
+    if (!conflict || conflict.theirs.id !== currNote.id) {
+      return '';
+    }
+    return `
+      <header>
+        <h3>This note was changed since you opened it</h3>
+      </header>
+      <p>The saved version is titled <strong>${escapeHtml(conflict.theirs.title)}</strong>:</p>
+      <pre>${escapeHtml(conflict.theirs.content || '')}</pre>
+      <button class="js-conflict-merge">merge</button>
+      <button class="js-conflict-overwrite">overwrite with mine</button>
+      <button class="js-conflict-discard">discard mine</button>`;
+  }
+
+  function generateAttachments(attachments, currNote) {
+    if (!currNote.id) {
+      return '';
+    }
+    const items = attachments && attachments.noteId === currNote.id ? attachments.items : [];
+    const files = items.map(item => `
+      <li data-id="${item.id}" class="js-attachment-item">
+        <a href="#" class="name js-attachment-download">${escapeHtml(item.filename)}</a>
+        <span class="size">${formatSize(item.size)}</span>
+        <button class="js-attachment-remove">remove</button>
+      </li>`);
+    return `
+      <h3>Attachments</h3>
+      <ul class="attachments">${files.join('')}</ul>
+      <input type="file" class="js-attachment-file" title="attach a file">`;
+  }
+
+  function generateSharing(sharing, currNote) {
+    if (!sharing || sharing.noteId !== currNote.id) {
+      return '';
+    }
+    const links = sharing.shares.map(item => `
+      <li data-id="${item.id}" class="js-share-item">
+        <input type="text" readonly value="${escapeHtml(item.url)}">
+        <span class="date">${item.expiresAt ? `expires ${moment(item.expiresAt).calendar()}` : 'never expires'}</span>
+        ${item.hasPassword ? '<span>password</span>' : ''}
+        <button class="js-share-revoke">revoke</button>
+      </li>`);
+    const people = sharing.collaborators.map(item => `
+      <li data-id="${item.userId.id}" class="js-collaborator-item">
+        <span class="name">${escapeHtml(item.userId.username)}</span>
+        <span>${item.role}</span>
+        <button class="js-collaborator-remove">remove</button>
+      </li>`);
+    return `
+      <header>
+        <h3>Sharing</h3>
+        <button class="js-note-sharing-close">close</button>
+      </header>
+      <h4>Public links</h4>
+      <ul class="shares">${links.join('')}</ul>
+      <form class="js-share-form">
+        <input type="datetime-local" name="expiresAt" class="js-share-expires" title="expires (optional)">
+        <input type="password" name="password" class="js-share-password" placeholder="password (optional)">
+        <button type="submit">create link</button>
+      </form>
+      <h4>Collaborators</h4>
+      <ul class="collaborators">${people.join('')}</ul>
+      <form class="js-collaborator-form">
+        <input type="text" name="username" class="js-collaborator-username" required placeholder="username">
+        <select name="role" class="js-collaborator-role">
+          <option value="viewer">viewer</option>
+          <option value="editor">editor</option>
+        </select>
+        <button type="submit">add</button>
+      </form>`;
+  }
+
+  function generateViewsList(currQuery) {
+    return VIEWS.map(({ view, label }) => `
+      <li data-view="${view}" class="js-view-item ${currQuery.view === view ? 'active' : ''}">
+        <a href="#" class="name js-view-link">${label}</a>
+      </li>`).join('');
+  }
+
   function generateFolderList(list, currQuery) {
     const showAllItem = `
       <li data-id="" class="js-folder-item ${!currQuery.folderId ? 'active' : ''}">
         <a href="#" class="name js-folder-link">All</a>
       </li>`;
 
-    const listItems = list.map(item => `
+    const generateBranch = nodes => nodes.map(item => {
+      const collapsed = store.collapsedFolders[item.id];
+      const toggle = item.children.length
+        ? `<button class="toggleBtn js-folder-toggle">${collapsed ? '+' : '-'}</button>`
+        : '<span class="toggleBtn"></span>';
+      const children = item.children.length && !collapsed
+        ? `<ul class="subfolders">${generateBranch(item.children).join('')}</ul>`
+        : '';
+      return `
       <li data-id="${item.id}" class="js-folder-item ${currQuery.folderId === item.id ? 'active' : ''}">
+        ${toggle}
         <a href="#" class="name js-folder-link">${item.name}</a>
+        <span class="note-count" title="notes">${item.noteCount}</span>
         <button class="removeBtn js-folder-delete">X</button>
-      </li>`);
+        ${children}
+      </li>`;
+    });
 
-    return [showAllItem, ...listItems].join('');
+    return [showAllItem, ...generateBranch(buildFolderTree(list))].join('');
   }
 
-  function generateFolderSelect(list) {
-    const notes = list.map(item => `<option value="${item.id}">${item.name}</option>`);
-    return '<option value="">Select Folder:</option>' + notes.join('');
+  function generateSavedSearchList(list, currQuery) {
+    return list.map(item => `
+      <li data-id="${item.id}" class="js-saved-search-item ${currQuery.savedSearchId === item.id ? 'active' : ''}">
+        <a href="#" class="name js-saved-search-link">${escapeHtml(item.name)}</a>
+        <button class="removeBtn js-saved-search-delete">X</button>
+      </li>`).join('');
+  }
+
+  function generateFolderSelect(list, emptyLabel = 'Select Folder:') {
+    const options = [];
+    const addOptions = (nodes, depth) => nodes.forEach(item => {
+      const indent = '&nbsp;&nbsp;'.repeat(depth);
+      options.push(`<option value="${item.id}">${indent}${escapeHtml(item.name)}</option>`);
+      addOptions(item.children, depth + 1);
+    });
+    addOptions(buildFolderTree(list), 0);
+    return `<option value="">${emptyLabel}</option>` + options.join('');
   }
 
   function generateTagsList(list, currQuery) {
@@ -75,12 +369,35 @@ const noteful = (function () {
 
     const listItems = list.map(item => `
       <li data-id="${item.id}" class="js-tag-item ${currQuery.tagId === item.id ? 'active' : ''}">
-        <a href="#" class="name js-tag-link">${item.name}</a>
+        <a href="#" class="name js-tag-link">${generateTagChip(item)}</a>
+        <span class="note-count" title="notes">${item.noteCount}</span>
+        <input type="color" class="tag-color js-tag-color" value="${item.color || DEFAULT_TAG_COLOR}" title="tag color">
         <button class="removeBtn js-tag-delete">X</button>
       </li>`);
     return [showAllItem, ...listItems].join('');
   }
 
+  function generateTemplateSelect(list) {
+    const options = list.map(item => `<option value="${item.id}">${escapeHtml(item.name)}</option>`);
+    return '<option value="">blank note</option>' + options.join('');
+  }
+
+  function generateTrashList(trash) {
+    const toItem = (type, id, name) => `
+      <li data-type="${type}" data-id="${id}" class="js-trash-item">
+        <span class="name">${escapeHtml(name)}</span>
+        <button class="js-trash-restore">restore</button>
+        <button class="removeBtn js-trash-purge" title="delete forever">X</button>
+      </li>`;
+
+    const listItems = [
+      ...trash.folders.map(item => toItem('folders', item.id, `folder: ${item.name}`)),
+      ...trash.tags.map(item => toItem('tags', item.id, `tag: ${item.name}`)),
+      ...trash.notes.map(item => toItem('notes', item.id, item.title))
+    ];
+    return listItems.length ? listItems.join('') : '<li class="empty">Trash is empty</li>';
+  }
+
   function generateTagsSelect(list) {
     const notes = list.map(item => `<option value="${item.id}">${item.name}</option>`);
     return notes.join('');
@@ -104,13 +421,155 @@ const noteful = (function () {
     return id;
   }
 
-  function getTagsCommaSeparated(tags) {
-    return tags ? tags.map(tag => tag.name).join(', ') : '';
+  // Nest the flat folder list under each folder's `parentId`
+  function buildFolderTree(list) {
+    const nodes = {};
+    list.forEach(item => {
+      nodes[item.id] = Object.assign({}, item, { children: [] });
+    });
+    const roots = [];
+    list.forEach(item => {
+      const parent = item.parentId && nodes[item.parentId];
+      (parent ? parent.children : roots).push(nodes[item.id]);
+    });
+    return roots;
+  }
+
+  function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+      bytes /= 1024;
+      unit++;
+    }
+    return `${unit ? bytes.toFixed(1) : bytes} ${units[unit]}`;
+  }
+
+  // `datetime-local` inputs take local time without a zone
+  function toDateInput(date) {
+    return date ? moment(date).format('YYYY-MM-DDTHH:mm') : '';
+  }
+
+  function fromDateInput(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  // Safe inside attribute values as well as text
+  function escapeHtml(str) {
+    return $('<div>').text(str).html()
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function highlightSnippet(snippet) {
+    let html = '';
+    let pos = 0;
+    snippet.highlights.forEach(({ start, end }) => {
+      html += escapeHtml(snippet.text.slice(pos, start));
+      html += `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+      pos = end;
+    });
+    return html + escapeHtml(snippet.text.slice(pos));
+  }
+
+  // The editor expects populated tags, but `PUT` responses and the form
+  // only have ids
+  function withTagObjects(note) {
+    const tags = (note.tags || []).map(tag => (typeof tag === 'string' ? { id: tag } : tag));
+    return Object.assign({}, note, { tags });
+  }
+
+  // Three-way merge of your edits with the copy saved since you loaded the
+  // note: whichever side changed a field wins. Content changed on both sides
+  // gets git-style conflict markers to resolve before saving again.
+  function mergeConflict({ base, mine, theirs }) {
+    const tagIds = note => (note.tags || []).map(tag => tag.id || tag).sort().join();
+    const time = field => note => (note[field] ? new Date(note[field]).getTime() : null);
+    const pick = (field, normalize = note => note[field]) => {
+      return normalize(mine) === normalize(base) ? theirs[field] : mine[field];
+    };
+
+    const merged = {
+      title: pick('title'),
+      content: pick('content', note => note.content || '')
+    };
+    const [baseContent, mineContent, theirsContent] = [base, mine, theirs].map(note => note.content || '');
+    if (mineContent !== baseContent && theirsContent !== baseContent && mineContent !== theirsContent) {
+      merged.content = `<<<<<<< yours\n${mineContent}\n=======\n${theirsContent}\n>>>>>>> saved\n`;
+    }
+    // Collaborators don't send folders, tags and dates, so theirs stand
+    if ('folderId' in mine) {
+      merged.folderId = pick('folderId', note => note.folderId || null);
+      merged.tags = pick('tags', tagIds);
+      merged.dueAt = pick('dueAt', time('dueAt'));
+      merged.remindAt = pick('remindAt', time('remindAt'));
+    }
+    return withTagObjects(Object.assign({}, theirs, merged));
+  }
+
+  function generateTagChip(tag) {
+    // The server only accepts `#rrggbb` colors, but never put anything else in a style
+    const color = /^#[0-9a-f]{6}$/i.test(tag.color) ? tag.color : DEFAULT_TAG_COLOR;
+    return `<span class="tag-chip" style="--tag-color: ${color}">${escapeHtml(tag.name)}</span>`;
+  }
+
+  function generateTagChips(tags) {
+    return tags ? tags.map(generateTagChip).join('') : '';
   }
 
   /**
    * NOTES EVENT LISTENERS AND HANDLERS
    */
+  // Favorites and saved searches have their own endpoints, the other views
+  // are filters
+  function fetchNotes() {
+    const { savedSearchId, limit } = store.currentQuery;
+    if (savedSearchId) {
+      return api.searchPage(`/api/saved-searches/${savedSearchId}/notes`, { limit })
+        .then(({ items, next }) => {
+          store.notes = items;
+          store.nextNotesUrl = next;
+        });
+    }
+
+    const query = Object.assign({}, store.currentQuery);
+    const path = query.view === 'favorites' ? '/api/notes/favorites' : '/api/notes';
+    if (query.view === 'pinned') {
+      query.pinned = true;
+    } else if (query.view === 'archive') {
+      query.archived = 'only';
+    }
+    delete query.view;
+
+    return api.searchPage(path, query)
+      .then(({ items, next }) => {
+        store.notes = items;
+        store.nextNotesUrl = next;
+      });
+  }
+
+  function handleNotesListScroll() {
+    $('.js-notes-list').on('scroll', event => {
+      const list = event.currentTarget;
+      const nearBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 50;
+
+      if (!nearBottom || !store.nextNotesUrl || store.loadingNotes) {
+        return;
+      }
+
+      store.loadingNotes = true;
+      api.searchPage(store.nextNotesUrl)
+        .then(({ items, next }) => {
+          store.notes = [...store.notes, ...items];
+          store.nextNotesUrl = next;
+          store.loadingNotes = false;
+          render();
+        }, () => {
+          store.loadingNotes = false;
+        });
+    });
+  }
+
   function handleNoteItemClick() {
     $('.js-notes-list').on('click', '.js-note-link', event => {
       event.preventDefault();
@@ -120,7 +579,35 @@ const noteful = (function () {
       api.details(`/api/notes/${noteId}`)
         .then((response) => {
           store.currentNote = response;
+          store.attachments = { noteId, items: response.attachments };
+          store.conflict = null;
+          render();
+        });
+    });
+  }
+
+  // Flags don't go through the editor, so it only picks up the new version
+  // when nothing else changed the note in the meantime
+  function handleNoteFlagClick() {
+    $('.js-notes-list').on('click', '.js-note-flag', event => {
+      event.preventDefault();
+
+      const noteId = getNoteIdFromElement(event.currentTarget);
+      const flag = $(event.currentTarget).data('flag');
+
+      api.create(`/api/notes/${noteId}/toggle/${flag}`, {})
+        .then(result => {
+          const note = store.currentNote;
+          if (note.id === noteId && result.version === note.version + 1) {
+            Object.assign(note, { [flag]: result[flag], version: result.version });
+          }
+          return fetchNotes();
+        })
+        .then(() => {
           render();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
         });
     });
   }
@@ -130,58 +617,164 @@ const noteful = (function () {
       event.preventDefault();
 
       store.currentQuery.searchTerm = $(event.currentTarget).find('input').val();
+      delete store.currentQuery.savedSearchId;
 
-      api.search('/api/notes', store.currentQuery)
-        .then(response => {
-          store.notes = response;
+      fetchNotes()
+        .then(() => {
           render();
         });
     });
   }
 
 
+  function readNoteForm() {
+    const editForm = $('.js-note-edit-form');
+    const noteObj = {
+      id: store.currentNote.id,
+      title: editForm.find('.js-note-title-entry').val(),
+      content: editForm.find('.js-note-content-entry').val()
+    };
+
+    // Folders, tags and dates belong to the owner of the note
+    if (!noteObj.id || store.currentNote.userId === store.currentUserId) {
+      noteObj.folderId = editForm.find('.js-note-folder-entry').val();
+      noteObj.tags = editForm.find('.js-note-tags-entry').val();
+      noteObj.dueAt = fromDateInput(editForm.find('.js-note-due-entry').val());
+      noteObj.remindAt = fromDateInput(editForm.find('.js-note-remind-entry').val());
+    }
+    return noteObj;
+  }
+
   function handleNoteFormSubmit() {
     $('.js-note-edit-form').on('submit', function (event) {
       event.preventDefault();
 
-      const editForm = $(event.currentTarget);
-      const noteObj = {
-        id: store.currentNote.id,
-        title: editForm.find('.js-note-title-entry').val(),
-        content: editForm.find('.js-note-content-entry').val(),
-        folderId: editForm.find('.js-note-folder-entry').val(),
-        tags: editForm.find('.js-note-tags-entry').val()
-      };
+      const noteObj = readNoteForm();
 
       if (store.currentNote.id) {
-        api.update(`/api/notes/${noteObj.id}`, noteObj)
-          .then(updateResponse => {
-            store.currentNote = updateResponse;
-            return api.search('/api/notes', store.currentQuery);
-          })
-          .then(response => {
-            store.notes = response;
-            render();
-          });
+        // After a conflict the editor shows more than the saved copy, which
+        // is kept as `saved`
+        saveNote(noteObj, store.currentNote.saved || store.currentNote);
       } else {
         api.create('/api/notes', noteObj)
           .then(createResponse => {
             store.currentNote = createResponse;
-            return api.search('/api/notes', store.currentQuery);
+            return fetchNotes();
           })
-          .then(response => {
-            store.notes = response;
+          .then(() => {
             render();
           });
       }
     });
   }
 
+  // The fields of the form that differ from `note`, for a merge patch. An
+  // empty folder or date is sent as `null`, which removes it.
+  function changedFields(noteObj, note) {
+    const time = value => (value ? new Date(value).getTime() : null);
+    const normalize = {
+      title: value => value || '',
+      content: value => value || '',
+      folderId: value => value || null,
+      tags: value => (value || []).map(tag => tag.id || tag).sort().join(),
+      dueAt: time,
+      remindAt: time
+    };
+    const changes = {};
+    Object.keys(normalize)
+      .filter(field => field in noteObj)
+      .forEach(field => {
+        if (normalize[field](noteObj[field]) !== normalize[field](note[field])) {
+          changes[field] = field === 'folderId' ? noteObj.folderId || null : noteObj[field];
+        }
+      });
+    return changes;
+  }
+
+  // Patch the fields changed since `base` was loaded, with `If-Match` so a
+  // note changed elsewhere in the meantime isn't silently overwritten. A 412
+  // opens the conflict dialog instead.
+  function saveNote(noteObj, base) {
+    return api.update(`/api/notes/${noteObj.id}`, changedFields(noteObj, base), base.version)
+      .then(updateResponse => {
+        store.currentNote = withTagObjects(updateResponse);
+        store.conflict = null;
+        return fetchNotes();
+      })
+      .then(() => {
+        $('.js-error-message').text('');
+        render();
+      })
+      .catch(err => {
+        if (err.status !== 412) {
+          return $('.js-error-message').text(err.responseJSON.message);
+        }
+        store.conflict = { base, mine: noteObj, theirs: err.responseJSON.current };
+        // Keep showing your edits while the dialog is open
+        store.currentNote = withTagObjects(Object.assign({}, base, noteObj, { saved: base }));
+        render();
+      });
+  }
+
+  function handleNoteConflictClick() {
+    $('.js-note-conflict').on('click', '.js-conflict-merge', event => {
+      event.preventDefault();
+      const conflict = Object.assign({}, store.conflict, { mine: readNoteForm() });
+      store.currentNote = Object.assign(mergeConflict(conflict), { saved: conflict.theirs });
+      store.conflict = null;
+      render();
+    });
+
+    $('.js-note-conflict').on('click', '.js-conflict-overwrite', event => {
+      event.preventDefault();
+      // Patching against their copy changes every field that differs from mine
+      saveNote(readNoteForm(), store.conflict.theirs);
+    });
+
+    $('.js-note-conflict').on('click', '.js-conflict-discard', event => {
+      event.preventDefault();
+      api.details(`/api/notes/${store.currentNote.id}`)
+        .then(response => {
+          store.currentNote = response;
+          store.conflict = null;
+          render();
+        });
+    });
+  }
+
+  // A blank note opens in the editor, a note from a template is created
+  // right away after asking for the values of its prompts
   function handleNoteStartNewSubmit() {
     $('.js-start-new-note-form').on('submit', event => {
       event.preventDefault();
-      store.currentNote = {};
-      render();
+      const templateId = $(event.currentTarget).find('.js-new-note-template').val();
+      const template = store.templates.find(item => item.id === templateId);
+
+      if (!template) {
+        store.currentNote = {};
+        return render();
+      }
+
+      const variables = {};
+      for (const name of template.prompts) {
+        const value = window.prompt(name);
+        if (value === null) {
+          return;
+        }
+        variables[name] = value;
+      }
+
+      api.create(`/api/notes?fromTemplate=${template.id}`, { variables })
+        .then(createResponse => {
+          store.currentNote = createResponse;
+          return fetchNotes();
+        })
+        .then(() => {
+          render();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
     });
   }
 
@@ -195,160 +788,909 @@ const noteful = (function () {
           if (noteId === store.currentNote.id) {
             store.currentNote = {};
           }
-          return api.search('/api/notes', store.currentQuery);
+          return Promise.all([fetchNotes(), fetchTrash()]);
         })
-        .then(response => {
-          store.notes = response;
+        .then(() => {
           render();
         });
     });
   }
 
   /**
-   * FOLDERS EVENT LISTENERS AND HANDLERS
+   * BULK ACTION EVENT LISTENERS AND HANDLERS
    */
-  function handleFolderClick() {
-    $('.js-folders-list').on('click', '.js-folder-link', event => {
-      event.preventDefault();
+  function showBulkFields(bulkForm) {
+    const op = bulkForm.find('.js-bulk-op').val();
+    bulkForm.find('.js-bulk-folder').toggle(op === 'move');
+    bulkForm.find('.js-bulk-tag').toggle(op === 'addTags' || op === 'removeTags');
+  }
 
-      const folderId = getFolderIdFromElement(event.currentTarget);
-      store.currentQuery.folderId = folderId;
-      if (folderId !== store.currentNote.folderId) {
-        store.currentNote = {};
+  function handleNoteSelectChange() {
+    $('.js-notes-list').on('change', '.js-note-select', event => {
+      const noteId = getNoteIdFromElement(event.currentTarget);
+      const selected = store.selectedNotes.filter(id => id !== noteId);
+      if (event.currentTarget.checked) {
+        selected.push(noteId);
       }
-
-      console.log('Get notes by folderId, coming soon...');
-      api.search('/api/notes', store.currentQuery)
-        .then(response => {
-          store.notes = response;
-          render();
-        });
+      store.selectedNotes = selected;
+      render();
     });
   }
 
-  function handleNewFolderSubmit() {
-    $('.js-new-folder-form').on('submit', event => {
-      event.preventDefault();
-
-      const newFolderName = $('.js-new-folder-entry').val();
+  function handleBulkOpChange() {
+    $('.js-bulk-op').on('change', event => {
+      showBulkFields($(event.currentTarget).closest('.js-bulk-form'));
+    });
+  }
 
-      console.log('Create a folder, coming soon...');
-      api.create('/api/folders', { name: newFolderName })
-        .then(() => {
-          $('.js-new-folder-entry').val();
-          return api.search('/api/folders');
-        }).then(response => {
-          store.folders = response;
-          render();
-        }).catch(err => {
-          $('.js-error-message').text(err.responseJSON.message);
-        });
+  function handleBulkClearClick() {
+    $('.js-bulk-clear').on('click', () => {
+      store.selectedNotes = [];
+      render();
     });
   }
 
-  function handleFolderDeleteClick() {
-    $('.js-folders-list').on('click', '.js-folder-delete', event => {
+  function handleBulkSubmit() {
+    $('.js-bulk-form').on('submit', event => {
       event.preventDefault();
-      const folderId = getFolderIdFromElement(event.currentTarget);
 
-      if (folderId === store.currentQuery.folderId) {
-        store.currentQuery.folderId = null;
+      const bulkForm = $(event.currentTarget);
+      const op = bulkForm.find('.js-bulk-op').val();
+      const body = { op, ids: store.selectedNotes };
+
+      if (op === 'move') {
+        body.folderId = bulkForm.find('.js-bulk-folder').val() || null;
       }
-      if (folderId === store.currentNote.folderId) {
-        store.currentNote = {};
+      if (op === 'addTags' || op === 'removeTags') {
+        body.tags = [bulkForm.find('.js-bulk-tag').val()];
       }
 
-      console.log('Delete a folder, coming soon...');
-      api.remove(`/api/folders/${folderId}`)
+      api.create('/api/notes/bulk', body)
         .then(() => {
-          return api.search('/api/folders');
+          if (op === 'delete' && store.selectedNotes.includes(store.currentNote.id)) {
+            store.currentNote = {};
+          }
+          store.selectedNotes = [];
+          $('.js-error-message').text('');
+          return Promise.all([fetchNotes(), fetchTrash()]);
         })
-        .then(response => {
-          store.folders = response;
+        .then(() => {
           render();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
         });
     });
   }
 
   /**
-   * TAGS EVENT LISTENERS AND HANDLERS
+   * MARKDOWN PREVIEW EVENT LISTENERS AND HANDLERS
    */
-  function handleTagClick() {
-    $('.js-tags-list').on('click', '.js-tag-link', event => {
-      event.preventDefault();
+  function showEditor(editForm) {
+    editForm.find('.js-note-content-entry').show();
+    editForm.find('.js-note-preview').hide().empty();
+    editForm.find('.js-editor-edit').addClass('active');
+    editForm.find('.js-editor-preview').removeClass('active');
+  }
 
-      const tagId = getTagIdFromElement(event.currentTarget);
-      store.currentQuery.tagId = tagId;
+  // Previews are rendered by the server so they are sanitized exactly like
+  // `?format=html`. This does not call render() to keep unsaved edits.
+  function handleEditorModeClick() {
+    const editForm = $('.js-note-edit-form');
 
-      store.currentNote = {};
+    editForm.on('click', '.js-editor-edit', event => {
+      event.preventDefault();
+      showEditor(editForm);
+    });
 
-      api.search('/api/notes', store.currentQuery)
+    editForm.on('click', '.js-editor-preview', event => {
+      event.preventDefault();
+      const content = editForm.find('.js-note-content-entry').val();
+
+      api.create('/api/notes/preview', { content })
         .then(response => {
-          store.notes = response;
-          render();
+          editForm.find('.js-note-preview').html(response.html).show();
+          editForm.find('.js-note-content-entry').hide();
+          editForm.find('.js-editor-edit').removeClass('active');
+          editForm.find('.js-editor-preview').addClass('active');
         });
     });
   }
 
-  function handleNewTagSubmit() {
-    $('.js-new-tag-form').on('submit', event => {
-      event.preventDefault();
-
-      const newTagName = $('.js-new-tag-entry').val();
+  /**
+   * NOTE HISTORY EVENT LISTENERS AND HANDLERS
+   */
+  function getRevFromElement(item) {
+    return $(item).closest('.js-revision-item').data('rev');
+  }
 
-      api.create('/api/tags', { name: newTagName })
-        .then(() => {
-          return api.search('/api/tags');
-        }).then(response => {
-          store.tags = response;
+  /**
+   * DASHBOARD EVENT LISTENERS AND HANDLERS
+   */
+  function handleDashboardClick() {
+    $('.js-dashboard-button').on('click', event => {
+      event.preventDefault();
+      api.search('/api/stats')
+        .then(response => {
+          store.stats = response;
           render();
         })
         .catch(err => {
           console.error(err);
         });
     });
-  }
 
-  function handleTagDeleteClick() {
-    $('.js-tags-list').on('click', '.js-tag-delete', event => {
+    $('.js-dashboard').on('click', '.js-dashboard-close', event => {
       event.preventDefault();
-      const tagId = getTagIdFromElement(event.currentTarget);
-
-      if (tagId === store.currentQuery.tagId) {
-        store.currentQuery.tagId = null;
-      }
+      store.stats = null;
+      render();
+    });
 
-      store.currentNote = {};
+    $('.js-dashboard').on('click', '.js-dashboard-note', event => {
+      event.preventDefault();
+      const noteId = $(event.currentTarget).closest('li').data('id');
 
-      api.remove(`/api/tags/${tagId}`)
-        .then(() => {
-          return api.search('/api/tags');
-        })
-        .then(response => {
-          store.tags = response;
-          return api.search('/api/notes', store.currentQuery);
-        })
+      api.details(`/api/notes/${noteId}`)
         .then(response => {
-          store.notes = response;
+          store.stats = null;
+          store.currentNote = response;
+          store.attachments = { noteId, items: response.attachments };
+          store.conflict = null;
           render();
         });
     });
   }
 
+  function fetchRevisions() {
+    return api.search(`/api/notes/${store.currentNote.id}/revisions`)
+      .then(response => {
+        store.revisions = response;
+      });
+  }
+
+  function handleNoteHistoryClick() {
+    $('.js-note-edit-form').on('click', '.js-note-history-button', event => {
+      event.preventDefault();
+      store.currentDiff = null;
+      fetchRevisions()
+        .then(() => {
+          render();
+        });
+    });
+
+    $('.js-note-history').on('click', '.js-note-history-close', event => {
+      event.preventDefault();
+      store.revisions = null;
+      store.currentDiff = null;
+      render();
+    });
+  }
+
+  function handleRevisionClick() {
+    $('.js-note-history').on('click', '.js-revision-link', event => {
+      event.preventDefault();
+      const rev = getRevFromElement(event.currentTarget);
+
+      // The first revision has nothing before it, so compare it with itself
+      const from = rev > 1 ? rev - 1 : rev;
+      api.search(`/api/notes/${store.currentNote.id}/revisions/${rev}/diff`, { from })
+        .then(response => {
+          store.currentDiff = response;
+          render();
+        });
+    });
+  }
+
+  function handleRevisionRestoreClick() {
+    $('.js-note-history').on('click', '.js-revision-restore', event => {
+      event.preventDefault();
+      const rev = getRevFromElement(event.currentTarget);
+
+      api.create(`/api/notes/${store.currentNote.id}/revisions/${rev}/restore`)
+        .then(() => {
+          return Promise.all([
+            api.details(`/api/notes/${store.currentNote.id}`),
+            fetchRevisions(),
+            fetchNotes()
+          ]);
+        })
+        .then(([note]) => {
+          store.currentNote = note;
+          store.currentDiff = null;
+          render();
+        });
+    });
+  }
+
+  /**
+   * SHARING EVENT LISTENERS AND HANDLERS
+   */
+  function fetchSharing() {
+    const noteId = store.currentNote.id;
+    return Promise.all([
+      api.search(`/api/notes/${noteId}/shares`),
+      api.search(`/api/notes/${noteId}/collaborators`)
+    ])
+      .then(([shares, collaborators]) => {
+        store.sharing = { noteId, shares, collaborators };
+      });
+  }
+
+  function showSharingError(err) {
+    $('.js-error-message').text(err.responseJSON.message);
+  }
+
+  function handleNoteShareClick() {
+    $('.js-note-edit-form').on('click', '.js-note-share-button', event => {
+      event.preventDefault();
+      fetchSharing()
+        .then(() => {
+          render();
+        });
+    });
+
+    $('.js-note-sharing').on('click', '.js-note-sharing-close', event => {
+      event.preventDefault();
+      store.sharing = null;
+      render();
+    });
+  }
+
+  function handleShareSubmit() {
+    $('.js-note-sharing').on('submit', '.js-share-form', event => {
+      event.preventDefault();
+      const form = $(event.currentTarget);
+      const expires = form.find('.js-share-expires').val();
+
+      api.create(`/api/notes/${store.currentNote.id}/shares`, {
+        expiresAt: expires ? new Date(expires).toISOString() : null,
+        password: form.find('.js-share-password').val() || null
+      })
+        .then(() => fetchSharing())
+        .then(() => {
+          $('.js-error-message').text('');
+          render();
+        })
+        .catch(showSharingError);
+    });
+  }
+
+  function handleShareRevokeClick() {
+    $('.js-note-sharing').on('click', '.js-share-revoke', event => {
+      event.preventDefault();
+      const shareId = $(event.currentTarget).closest('.js-share-item').data('id');
+
+      api.remove(`/api/notes/${store.currentNote.id}/shares/${shareId}`)
+        .then(() => fetchSharing())
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  function handleCollaboratorSubmit() {
+    $('.js-note-sharing').on('submit', '.js-collaborator-form', event => {
+      event.preventDefault();
+      const form = $(event.currentTarget);
+
+      api.create(`/api/notes/${store.currentNote.id}/collaborators`, {
+        username: form.find('.js-collaborator-username').val(),
+        role: form.find('.js-collaborator-role').val()
+      })
+        .then(() => fetchSharing())
+        .then(() => {
+          $('.js-error-message').text('');
+          render();
+        })
+        .catch(showSharingError);
+    });
+  }
+
+  function handleCollaboratorRemoveClick() {
+    $('.js-note-sharing').on('click', '.js-collaborator-remove', event => {
+      event.preventDefault();
+      const userId = $(event.currentTarget).closest('.js-collaborator-item').data('id');
+
+      api.remove(`/api/notes/${store.currentNote.id}/collaborators/${userId}`)
+        .then(() => fetchSharing())
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  function handleSharedToggleClick() {
+    $('.js-shared-toggle').on('click', () => {
+      store.currentQuery.shared = !store.currentQuery.shared;
+      delete store.currentQuery.savedSearchId;
+      store.currentNote = {};
+      store.selectedNotes = [];
+      fetchNotes()
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  function handleDueFilterChange() {
+    $('.js-due-filter').on('change', event => {
+      const due = $(event.currentTarget).val();
+      if (due) {
+        store.currentQuery.due = due;
+      } else {
+        delete store.currentQuery.due;
+      }
+      delete store.currentQuery.savedSearchId;
+      store.selectedNotes = [];
+      fetchNotes()
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  function handleViewClick() {
+    $('.js-views-list').on('click', '.js-view-link', event => {
+      event.preventDefault();
+
+      store.currentQuery.view = $(event.currentTarget).closest('.js-view-item').data('view');
+      delete store.currentQuery.savedSearchId;
+      store.currentNote = {};
+      store.selectedNotes = [];
+
+      fetchNotes()
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  /**
+   * SAVED SEARCH EVENT LISTENERS AND HANDLERS
+   */
+  function handleSavedSearchClick() {
+    $('.js-saved-searches-list').on('click', '.js-saved-search-link', event => {
+      event.preventDefault();
+
+      store.currentQuery.savedSearchId = $(event.currentTarget).closest('.js-saved-search-item').data('id');
+      store.currentNote = {};
+      store.selectedNotes = [];
+
+      fetchNotes()
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  // Save the search, folder, tag and view currently listed under a name.
+  // Searches combining several tags, folders or dates are made through the
+  // API.
+  function handleSaveSearchClick() {
+    $('.js-save-search').on('click', () => {
+      const query = store.currentQuery;
+      const name = window.prompt('Name of the smart folder');
+      if (!name) {
+        return;
+      }
+
+      api.create('/api/saved-searches', {
+        name,
+        searchTerm: query.searchTerm,
+        folderIds: query.folderId ? [query.folderId] : [],
+        recursive: query.recursive,
+        allTags: query.tagId ? [query.tagId] : [],
+        pinned: query.view === 'pinned' ? true : null,
+        favorite: query.view === 'favorites' ? true : null,
+        archived: query.view === 'archive'
+      })
+        .then(result => {
+          store.savedSearches = [...store.savedSearches, result]
+            .sort((a, b) => a.name.localeCompare(b.name));
+          store.currentQuery.savedSearchId = result.id;
+          return fetchNotes();
+        })
+        .then(() => {
+          render();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleSavedSearchDeleteClick() {
+    $('.js-saved-searches-list').on('click', '.js-saved-search-delete', event => {
+      event.preventDefault();
+      const id = $(event.currentTarget).closest('.js-saved-search-item').data('id');
+
+      api.remove(`/api/saved-searches/${id}`)
+        .then(() => {
+          store.savedSearches = store.savedSearches.filter(item => item.id !== id);
+          if (store.currentQuery.savedSearchId === id) {
+            delete store.currentQuery.savedSearchId;
+            return fetchNotes();
+          }
+        })
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  /**
+   * FOLDERS EVENT LISTENERS AND HANDLERS
+   */
+  function handleFolderClick() {
+    $('.js-folders-list').on('click', '.js-folder-link', event => {
+      event.preventDefault();
+
+      const folderId = getFolderIdFromElement(event.currentTarget);
+      store.currentQuery.folderId = folderId;
+      delete store.currentQuery.savedSearchId;
+      if (folderId !== store.currentNote.folderId) {
+        store.currentNote = {};
+      }
+
+      console.log('Get notes by folderId, coming soon...');
+      fetchNotes()
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  function handleNewFolderSubmit() {
+    $('.js-new-folder-form').on('submit', event => {
+      event.preventDefault();
+
+      const newFolderName = $('.js-new-folder-entry').val();
+      const parentId = $('.js-new-folder-parent').val() || null;
+
+      api.create('/api/folders', { name: newFolderName, parentId })
+        .then(() => {
+          $('.js-new-folder-entry').val();
+          return api.search('/api/folders');
+        }).then(response => {
+          store.folders = response;
+          render();
+        }).catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleFolderDeleteClick() {
+    $('.js-folders-list').on('click', '.js-folder-delete', event => {
+      event.preventDefault();
+      const folderId = getFolderIdFromElement(event.currentTarget);
+
+      if (folderId === store.currentQuery.folderId) {
+        store.currentQuery.folderId = null;
+      }
+      if (folderId === store.currentNote.folderId) {
+        store.currentNote = {};
+      }
+
+      let path = `/api/folders/${folderId}`;
+      const hasSubfolders = store.folders.some(item => item.parentId === folderId);
+      if (hasSubfolders) {
+        const cascade = window.confirm('Also move its subfolders to the trash?\n\nOK: trash the subfolders too\nCancel: move them up a level');
+        path += `?children=${cascade ? 'cascade' : 'reparent'}`;
+      }
+
+      // The folder's notes go to the trash with it, so reload everything
+      api.remove(path)
+        .then(() => {
+          return loadUserData();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleFolderToggleClick() {
+    $('.js-folders-list').on('click', '.js-folder-toggle', event => {
+      event.preventDefault();
+      const folderId = getFolderIdFromElement(event.currentTarget);
+      store.collapsedFolders[folderId] = !store.collapsedFolders[folderId];
+      render();
+    });
+  }
+
+  /**
+   * TAGS EVENT LISTENERS AND HANDLERS
+   */
+  function handleTagClick() {
+    $('.js-tags-list').on('click', '.js-tag-link', event => {
+      event.preventDefault();
+
+      const tagId = getTagIdFromElement(event.currentTarget);
+      store.currentQuery.tagId = tagId;
+      delete store.currentQuery.savedSearchId;
+
+      store.currentNote = {};
+
+      fetchNotes()
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  function handleNewTagSubmit() {
+    $('.js-new-tag-form').on('submit', event => {
+      event.preventDefault();
+
+      const newTagName = $('.js-new-tag-entry').val();
+      const newTagColor = $('.js-new-tag-color').val();
+
+      api.create('/api/tags', { name: newTagName, color: newTagColor })
+        .then(() => {
+          return api.search('/api/tags');
+        }).then(response => {
+          store.tags = response;
+          render();
+        })
+        .catch(err => {
+          console.error(err);
+        });
+    });
+  }
+
+  function handleTagColorChange() {
+    $('.js-tags-list').on('change', '.js-tag-color', event => {
+      const tagId = getTagIdFromElement(event.currentTarget);
+
+      api.update(`/api/tags/${tagId}`, { color: $(event.currentTarget).val() })
+        .then(() => {
+          return api.search('/api/tags');
+        })
+        .then(response => {
+          store.tags = response;
+          // Notes show the tag's new color once they are fetched again
+          return fetchNotes();
+        })
+        .then(() => {
+          render();
+        })
+        .catch(err => {
+          console.error(err);
+        });
+    });
+  }
+
+  function handleTagDeleteClick() {
+    $('.js-tags-list').on('click', '.js-tag-delete', event => {
+      event.preventDefault();
+      const tagId = getTagIdFromElement(event.currentTarget);
+
+      if (tagId === store.currentQuery.tagId) {
+        store.currentQuery.tagId = null;
+      }
+
+      store.currentNote = {};
+
+      api.remove(`/api/tags/${tagId}`)
+        .then(() => {
+          return api.search('/api/tags');
+        })
+        .then(response => {
+          store.tags = response;
+          return Promise.all([fetchNotes(), fetchTrash()]);
+        })
+        .then(() => {
+          render();
+        });
+    });
+  }
+
+  /**
+   * TRASH EVENT LISTENERS AND HANDLERS
+   */
+  function fetchTrash() {
+    return api.search('/api/trash')
+      .then(response => {
+        store.trash = response;
+      });
+  }
+
+  function getTrashItemFromElement(item) {
+    const element = $(item).closest('.js-trash-item');
+    return { type: element.data('type'), id: element.data('id') };
+  }
+
+  function handleTrashRestoreClick() {
+    $('.js-trash-list').on('click', '.js-trash-restore', event => {
+      event.preventDefault();
+      const { type, id } = getTrashItemFromElement(event.currentTarget);
+
+      api.create(`/api/trash/${type}/${id}/restore`)
+        .then(() => {
+          $('.js-error-message').text('');
+          return loadUserData();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleTrashPurgeClick() {
+    $('.js-trash-list').on('click', '.js-trash-purge', event => {
+      event.preventDefault();
+      const { type, id } = getTrashItemFromElement(event.currentTarget);
+
+      if (!window.confirm('Delete this forever? This cannot be undone.')) {
+        return;
+      }
+
+      api.remove(`/api/trash/${type}/${id}`)
+        .then(() => {
+          return loadUserData();
+        });
+    });
+  }
+
+  /**
+   * ATTACHMENT EVENT LISTENERS AND HANDLERS
+   */
+  function fetchAttachments() {
+    const noteId = store.currentNote.id;
+    return api.search(`/api/notes/${noteId}/attachments`)
+      .then(items => {
+        store.attachments = { noteId, items };
+      });
+  }
+
+  function getAttachmentFromElement(item) {
+    const id = $(item).closest('.js-attachment-item').data('id');
+    return store.attachments.items.find(attachment => attachment.id === id);
+  }
+
+  function handleAttachmentChange() {
+    $('.js-note-attachments').on('change', '.js-attachment-file', event => {
+      const file = event.currentTarget.files[0];
+      if (!file) {
+        return;
+      }
+
+      api.uploadForm(`/api/notes/${store.currentNote.id}/attachments`, 'file', file)
+        .then(() => fetchAttachments())
+        .then(() => {
+          $('.js-error-message').text('');
+          render();
+        })
+        .catch(err => {
+          event.currentTarget.value = '';
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleAttachmentDownloadClick() {
+    $('.js-note-attachments').on('click', '.js-attachment-download', event => {
+      event.preventDefault();
+      const attachment = getAttachmentFromElement(event.currentTarget);
+
+      api.download(`/api/notes/${store.currentNote.id}/attachments/${attachment.id}`)
+        .then(blob => {
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = attachment.filename;
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(link.href));
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleAttachmentRemoveClick() {
+    $('.js-note-attachments').on('click', '.js-attachment-remove', event => {
+      event.preventDefault();
+      const attachment = getAttachmentFromElement(event.currentTarget);
+
+      api.remove(`/api/notes/${store.currentNote.id}/attachments/${attachment.id}`)
+        .then(() => fetchAttachments())
+        .then(() => {
+          render();
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  /**
+   * IMPORT AND EXPORT EVENT LISTENERS AND HANDLERS
+   */
+  function handleExportClick() {
+    $('.js-export').on('click', event => {
+      const format = $(event.currentTarget).data('format');
+
+      api.download(`/api/export?format=${format}`)
+        .then(blob => {
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = `noteful-export.${format}`;
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(link.href));
+        })
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  function handleImportChange() {
+    $('.js-import-file').on('change', event => {
+      const input = event.currentTarget;
+      const file = input.files[0];
+      if (!file) {
+        return;
+      }
+
+      api.upload('/api/import', file)
+        .then(created => {
+          const skipped = created.rejected.length ? `, skipped ${created.rejected.length} invalid records` : '';
+          $('.js-error-message').text(`Imported ${created.notes} notes${skipped}`);
+          input.value = '';
+          return loadUserData();
+        })
+        .catch(err => {
+          input.value = '';
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
+  /**
+   * AUTH EVENT LISTENERS AND HANDLERS
+   */
+  function loadUserData() {
+    return Promise.all([
+      fetchNotes(),
+      api.search('/api/folders'),
+      api.search('/api/tags'),
+      api.search('/api/templates'),
+      api.search('/api/saved-searches'),
+      fetchTrash()
+    ])
+      .then(([, folders, tags, templates, savedSearches]) => {
+        store.folders = folders;
+        store.tags = tags;
+        store.templates = templates;
+        store.savedSearches = savedSearches;
+        render();
+      });
+  }
+
+  // Apply changes made elsewhere as they happen. Missed events aren't
+  // replayed, so every reconnect reloads everything first.
+  function listenForChanges() {
+    api.stream('/api/events', event => {
+      store.applyEvent(event);
+      render();
+    })
+      .catch(() => {})
+      .then(() => {
+        if (store.authorized) {
+          setTimeout(() => loadUserData().then(listenForChanges), RECONNECT_DELAY);
+        }
+      });
+  }
+
+  // The JWT payload is base64url encoded JSON
+  function decodeToken(token) {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  }
+
+  function login(username, password) {
+    return api.create('/api/login', { username, password })
+      .then(response => {
+        store.authToken = response.authToken;
+        store.authorized = true;
+        store.currentUserId = decodeToken(response.authToken).user.id;
+        $('.js-error-message').text('');
+        return loadUserData();
+      })
+      .then(listenForChanges);
+  }
+
+  function handleLoginSubmit() {
+    $('.js-login-form').on('submit', event => {
+      event.preventDefault();
+
+      const loginForm = $(event.currentTarget);
+      const username = loginForm.find('.js-login-username').val();
+      const password = loginForm.find('.js-login-password').val();
+
+      login(username, password)
+        .catch(() => {
+          $('.js-error-message').text('Incorrect username or password');
+        });
+    });
+  }
+
+  function handleSignupSubmit() {
+    $('.js-signup-form').on('submit', event => {
+      event.preventDefault();
+
+      const signupForm = $(event.currentTarget);
+      const newUser = {
+        fullname: signupForm.find('.js-signup-fullname').val(),
+        username: signupForm.find('.js-signup-username').val(),
+        password: signupForm.find('.js-signup-password').val()
+      };
+
+      api.create('/api/users', newUser)
+        .then(() => login(newUser.username, newUser.password))
+        .catch(err => {
+          $('.js-error-message').text(err.responseJSON.message);
+        });
+    });
+  }
+
   function bindEventListeners() {
+    handleLoginSubmit();
+    handleSignupSubmit();
+
     handleNoteItemClick();
+    handleNoteFlagClick();
     handleNoteSearchSubmit();
+    handleNotesListScroll();
 
     handleNoteFormSubmit();
+    handleNoteConflictClick();
     handleNoteStartNewSubmit();
     handleNoteDeleteClick();
 
+    handleNoteSelectChange();
+    handleBulkOpChange();
+    handleBulkClearClick();
+    handleBulkSubmit();
+
+    handleEditorModeClick();
+    handleNoteHistoryClick();
+    handleRevisionClick();
+    handleRevisionRestoreClick();
+
+    handleNoteShareClick();
+    handleShareSubmit();
+    handleShareRevokeClick();
+    handleCollaboratorSubmit();
+    handleCollaboratorRemoveClick();
+    handleSharedToggleClick();
+    handleDueFilterChange();
+    handleViewClick();
+
+    handleAttachmentChange();
+    handleAttachmentDownloadClick();
+    handleAttachmentRemoveClick();
+
     handleFolderClick();
     handleNewFolderSubmit();
     handleFolderDeleteClick();
+    handleFolderToggleClick();
+    handleSavedSearchClick();
+    handleSaveSearchClick();
+    handleSavedSearchDeleteClick();
     handleTagClick();
     handleNewTagSubmit();
+    handleTagColorChange();
     handleTagDeleteClick();
+
+    handleTrashRestoreClick();
+    handleTrashPurgeClick();
+
+    handleExportClick();
+    handleImportChange();
+
+    handleDashboardClick();
   }
 
   // This object contains the only exposed methods from this module:
@@ -3,15 +3,175 @@
 
 const store = (function () {
 
-  return {
+  const lists = { note: 'notes', folder: 'folders', tag: 'tags' };
+
+  const state = {
     notes: [],
     folders: [],
     tags: [],
+    templates: [],
+    savedSearches: [],
+    trash: { notes: [], folders: [], tags: [] },
+    collapsedFolders: {},
+
+    authToken: '',
+    authorized: false,
+    currentUserId: null,
 
     currentNote: {},
+    revisions: null,
+    sharing: null,
+    attachments: null,
+    stats: null,
+    conflict: null,
+    currentDiff: null,
     currentQuery: {
       searchTerm: '',
-    }
+      limit: 25,
+      // Selecting a folder also shows the notes in its subfolders
+      recursive: true,
+      // One of the sidebar views: all, pinned, favorites or archive
+      view: 'all'
+    },
+    selectedNotes: [],
+    nextNotesUrl: null,
+    loadingNotes: false,
+
+    applyEvent
   };
 
+  function isInFolder(note, folderId, recursive) {
+    let id = note.folderId;
+    while (id) {
+      if (id === folderId) {
+        return true;
+      }
+      const folder = recursive && state.folders.find(item => item.id === id);
+      id = folder ? folder.parentId : null;
+    }
+    return false;
+  }
+
+  // Whether a pushed note belongs in the notes list for the current query.
+  // Search results are ranked by the server, so a search only keeps notes
+  // already listed, and so does a saved search, which the server evaluates.
+  function matchesQuery(note, listed) {
+    const query = state.currentQuery;
+    const isMine = note.userId === state.currentUserId;
+
+    if (query.savedSearchId) {
+      return listed;
+    }
+
+    if (query.shared ? isMine : !isMine) {
+      return false;
+    }
+    if (!isInView(note, query.view)) {
+      return false;
+    }
+    if (query.searchTerm) {
+      return listed;
+    }
+    if (query.folderId && !isInFolder(note, query.folderId, query.recursive)) {
+      return false;
+    }
+    if (query.tagId && !note.tags.some(tag => tag.id === query.tagId)) {
+      return false;
+    }
+    if (query.due && !isDue(note, query.due)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Archived notes are only listed in the archive
+  function isInView(note, view) {
+    if (view === 'archive' || note.archived) {
+      return view === 'archive' && !!note.archived;
+    }
+    if (view === 'pinned') {
+      return !!note.pinned;
+    }
+    if (view === 'favorites') {
+      return !!note.favorite;
+    }
+    return true;
+  }
+
+  // Mirrors the `due` filter of `GET /api/notes`
+  function isDue(note, due) {
+    if (!note.dueAt) {
+      return false;
+    }
+    const dueAt = new Date(note.dueAt);
+    const now = new Date();
+    const day = offset => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    if (due === 'overdue') {
+      return dueAt < now;
+    }
+    return dueAt >= day(0) && dueAt < day(due === 'today' ? 1 : 7);
+  }
+
+  function byName(a, b) {
+    return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+  }
+
+  function applyNoteEvent(action, note, index) {
+    const list = state.notes;
+
+    if (action === 'deleted') {
+      state.selectedNotes = state.selectedNotes.filter(id => id !== note.id);
+      if (state.currentNote.id === note.id) {
+        state.currentNote = {};
+      }
+    } else if (!matchesQuery(note, index !== -1)) {
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+    } else if (index !== -1) {
+      list.splice(index, 1, Object.assign(note, { snippets: list[index].snippets }));
+    } else if (!state.nextNotesUrl) {
+      // Pinned notes are listed first, then the rest oldest first. Unless
+      // more pages are still to come, a pinned note that isn't loaded yet
+      // goes after the other pinned ones and any other note at the end.
+      const position = note.pinned ? list.findIndex(item => !item.pinned) : -1;
+      list.splice(position === -1 ? list.length : position, 0, note);
+    }
+  }
+
+  /**
+   * Apply a change pushed from the server, e.g.
+   * `{ type: 'note.updated', data: note }`. The note being edited is left
+   * alone so unsaved changes aren't lost, saving it handles any conflict.
+   */
+  function applyEvent({ type, data }) {
+    const [kind, action] = type.split('.');
+    const list = state[lists[kind]];
+    if (!list) {
+      return;
+    }
+    const index = list.findIndex(item => item.id === data.id);
+
+    if (action === 'deleted' && index !== -1) {
+      list.splice(index, 1);
+    }
+    if (kind === 'note') {
+      applyNoteEvent(action, data, index);
+    } else if (action !== 'deleted') {
+      // Pushed folders and tags don't carry a `noteCount`, keep the one
+      // last fetched
+      if (kind === 'folder' || kind === 'tag') {
+        data.noteCount = index !== -1 ? list[index].noteCount : 0;
+      }
+      if (index !== -1) {
+        list.splice(index, 1, data);
+      } else {
+        list.push(data);
+      }
+      list.sort(byName);
+    }
+  }
+
+  return state;
+
 }());
@@ -0,0 +1,173 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+
+const Note = require('../models/note');
+const Attachment = require('../models/attachment');
+const { validate, validationError } = require('../utils/validate');
+const { getStorage } = require('../utils/storage');
+const { ATTACHMENT_SIZE_LIMIT, ATTACHMENT_TYPES } = require('../config');
+
+const noteParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const attachmentParams = Object.assign({}, noteParams, {
+  attachmentId: { type: 'objectId', required: true }
+});
+
+// Files are kept in memory until the note is known to accept them, then
+// handed to the storage adapter
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_SIZE_LIMIT, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    const err = new Error(`Files of type \`${file.mimetype}\` cannot be attached`);
+    err.status = 415;
+    cb(err);
+  }
+}).single('file');
+
+// Parse the `multipart/form-data` upload into `req.file`
+function receiveFile(req, res, next) {
+  upload(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        err.message = `Attachments cannot be larger than ${ATTACHMENT_SIZE_LIMIT} bytes`;
+      }
+    }
+    if (err) {
+      return next(err);
+    }
+    if (!req.file) {
+      return next(validationError([
+        { location: 'body', field: 'file', message: 'Missing `file` in request body' }
+      ]));
+    }
+    next();
+  });
+}
+
+// Load the note when the user has at least `role` on it
+function findNote(role) {
+  return (req, res, next) => {
+    Note.findForUser(req.params.id, req.user.id, role)
+      .then(note => {
+        if (!note) {
+          return next('route');
+        }
+        req.note = note;
+        next();
+      })
+      .catch(err => {
+        next(err);
+      });
+  };
+}
+
+// Browsers send a bare file name, other clients may send a path
+function cleanFilename(filename) {
+  return path.basename(filename.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').slice(0, 255) || 'file';
+}
+
+/* ========== GET/READ ALL ATTACHMENTS OF A NOTE ========== */
+router.get('/notes/:id/attachments', validate({ params: noteParams }), findNote('viewer'), (req, res, next) => {
+  Attachment.find({ noteId: req.note.id })
+    .sort('created')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/DOWNLOAD AN ATTACHMENT ========== */
+router.get('/notes/:id/attachments/:attachmentId', validate({
+  params: attachmentParams
+}), findNote('viewer'), (req, res, next) => {
+  const { attachmentId } = req.params;
+
+  Attachment.findOne({ _id: attachmentId, noteId: req.note._id })
+    .then(attachment => {
+      if (!attachment) {
+        return next();
+      }
+      return getStorage().get(attachment.key)
+        .then(stream => {
+          // Always download, never render uploaded files on this origin
+          res.attachment(attachment.filename);
+          res.set({
+            'Content-Type': attachment.mimetype,
+            'Content-Length': attachment.size,
+            'X-Content-Type-Options': 'nosniff'
+          });
+          stream.on('error', () => res.destroy());
+          stream.pipe(res);
+        });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/UPLOAD AN ATTACHMENT ========== */
+router.post('/notes/:id/attachments', validate({ params: noteParams }), findNote('editor'), receiveFile, (req, res, next) => {
+  const { file } = req;
+  const storage = getStorage();
+  // The key never includes the file name, which is only metadata
+  const key = `${req.note.id}/${crypto.randomBytes(16).toString('hex')}`;
+
+  const newAttachment = {
+    noteId: req.note._id,
+    userId: req.user.id,
+    filename: cleanFilename(file.originalname),
+    mimetype: file.mimetype,
+    size: file.size,
+    key
+  };
+
+  storage.put(key, file.buffer, file.mimetype)
+    .then(() => {
+      return Attachment.create(newAttachment)
+        .catch(err => storage.remove(key).then(() => Promise.reject(err)));
+    })
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== DELETE/REMOVE AN ATTACHMENT ========== */
+router.delete('/notes/:id/attachments/:attachmentId', validate({
+  params: attachmentParams
+}), findNote('editor'), (req, res, next) => {
+  const { attachmentId } = req.params;
+
+  Attachment.findOneAndRemove({ _id: attachmentId, noteId: req.note._id })
+    .then(result => {
+      if (!result) {
+        return next();
+      }
+      return getStorage().remove(result.key)
+        .then(() => {
+          res.status(204).end();
+        });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const AuditEvent = require('../models/audit-event');
+const { pageQuery, parsePageQuery, setNextLink } = require('../utils/pagination');
+const { validate } = require('../utils/validate');
+
+const pageOptions = {
+  sortFields: ['created'],
+  defaultSort: '-created',
+  selectFields: ['actorId', 'action', 'resource', 'resourceId', 'before', 'after', 'ip', 'requestId', 'created']
+};
+
+/* ========== GET/READ THE AUDIT LOG ========== */
+// Newest first, every change made to the user's notes, folders and tags,
+// including those made by collaborators. `from` is inclusive, `to` is not.
+router.get('/audit', validate({
+  query: Object.assign({
+    resource: { type: 'string', enum: AuditEvent.RESOURCES },
+    resourceId: { type: 'objectId' },
+    actorId: { type: 'objectId' },
+    action: { type: 'string', enum: AuditEvent.ACTIONS },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }, pageQuery)
+}), (req, res, next) => {
+  const { resource, resourceId, actorId, action, from, to } = req.query;
+  const userId = req.user.id;
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, pageOptions);
+  } catch (err) {
+    return next(err);
+  }
+
+  const filter = Object.assign({ ownerId: userId }, page.filter);
+  if (resource) {
+    filter.resource = resource;
+  }
+  if (resourceId) {
+    filter.resourceId = resourceId;
+  }
+  if (actorId) {
+    filter.actorId = actorId;
+  }
+  if (action) {
+    filter.action = action;
+  }
+  if (from || to) {
+    filter.created = {};
+    if (from) {
+      filter.created.$gte = new Date(from);
+    }
+    if (to) {
+      filter.created.$lt = new Date(to);
+    }
+  }
+
+  AuditEvent.find(filter)
+    .select(page.select)
+    .sort(page.sort)
+    .limit(page.limit + 1)
+    .then(results => {
+      res.json(setNextLink(req, res, results, page));
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
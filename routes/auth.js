@@ -0,0 +1,35 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const passport = require('passport');
+const jwt = require('jsonwebtoken');
+
+const { JWT_SECRET, JWT_EXPIRY } = require('../config');
+
+const options = { session: false, failWithError: true };
+
+const localAuth = passport.authenticate('local', options);
+const jwtAuth = passport.authenticate('jwt', options);
+
+function createAuthToken(user) {
+  return jwt.sign({ user }, JWT_SECRET, {
+    subject: user.username,
+    expiresIn: JWT_EXPIRY
+  });
+}
+
+/* ========== POST/LOGIN ========== */
+router.post('/login', localAuth, (req, res) => {
+  const authToken = createAuthToken(req.user.toObject());
+  res.json({ authToken });
+});
+
+/* ========== POST/REFRESH AN EXPIRING TOKEN ========== */
+router.post('/refresh', jwtAuth, (req, res) => {
+  const authToken = createAuthToken(req.user);
+  res.json({ authToken });
+});
+
+module.exports = router;
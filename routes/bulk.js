@@ -0,0 +1,150 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const mongoose = require('mongoose');
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const Folder = require('../models/folder');
+const { validate, validationError } = require('../utils/validate');
+const { publishWhere } = require('../utils/events');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+
+const MAX_IDS = 500;
+
+const operations = ['move', 'addTags', 'removeTags', 'delete', 'restore'];
+
+// Restored notes reappear in clients' lists like new ones
+const eventTypes = {
+  delete: 'note.deleted',
+  restore: 'note.created'
+};
+
+// Moves and tag changes are recorded as updates
+const auditActions = {
+  delete: 'delete',
+  restore: 'restore'
+};
+
+// Invalid ids are reported per id in the response rather than rejected
+const bulkBody = {
+  ids: { type: 'array', required: true, minLength: 1, maxLength: MAX_IDS },
+  op: { type: 'string', required: true, enum: operations },
+  folderId: { type: 'objectId', nullable: true, ref: 'Folder' },
+  tags: { type: 'array', minLength: 1, items: { type: 'objectId', ref: 'Tag' } }
+};
+
+// Build the update for `op`, or throw when its arguments are missing
+function buildUpdate(op, { folderId, tags }) {
+  if (op === 'move') {
+    // An explicit `null` unfiles the notes, a missing `folderId` is a mistake
+    if (folderId === undefined) {
+      throw validationError([
+        { location: 'body', field: 'folderId', message: 'Missing `folderId` in request body' }
+      ]);
+    }
+    return folderId ? { folderId } : { $unset: { folderId: '' } };
+  }
+
+  if (op === 'addTags' || op === 'removeTags') {
+    if (!tags) {
+      throw validationError([
+        { location: 'body', field: 'tags', message: 'Missing `tags` in request body' }
+      ]);
+    }
+    return op === 'addTags' ? { $addToSet: { tags: { $each: tags } } } : { $pullAll: { tags } };
+  }
+
+  return { deletedAt: op === 'delete' ? new Date() : null };
+}
+
+// A restored note whose folder is still in the trash is unfiled
+function unfileOrphans(noteIds, userId) {
+  return Note.find({ _id: { $in: noteIds }, folderId: { $ne: null } }).select('folderId')
+    .then(notes => {
+      const folderIds = notes.map(note => note.folderId);
+      return Folder.find({ _id: { $in: folderIds }, userId, deletedAt: null }).select('_id');
+    })
+    .then(folders => {
+      const liveIds = folders.map(folder => folder._id);
+      return Note.updateMany(
+        { _id: { $in: noteIds }, folderId: { $nin: liveIds } },
+        { $unset: { folderId: '' } }
+      );
+    });
+}
+
+/* ========== POST/APPLY ONE OPERATION TO MANY NOTES ========== */
+/***** Never trust users - validate input *****/
+router.post('/notes/bulk', validate({ body: bulkBody }), (req, res, next) => {
+  const { ids, op } = req.body;
+  const userId = req.user.id;
+
+  let update;
+  try {
+    update = buildUpdate(op, req.body);
+  } catch (err) {
+    return next(err);
+  }
+
+  const validIds = ids.filter(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id));
+
+  // Trashed notes can only be restored, and only trashed notes can be restored
+  const filter = {
+    _id: { $in: validIds },
+    userId,
+    deletedAt: op === 'restore' ? { $ne: null } : null
+  };
+  const revisioned = ['move', 'addTags', 'removeTags'].includes(op);
+
+  let matched;
+  let matchedIds;
+
+  Note.find(filter)
+    .then(notes => {
+      matched = notes;
+      matchedIds = notes.map(note => note._id);
+      if (revisioned) {
+        return Promise.all(notes.map(note => NoteRevision.recordBaseline(note)));
+      }
+    })
+    .then(() => {
+      // A single multi-document update, so every note either gets this
+      // exact change or is reported as not found
+      return Note.updateMany({ _id: { $in: matchedIds } }, update);
+    })
+    .then(() => {
+      if (op === 'restore') {
+        return unfileOrphans(matchedIds, userId);
+      }
+      if (revisioned) {
+        return Note.find({ _id: { $in: matchedIds } })
+          .then(notes => Promise.all(notes.map(note => NoteRevision.record(note, userId))));
+      }
+    })
+    .then(() => {
+      const action = auditActions[op] || 'update';
+      if (action === 'delete') {
+        return recordAudit(req, action, 'note', matched.map(before => ({ before })));
+      }
+      return recordAuditMany(req, action, 'note', Note, matched);
+    })
+    .then(() => {
+      const updated = new Set(matchedIds.map(String));
+      const results = ids.map(id => {
+        if (!validIds.includes(id)) {
+          return { id, status: 'invalid' };
+        }
+        return { id, status: updated.has(id) ? 'updated' : 'not_found' };
+      });
+      res.json({ op, updated: updated.size, results });
+      publishWhere(Note, eventTypes[op] || 'note.updated', { _id: { $in: matchedIds } });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
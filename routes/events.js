@@ -0,0 +1,36 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { EVENTS_HEARTBEAT_INTERVAL } = require('../config');
+const { subscribe } = require('../utils/events');
+
+/* ========== GET/STREAM CHANGES AS SERVER-SENT EVENTS ========== */
+// Each event is named after what happened, e.g. `note.updated`, and its data
+// is the item as JSON, or just its `id` for `*.deleted`. Events are not
+// replayed, so clients should reload their lists after reconnecting.
+router.get('/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const unsubscribe = subscribe(req.user.id, ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, EVENTS_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -3,17 +3,140 @@
 const express = require('express');
 const router = express.Router();
 
-const mongoose = require('mongoose');
-
-
 const Folder = require('../models/folder');
 const Note = require('../models/note');
+const { pageQuery, parsePageQuery, setNextLink } = require('../utils/pagination');
+const { validate } = require('../utils/validate');
+const { folderBody } = require('../utils/rules');
+const { publishItems, publishWhere } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { withNoteCounts } = require('../utils/note-counts');
+const { etag, matchesVersion, withVersion, conflictError, conflictOrNotFound } = require('../utils/concurrency');
+const { patchBody, patchUpdate } = require('../utils/patch');
+
+const pageOptions = {
+  sortFields: ['name', 'created', 'updated'],
+  defaultSort: 'name',
+  selectFields: ['name', 'parentId', 'created', 'updated', 'userId', 'version']
+};
+
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+// Nest a flat, sorted list of folders under their parents
+function buildTree(folders) {
+  const nodes = new Map();
+  folders.forEach(folder => {
+    nodes.set(folder.id.toString(), Object.assign(folder, { children: [] }));
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+}
+
+// Resolve with the `parentId` to store for folder `id`, or reject with a 400
+// error when the move would create a cycle. The parent itself is checked by
+// the `ref` rule in `folderBody`.
+function resolveParentId(parentId, userId, id) {
+  if (!parentId || !id) {
+    return Promise.resolve(parentId || null);
+  }
+
+  return Folder.findAncestors(parentId, userId)
+    .then(ancestors => {
+      if (ancestors.some(folder => folder.id === id)) {
+        const err = new Error('A folder cannot be moved into itself or one of its subfolders');
+        err.status = 400;
+        return Promise.reject(err);
+      }
+      return parentId;
+    });
+}
+
+// Load the folder for `PATCH`, checking `If-Match` before the patch is applied
+function findFolderToPatch(req, res, next) {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Folder.findOne({ _id: id, userId, deletedAt: null })
+    .then(folder => {
+      if (!folder) {
+        return next('route');
+      }
+      if (!matchesVersion(req, folder)) {
+        return next(conflictError('folder', folder));
+      }
+      req.folder = folder;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+// Subfolders are moved into the folder's parent. Refuse up front if one of
+// them would clash with the name of a folder that is already there.
+function checkReparent(folder, subfolders) {
+  const { parentId, userId } = folder;
+
+  return Folder.find({ parentId, userId, deletedAt: null, _id: { $ne: folder._id } })
+    .then(siblings => {
+      const names = new Set(siblings.map(sibling => sibling.name));
+      const clash = subfolders.find(subfolder => names.has(subfolder.name));
+      if (clash) {
+        const err = new Error(`A folder named \`${clash.name}\` already exists in the parent folder`);
+        err.status = 400;
+        return Promise.reject(err);
+      }
+    });
+}
 
 /* ========== GET/READ ALL ITEMS ========== */
-router.get('/folders', (req, res, next) => {
+// Each folder comes with the `noteCount` of live notes directly in it
+router.get('/folders', validate({
+  query: Object.assign({ tree: { type: 'boolean' } }, pageQuery)
+}), (req, res, next) => {
+  const userId = req.user.id;
 
-  Folder.find()
-    .sort('name')
+  // The whole tree is always returned in one response
+  if (req.query.tree === 'true') {
+    return Folder.find({ userId, deletedAt: null })
+      .sort('name')
+      .then(results => Note.countByFolder(userId).then(counts => withNoteCounts(results, counts)))
+      .then(results => {
+        res.json(buildTree(results));
+      })
+      .catch(err => {
+        next(err);
+      });
+  }
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, pageOptions);
+  } catch (err) {
+    return next(err);
+  }
+
+  const filter = Object.assign({ userId, deletedAt: null }, page.filter);
+
+  Folder.find(filter)
+    .select(page.select)
+    .sort(page.sort)
+    .limit(page.limit + 1)
+    .then(results => {
+      const folders = setNextLink(req, res, results, page);
+      return Note.countByFolder(userId).then(counts => withNoteCounts(folders, counts));
+    })
     .then(results => {
       res.json(results);
     })
@@ -23,19 +146,14 @@ router.get('/folders', (req, res, next) => {
 });
 
 /* ========== GET/READ A SINGLE ITEM ========== */
-router.get('/folders/:id', (req, res, next) => {
+router.get('/folders/:id', validate({ params: idParams }), (req, res, next) => {
   const { id } = req.params;
+  const userId = req.user.id;
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    const err = new Error('The `id` is not valid');
-    err.status = 400;
-    return next(err);
-  }
-
-  Folder.findById(id)
+  Folder.findOne({ _id: id, userId, deletedAt: null })
     .then(result => {
       if (result) {
-        res.json(result);
+        res.set('ETag', etag(result)).json(result);
       } else {
         next();
       }
@@ -45,22 +163,39 @@ router.get('/folders/:id', (req, res, next) => {
     });
 });
 
-/* ========== POST/CREATE AN ITEM ========== */
-router.post('/folders', (req, res, next) => {
-  const { name } = req.body;
+/* ========== GET/READ THE PATH FROM THE ROOT TO AN ITEM ========== */
+router.get('/folders/:id/breadcrumb', validate({ params: idParams }), (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
 
-  /***** Never trust users - validate input *****/
-  if (!name) {
-    const err = new Error('Missing `name` in request body');
-    err.status = 400;
-    return next(err);
-  }
+  Folder.findAncestors(id, userId)
+    .then(results => {
+      if (results.length) {
+        res.json(results);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
 
-  const newItem = { name };
+/* ========== POST/CREATE AN ITEM ========== */
+/***** Never trust users - validate input *****/
+router.post('/folders', validate({ body: folderBody }), (req, res, next) => {
+  const { name, parentId } = req.body;
+  const userId = req.user.id;
 
-  Folder.create(newItem)
+  resolveParentId(parentId, userId)
+    .then(parentId => {
+      const newItem = { name, parentId, userId };
+      return Folder.create(newItem);
+    })
+    .then(result => recordAudit(req, 'create', 'folder', [{ after: result }]).then(() => result))
     .then(result => {
-      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+      res.location(`${req.originalUrl}/${result.id}`).set('ETag', etag(result)).status(201).json(result);
+      publishItems('folder.created', [result]);
     })
     .catch(err => {
     if (err.code === 11000) {
@@ -72,59 +207,194 @@ router.post('/folders', (req, res, next) => {
 });
 
 /* ========== PUT/UPDATE A SINGLE ITEM ========== */
-router.put('/folders/:id', (req, res, next) => {
+// Honors `If-Match` like `PUT /api/notes/:id`
+/***** Never trust users - validate input *****/
+router.put('/folders/:id', validate({ params: idParams, body: folderBody }), (req, res, next) => {
   const { id } = req.params;
-  const { name } = req.body;
+  const { name, parentId } = req.body;
+  const userId = req.user.id;
 
-  /***** Never trust users - validate input *****/
-  if (!name) {
-    const err = new Error('Missing `name` in request body');
-    err.status = 400;
-    return next(err);
-  }
+  const options = { new: true };
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    const err = new Error('The `id` is not valid');
-    err.status = 400;
-    return next(err);
+  // Only move the folder when the client sends a `parentId`, null moves it to the root
+  const parentPromise = 'parentId' in req.body
+    ? resolveParentId(parentId, userId, id).then(parentId => ({ name, parentId }))
+    : Promise.resolve({ name });
+
+  const filter = { _id: id, userId, deletedAt: null };
+  let before;
+
+  Promise.all([parentPromise, Folder.findOne(filter)])
+    .then(([updateItem, folder]) => {
+      before = folder;
+      return Folder.findOneAndUpdate(withVersion(req, filter), updateItem, options);
+    })
+    .then(result => result || conflictOrNotFound('folder', Folder.findOne(filter)))
+    .then(result => result && recordAudit(req, 'update', 'folder', [{ before, after: result }]).then(() => result))
+    .then(result => {
+      if (result) {
+        res.set('ETag', etag(result)).json(result);
+        publishItems('folder.updated', [result]);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      if (err.code === 11000) {
+        err = new Error('The folder name already exists');
+        err.status = 400;
+      }
+      next(err);
+    });
+});
+
+/* ========== PATCH/UPDATE PART OF A SINGLE ITEM ========== */
+// Takes a JSON Merge Patch or a JSON Patch of `name` and `parentId`, see
+// `PATCH /api/notes/:id`. Removing `parentId` moves the folder to the root.
+/***** Never trust users - validate input *****/
+router.patch('/folders/:id', validate({ params: idParams }), findFolderToPatch, patchBody('folder', ['name', 'parentId']), validate({
+  body: folderBody,
+  partial: true
+}), (req, res, next) => {
+  const { id } = req.params;
+  const { folder } = req;
+  const userId = req.user.id;
+
+  if (!Object.keys(req.body).length) {
+    return res.set('ETag', etag(folder)).json(folder);
   }
 
-  const updateItem = { name };
+  const filter = { _id: id, userId, deletedAt: null };
   const options = { new: true };
 
-  Folder.findByIdAndUpdate(id, updateItem, options)
+  resolveParentId(req.body.parentId, userId, id)
+    .then(() => Folder.findOneAndUpdate(withVersion(req, filter), patchUpdate(req.body), options))
+    .then(result => result || conflictOrNotFound('folder', Folder.findOne(filter)))
+    .then(result => result && recordAudit(req, 'update', 'folder', [{ before: folder, after: result }]).then(() => result))
     .then(result => {
       if (result) {
-        res.json(result);
+        res.set('ETag', etag(result)).json(result);
+        publishItems('folder.updated', [result]);
       } else {
         next();
       }
     })
     .catch(err => {
+      if (err.code === 11000) {
+        err = new Error('The folder name already exists');
+        err.status = 400;
+      }
       next(err);
     });
 });
 
-/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
-router.delete('/folders/:id', (req, res, next) => {
-    const { id } = req.params;
+/* ========== DELETE/MOVE A SINGLE ITEM TO THE TRASH ========== */
+// A folder with subfolders needs `?children=cascade` to trash the whole
+// subtree, or `?children=reparent` to move the subfolders up a level first
+router.delete('/folders/:id', validate({
+  params: idParams,
+  query: { children: { type: 'string', enum: ['cascade', 'reparent'] } }
+}), (req, res, next) => {
+  const { id } = req.params;
+  const { children } = req.query;
+  const userId = req.user.id;
 
-    const folderRemovePromise = Folder.findByIdAndRemove({ _id: id });
-    const noteRemovePromise = Note.deleteMany({ folderId: id });
+  // Notes and subfolders share the folder's `deletedAt` so restoring the
+  // folder can find exactly what was trashed along with it
+  const deletedAt = new Date();
+  let folder;
+  let trashedIds = [];
+  let movedIds = [];
+  // What the request trashes and moves, as it was before, for the audit log
+  let trashed = { folders: [], notes: [] };
+  let moved = [];
 
-    Promise.all([folderRemovePromise, noteRemovePromise])
-      .then(resultsArray => {
-        const folderResult = resultsArray[0];
+  Folder.findOne({ _id: id, userId, deletedAt: null })
+    .then(result => {
+      folder = result;
+      if (!folder) {
+        return null;
+      }
+      return Promise.all([
+        Folder.find({ parentId: id, userId, deletedAt: null }),
+        Folder.findDescendantIds(id, userId, { deletedAt: null })
+      ]);
+    })
+    .then(results => {
+      if (!results) {
+        return null;
+      }
+      const [subfolders, descendantIds] = results;
+
+      if (subfolders.length && !children) {
+        const err = new Error('The folder has subfolders, set `children` to `cascade` or `reparent`');
+        err.status = 400;
+        return Promise.reject(err);
+      }
 
-        if (folderResult) {
-          res.status(204).end();
-        } else {
-          next();
+      if (children === 'reparent') {
+        moved = subfolders;
+        movedIds = subfolders.map(subfolder => subfolder._id);
+        return checkReparent(folder, subfolders).then(() => [folder._id]);
+      }
+      return [folder._id, ...descendantIds];
+    })
+    .then(folderIds => {
+      if (!folderIds) {
+        return null;
+      }
+      trashedIds = folderIds;
+      const noteFilter = { folderId: { $in: folderIds }, userId, deletedAt: null };
+      return Promise.all([
+        Folder.find({ _id: { $in: folderIds } }),
+        Note.find(noteFilter)
+      ])
+        .then(([folders, notes]) => {
+          trashed = { folders, notes };
+          return Promise.all([
+            Folder.updateMany({ _id: { $in: folderIds } }, { deletedAt }),
+            Note.updateMany(noteFilter, { deletedAt })
+          ]);
+        });
+    })
+    .then(() => {
+      // Runs after the folder is trashed so a subfolder may share its name
+      if (folder && children === 'reparent') {
+        return Folder.updateMany(
+          { parentId: folder._id, userId, deletedAt: null },
+          { parentId: folder.parentId }
+        );
+      }
+    })
+    .then(() => {
+      if (!folder) {
+        return;
+      }
+      return Promise.all([
+        recordAudit(req, 'delete', 'folder', trashed.folders.map(before => ({ before }))),
+        recordAudit(req, 'delete', 'note', trashed.notes.map(before => ({ before }))),
+        movedIds.length && Folder.find({ _id: { $in: movedIds } })
+          .then(results => recordAudit(req, 'update', 'folder', results.map(after => ({
+            before: moved.find(subfolder => subfolder._id.equals(after._id)),
+            after
+          }))))
+      ]);
+    })
+    .then(() => {
+      if (folder) {
+        res.status(204).end();
+        publishItems('folder.deleted', trashedIds.map(_id => ({ _id, userId })));
+        publishWhere(Note, 'note.deleted', { folderId: { $in: trashedIds }, userId, deletedAt });
+        if (movedIds.length) {
+          publishWhere(Folder, 'folder.updated', { _id: { $in: movedIds } });
         }
-      })
-      .catch(err => {
-        next(err);
-      });
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
 });
 
 module.exports = router;
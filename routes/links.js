@@ -0,0 +1,102 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/note');
+const { validate } = require('../utils/validate');
+const { linkKey, createLinkResolver } = require('../utils/wiki-links');
+
+const noteParams = {
+  id: { type: 'objectId', required: true }
+};
+
+// Links resolve among the owner's notes, so only the owner can follow them.
+// Any of their notes that predate links get theirs first.
+function findOwnedNote(req, res, next) {
+  Note.backfillLinks({ userId: req.user.id })
+    .then(() => Note.findOne({ _id: req.params.id, userId: req.user.id, deletedAt: null }).select('+links'))
+    .then(note => {
+      if (!note) {
+        return next('route');
+      }
+      req.note = note;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+// The notes a link can point to
+function findLinkTargets(userId) {
+  return Note.find({ userId, deletedAt: null }).select('title created +links');
+}
+
+/* ========== GET/READ THE LINKS OF A NOTE ========== */
+// Each link's `target` is the id or title it names, and `note` the note it
+// points to, or null when it is broken. `broken=true` only lists those.
+router.get('/notes/:id/links', validate({
+  params: noteParams,
+  query: { broken: { type: 'boolean' } }
+}), findOwnedNote, (req, res, next) => {
+  const { broken } = req.query;
+
+  findLinkTargets(req.user.id)
+    .then(notes => {
+      const resolve = createLinkResolver(notes);
+      let links = req.note.links.map(target => {
+        const note = resolve(target);
+        return { target, note: note && { id: note.id, title: note.title } };
+      });
+      if (broken === 'true') {
+        links = links.filter(link => !link.note);
+      }
+      res.json(links);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ THE NOTES LINKING TO A NOTE ========== */
+// Notes that link to it by its id or by its title
+router.get('/notes/:id/backlinks', validate({ params: noteParams }), findOwnedNote, (req, res, next) => {
+  const { note } = req;
+  const targets = [note.id, linkKey(note.title || '')];
+
+  Note.find({ userId: req.user.id, deletedAt: null, _id: { $ne: note._id }, links: { $in: targets } })
+    .sort('title')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ THE GRAPH OF LINKED NOTES ========== */
+// Every live note is a node. Each edge joins a note to a note it links to,
+// once however often the link is repeated; broken links are left out.
+router.get('/graph', (req, res, next) => {
+  Note.backfillLinks({ userId: req.user.id })
+    .then(() => findLinkTargets(req.user.id))
+    .then(notes => {
+      const resolve = createLinkResolver(notes);
+      const nodes = notes.map(note => ({ id: note.id, title: note.title }));
+      const edges = [];
+      notes.forEach(note => {
+        const targets = new Set(note.links
+          .map(target => resolve(target))
+          .filter(target => target && target.id !== note.id)
+          .map(target => target.id));
+        targets.forEach(target => edges.push({ source: note.id, target }));
+      });
+      res.json({ nodes, edges });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const bodyParser = require('body-parser');
+
+const { IMPORT_SIZE_LIMIT } = require('../config');
+const { exportJson, exportZip, readZip, readJson, importNotebook } = require('../utils/notebook');
+const { validate } = require('../utils/validate');
+
+const zipTypes = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+/* ========== GET/EXPORT THE WHOLE NOTEBOOK ========== */
+router.get('/export', validate({
+  query: { format: { type: 'string', enum: ['zip', 'json'] } }
+}), (req, res, next) => {
+  const { format = 'zip' } = req.query;
+  const userId = req.user.id;
+
+  if (format === 'json') {
+    return exportJson(userId)
+      .then(dump => {
+        res.attachment('noteful-export.json').json(dump);
+      })
+      .catch(err => {
+        next(err);
+      });
+  }
+
+  exportZip(userId)
+    .then(archive => {
+      res.attachment('noteful-export.zip').send(archive);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/IMPORT AN ARCHIVE OR JSON EXPORT ========== */
+router.post('/import', bodyParser.raw({ type: zipTypes, limit: IMPORT_SIZE_LIMIT }), (req, res, next) => {
+  /***** Never trust users - validate input *****/
+  let notebookPromise;
+  if (Buffer.isBuffer(req.body)) {
+    notebookPromise = readZip(req.body);
+  } else if (req.is('application/json')) {
+    notebookPromise = readJson(req.body);
+  } else {
+    const err = new Error('The import must be a zip archive or a JSON export');
+    err.status = 400;
+    return next(err);
+  }
+
+  notebookPromise
+    .then(notebook => importNotebook(notebook, req))
+    .then(created => {
+      res.status(201).json(created);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -3,57 +3,272 @@
 const express = require('express');
 const router = express.Router();
 
-const mongoose = require('mongoose');
-
 const Note = require('../models/note');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const Template = require('../models/template');
+const NoteRevision = require('../models/note-revision');
+const Collaborator = require('../models/collaborator');
+const Attachment = require('../models/attachment');
+const { pageQuery, parseNotesPage, findNotesPage } = require('../utils/note-list');
+const { renderMarkdown } = require('../utils/markdown');
+const { validate, validationError } = require('../utils/validate');
+const { noteBody } = require('../utils/rules');
+const { publishNotes } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { patchBody, patchUpdate } = require('../utils/patch');
+const { linkKey, rewriteLinks } = require('../utils/wiki-links');
+const { builtInValues, findPrompts, fillTemplate } = require('../utils/templates');
+const { etag, matchesVersion, withVersion, conflictError, conflictOrNotFound } = require('../utils/concurrency');
 
-/* ========== GET/READ ALL ITEMS ========== */
-router.get('/notes', (req, res, next) => {
-  const { searchTerm, folderId, tagId } = req.query;
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
 
-  let filter = {};
+const flagParams = Object.assign({}, idParams, {
+  flag: { type: 'string', required: true, enum: Note.FLAGS }
+});
 
-  if (searchTerm) {
-    const re = new RegExp(searchTerm, 'i');
-    filter.title = { $regex: re };
-  }
+// `rewriteLinks=true` on a rename points `[[old title]]` links at the new one
+const renameQuery = {
+  rewriteLinks: { type: 'boolean' }
+};
 
-  if(folderId) {
-    filter.folderId = folderId;
-  }
+// A note made from a template takes its title from the template unless one
+// is sent, and `variables` holds the values of the template's prompts
+const fromTemplateBody = Object.assign({}, noteBody, {
+  title: Object.assign({}, noteBody.title, { required: false }),
+  variables: { type: 'object', values: { type: 'string', maxLength: 10000 } }
+});
 
-  if (tagId) {
-    filter.tags = tagId;
+// The `dueAt` range each `due` filter matches. Days are counted in the
+// server's time zone.
+function dueRange(due) {
+  const now = new Date();
+  const day = offset => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+
+  switch (due) {
+  case 'overdue':
+    return { $lt: now };
+  case 'today':
+    return { $gte: day(0), $lt: day(1) };
+  default:
+    return { $gte: day(0), $lt: day(7) };
   }
+}
 
-  Note.find(filter)
-    .populate('tags')
-    .sort('created')
-    .then(results => {
-      res.json(results);
+// Load the note for `PUT` and `PATCH`, checking `If-Match` before the body
+// is looked at
+function findNoteToChange(req, res, next) {
+  Note.findForUser(req.params.id, req.user.id, 'editor')
+    .then(note => {
+      if (!note) {
+        return next('route');
+      }
+      if (!matchesVersion(req, note)) {
+        return next(conflictError('note', note));
+      }
+      req.note = note;
+      next();
     })
     .catch(err => {
       next(err);
     });
-});
+}
 
-/* ========== GET/READ A SINGLE ITEM ========== */
-router.get('/notes/:id', (req, res, next) => {
-  const { id } = req.params;
+// Folders, tags and dates belong to the owner, so editors only patch the text
+function patchableFields(req) {
+  return req.note.userId.toString() === req.user.id
+    ? ['title', 'content', 'folderId', 'tags', 'dueAt', 'remindAt']
+    : ['title', 'content'];
+}
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    const err = new Error('The `id` is not valid');
-    err.status = 400;
-    return next(err);
+// An editor's `PUT` of the whole note carries the owner's folder and tags,
+// which would fail the check against the editor's own. Only the text is
+// kept, before the body is validated.
+function keepEditableFields(req, res, next) {
+  if (req.note.userId.toString() !== req.user.id) {
+    const { title, content } = req.body;
+    req.body = { title, content };
   }
+  next();
+}
 
-  Note.findById(id)
-    .populate('tags')
-    .then(result => {
-      if (result) {
-        res.json(result);
+const listQuery = Object.assign({
+  searchTerm: { type: 'string' },
+  folderId: { type: 'objectId', nullable: true },
+  tagId: { type: 'objectId', nullable: true },
+  recursive: { type: 'boolean' },
+  shared: { type: 'boolean' },
+  due: { type: 'string', enum: ['overdue', 'today', 'week'] },
+  pinned: { type: 'boolean' },
+  archived: { type: 'string', enum: ['true', 'false', 'only'] }
+}, pageQuery);
+
+// List the notes matching the query and `base`. Pinned notes come first.
+// Archived notes are left out unless `archived=true` includes them, and
+// `archived=only` lists nothing else.
+function listNotes(base) {
+  return (req, res, next) => {
+    const { searchTerm, folderId, tagId, recursive, shared, due, pinned, archived } = req.query;
+    const userId = req.user.id;
+
+    let page;
+    try {
+      page = parseNotesPage(req.query, searchTerm);
+    } catch (err) {
+      return next(err);
+    }
+
+    const filter = Object.assign({ deletedAt: null }, base);
+
+    if (tagId) {
+      filter.tags = tagId;
+    }
+
+    if (due) {
+      filter.dueAt = dueRange(due);
+    }
+
+    if (pinned === 'true') {
+      filter.pinned = true;
+    }
+
+    if (archived === 'only') {
+      filter.archived = true;
+    } else if (archived !== 'true') {
+      filter.archived = { $ne: true };
+    }
+
+    // With `recursive=true` notes in every subfolder of `folderId` are included
+    let folderPromise = Promise.resolve(folderId ? [folderId] : null);
+    if (folderId && recursive === 'true') {
+      folderPromise = Folder.findDescendantIds(folderId, userId, { deletedAt: null })
+        .then(descendantIds => [folderId, ...descendantIds]);
+    }
+
+    // With `shared=true` the notes other users have shared with you are listed
+    const ownerPromise = shared === 'true'
+      ? Collaborator.find({ userId }).then(grants => ({ _id: { $in: grants.map(grant => grant.noteId) } }))
+      : Promise.resolve({ userId });
+
+    Promise.all([ownerPromise, folderPromise])
+      .then(([owner, folderIds]) => {
+        Object.assign(filter, owner);
+        if (folderIds) {
+          filter.folderId = { $in: folderIds };
+        }
+        return findNotesPage(req, res, page, filter, searchTerm);
+      })
+      .then(results => {
+        res.json(results);
+      })
+      .catch(err => {
+        next(err);
+      });
+  };
+}
+
+// When the owner renames `before` to `after` with `rewriteLinks=true`,
+// rewrite the links to it in their other notes. Resolves with the notes
+// that changed.
+function rewriteBacklinks(req, before, after) {
+  const from = linkKey(before.title || '');
+  const isOwner = before.userId.toString() === req.user.id;
+  if (req.query.rewriteLinks !== 'true' || !isOwner || !from || from === linkKey(after.title || '')) {
+    return Promise.resolve([]);
+  }
+
+  return Note.backfillLinks({ userId: before.userId })
+    .then(() => Note.find({ userId: before.userId, deletedAt: null, _id: { $ne: before._id }, links: from }))
+    .then(notes => Promise.all(notes.map(note => {
+      const content = rewriteLinks(note.content, before.title, after.title);
+      return NoteRevision.recordBaseline(note)
+        .then(() => Note.findOneAndUpdate({ _id: note._id }, { content }, { new: true }))
+        .then(result => NoteRevision.record(result, req.user.id).then(() => ({ before: note, after: result })));
+    })))
+    .then(changes => recordAudit(req, 'update', 'note', changes).then(() => changes.map(change => change.after)));
+}
+
+// Fill in the template for a new note. Fields sent in the body win over the
+// template's, and a folder or tags of it that are now in the trash are
+// left out.
+function fillNoteTemplate(req, newItem) {
+  const { variables = {} } = req.body;
+  const userId = req.user.id;
+
+  return Template.findOne({ _id: req.query.fromTemplate, userId })
+    .then(template => {
+      if (!template) {
+        return Promise.reject(validationError([
+          { location: 'query', field: 'fromTemplate', message: 'The `fromTemplate` does not exist' }
+        ]));
+      }
+      const missing = findPrompts(template.title, template.content)
+        .filter(name => !Object.prototype.hasOwnProperty.call(variables, name));
+      if (missing.length) {
+        return Promise.reject(validationError(missing.map(name => ({
+          location: 'body',
+          field: `variables.${name}`,
+          message: `Missing \`variables.${name}\` in request body`
+        }))));
+      }
+
+      const values = Object.assign(builtInValues(req.user), variables);
+      return Promise.all([
+        template.folderId && Folder.findOne({ _id: template.folderId, userId, deletedAt: null }),
+        Tag.find({ _id: { $in: template.tags }, userId, deletedAt: null })
+      ])
+        .then(([folder, tags]) => {
+          const liveTags = new Set(tags.map(tag => tag.id));
+          const title = fillTemplate(template.title, values).trim().slice(0, noteBody.title.maxLength) || template.name;
+          const filled = {
+            title,
+            content: fillTemplate(template.content, values),
+            folderId: folder ? folder._id : null,
+            tags: template.tags.filter(tag => liveTags.has(tag.toString()))
+          };
+          Object.keys(newItem).forEach(field => {
+            if (newItem[field] !== undefined) {
+              filled[field] = newItem[field];
+            }
+          });
+          return filled;
+        });
+    });
+}
+
+/* ========== GET/READ ALL ITEMS ========== */
+router.get('/notes', validate({ query: listQuery }), listNotes({}));
+
+/* ========== GET/READ ALL FAVORITE ITEMS ========== */
+// Takes the same query as `GET /notes`
+router.get('/notes/favorites', validate({ query: listQuery }), listNotes({ favorite: true }));
+
+/* ========== GET/READ A SINGLE ITEM ========== */
+router.get('/notes/:id', validate({
+  params: idParams,
+  query: { format: { type: 'string', enum: ['html'] } }
+}), (req, res, next) => {
+  const { id } = req.params;
+  const { format } = req.query;
+  const userId = req.user.id;
+
+  Note.findForUser(id, userId, 'viewer')
+    .then(note => note && Promise.all([
+      note.populate({ path: 'tags', match: { deletedAt: null } }).execPopulate(),
+      Attachment.find({ noteId: note._id }).sort('created')
+    ]))
+    .then(found => {
+      if (!found) {
+        return next();
+      }
+      const [result, attachments] = found;
+      res.set('ETag', etag(result));
+      if (format === 'html') {
+        res.json(Object.assign(result.toObject(), { attachments, html: renderMarkdown(result.content) }));
       } else {
-        next();
+        res.json(Object.assign(result.toObject(), { attachments }));
       }
     })
     .catch(err => {
@@ -61,32 +276,40 @@ router.get('/notes/:id', (req, res, next) => {
     });
 });
 
-/* ========== POST/CREATE AN ITEM ========== */
-router.post('/notes', (req, res, next) => {
-  const { title, content, folderId, tags } = req.body;
-
-  /***** Never trust users - validate input *****/
-  if (!title) {
-    const err = new Error('Missing `title` in request body');
-    err.status = 400;
-    return next(err);
-  }
+/* ========== POST/RENDER A MARKDOWN PREVIEW ========== */
+// Lets the editor preview unsaved content with the same renderer and
+// sanitizer used for `?format=html`
+router.post('/notes/preview', validate({
+  body: { content: noteBody.content }
+}), (req, res) => {
+  const { content = '' } = req.body;
 
-  if(tags) {
-    tags.forEach(tag => {
-      if (!mongoose.Types.ObjectId.isValid(tag)) {
-        const err = new Error('The `tag` is not valid');
-        err.status = 400;
-        return next(err);
-      }
-    })
-  }
+  res.json({ html: renderMarkdown(content) });
+});
 
-  const newItem = { title, content, folderId, tags };
+/* ========== POST/CREATE AN ITEM ========== */
+// With `fromTemplate=:id` the note is made from one of your templates
+/***** Never trust users - validate input *****/
+router.post('/notes', validate({
+  query: { fromTemplate: { type: 'objectId', ref: 'Template' } }
+}), (req, res, next) => {
+  validate({ body: req.query.fromTemplate ? fromTemplateBody : noteBody })(req, res, next);
+}, (req, res, next) => {
+  const { title, content, folderId, tags, dueAt, remindAt } = req.body;
+  const userId = req.user.id;
+
+  const newItem = { title, content, folderId, tags, dueAt, remindAt, userId };
 
-  Note.create(newItem)
+  Promise.resolve(req.query.fromTemplate ? fillNoteTemplate(req, newItem) : newItem)
+    .then(item => Note.create(item))
     .then(result => {
-      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+      return NoteRevision.record(result, userId)
+        .then(() => recordAudit(req, 'create', 'note', [{ after: result }]))
+        .then(() => result);
+    })
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).set('ETag', etag(result)).status(201).json(result);
+      publishNotes('note.created', [result]);
     })
     .catch(err => {
       next(err);
@@ -94,40 +317,127 @@ router.post('/notes', (req, res, next) => {
 });
 
 /* ========== PUT/UPDATE A SINGLE ITEM ========== */
-router.put('/notes/:id', (req, res, next) => {
+// Send `If-Match` with the note's `ETag` to only update the version you
+// loaded; a 412 carries the current copy
+/***** Never trust users - validate input *****/
+router.put('/notes/:id', validate({ params: idParams, query: renameQuery }), findNoteToChange, keepEditableFields, validate({
+  body: noteBody
+}), (req, res, next) => {
   const { id } = req.params;
-  const { title, content, folderId, tags } = req.body;
+  const { note } = req;
+  const { title, content, folderId, tags, dueAt, remindAt } = req.body;
+  const userId = req.user.id;
 
-  /***** Never trust users - validate input *****/
-  if (!title) {
-    const err = new Error('Missing `title` in request body');
-    err.status = 400;
-    return next(err);
-  }
+  const options = { new: true };
+  let relinked = [];
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    const err = new Error('The `id` is not valid');
-    err.status = 400;
-    return next(err);
-  }
+  // Folders, tags and dates belong to the owner, so editors only change
+  // the text
+  const updateItem = note.userId.toString() === userId
+    ? { title, content, folderId, tags, dueAt, remindAt }
+    : { title, content };
 
-  if (tags) {
-    tags.forEach(tag => {
-      if (!mongoose.Types.ObjectId.isValid(tag)) {
-        const err = new Error('The `tag` is not valid');
-        err.status = 400;
-        return next(err);
+  NoteRevision.recordBaseline(note)
+    .then(() => Note.findOneAndUpdate(withVersion(req, { _id: id }), updateItem, options))
+    .then(result => {
+      if (!result) {
+        // Another write got in since the version check above
+        return conflictOrNotFound('note', Note.findOne({ _id: id, deletedAt: null }));
       }
+      return NoteRevision.record(result, userId)
+        .then(() => recordAudit(req, 'update', 'note', [{ before: note, after: result }]))
+        .then(() => rewriteBacklinks(req, note, result))
+        .then(changed => {
+          relinked = changed;
+          return result;
+        });
     })
+    .then(result => {
+      if (result) {
+        res.set('ETag', etag(result)).json(result);
+        publishNotes('note.updated', [result, ...relinked]);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== PATCH/UPDATE PART OF A SINGLE ITEM ========== */
+// Takes a JSON Merge Patch or a JSON Patch and only validates the fields it
+// changes. Honors `If-Match` like `PUT`.
+/***** Never trust users - validate input *****/
+router.patch('/notes/:id', validate({ params: idParams, query: renameQuery }), findNoteToChange, patchBody('note', patchableFields), validate({
+  body: noteBody,
+  partial: true
+}), (req, res, next) => {
+  const { id } = req.params;
+  const { note } = req;
+  const userId = req.user.id;
+
+  if (!Object.keys(req.body).length) {
+    return res.set('ETag', etag(note)).json(note);
   }
 
-  const updateItem = { title, content, folderId, tags };
+  const filter = { _id: id, deletedAt: null };
   const options = { new: true };
+  let relinked = [];
+
+  NoteRevision.recordBaseline(note)
+    .then(() => Note.findOneAndUpdate(withVersion(req, filter), patchUpdate(req.body), options))
+    .then(result => {
+      if (!result) {
+        return conflictOrNotFound('note', Note.findOne(filter));
+      }
+      return NoteRevision.record(result, userId)
+        .then(() => recordAudit(req, 'update', 'note', [{ before: note, after: result }]))
+        .then(() => rewriteBacklinks(req, note, result))
+        .then(changed => {
+          relinked = changed;
+          return result;
+        });
+    })
+    .then(result => {
+      if (result) {
+        res.set('ETag', etag(result)).json(result);
+        publishNotes('note.updated', [result, ...relinked]);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/TOGGLE A FLAG OF A SINGLE ITEM ========== */
+// Flips `pinned`, `archived` or `favorite`, or sets it to `value` when
+// given. Flags are the owner's, and are not kept as revisions.
+/***** Never trust users - validate input *****/
+router.post('/notes/:id/toggle/:flag', validate({
+  params: flagParams,
+  body: { value: { type: 'boolean' } }
+}), (req, res, next) => {
+  const { id, flag } = req.params;
+  const userId = req.user.id;
+  const filter = { _id: id, userId, deletedAt: null };
 
-  Note.findByIdAndUpdate(id, updateItem, options)
+  Note.findOne(filter)
+    .then(note => {
+      if (!note) {
+        return null;
+      }
+      const value = req.body.value === undefined ? note[flag] !== true : req.body.value;
+      const update = value ? { $set: { [flag]: true } } : { $unset: { [flag]: '' } };
+      return Note.findOneAndUpdate(filter, update, { new: true })
+        .then(result => result && recordAudit(req, 'update', 'note', [{ before: note, after: result }]).then(() => result));
+    })
     .then(result => {
       if (result) {
-        res.json(result);
+        res.set('ETag', etag(result)).json(result);
+        publishNotes('note.updated', [result]);
       } else {
         next();
       }
@@ -137,13 +447,18 @@ router.put('/notes/:id', (req, res, next) => {
     });
 });
 
-/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
-router.delete('/notes/:id', (req, res, next) => {
+/* ========== DELETE/MOVE A SINGLE ITEM TO THE TRASH ========== */
+router.delete('/notes/:id', validate({ params: idParams }), (req, res, next) => {
   const { id } = req.params;
+  const userId = req.user.id;
 
-  Note.findByIdAndRemove(id)
-    .then(() => {
+  Note.findOneAndUpdate({ _id: id, userId, deletedAt: null }, { deletedAt: new Date() })
+    .then(result => result && recordAudit(req, 'delete', 'note', [{ before: result }]).then(() => result))
+    .then(result => {
       res.status(204).end();
+      if (result) {
+        publishNotes('note.deleted', [result]);
+      }
     })
     .catch(err => {
       next(err);
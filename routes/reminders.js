@@ -0,0 +1,54 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const ReminderDelivery = require('../models/reminder-delivery');
+const { pageQuery, parsePageQuery, setNextLink } = require('../utils/pagination');
+const { validate } = require('../utils/validate');
+
+const pageOptions = {
+  sortFields: ['created', 'updated'],
+  defaultSort: '-created',
+  selectFields: ['noteId', 'url', 'payload', 'status', 'attempts', 'nextAttemptAt', 'lastStatus', 'lastError', 'deliveredAt', 'created', 'updated']
+};
+
+/* ========== GET/READ ALL REMINDER DELIVERIES ========== */
+// Newest first, one per webhook URL for each reminder that fired
+router.get('/reminders', validate({
+  query: Object.assign({
+    noteId: { type: 'objectId' },
+    status: { type: 'string', enum: ReminderDelivery.STATUSES }
+  }, pageQuery)
+}), (req, res, next) => {
+  const { noteId, status } = req.query;
+  const userId = req.user.id;
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, pageOptions);
+  } catch (err) {
+    return next(err);
+  }
+
+  const filter = Object.assign({ userId }, page.filter);
+  if (noteId) {
+    filter.noteId = noteId;
+  }
+  if (status) {
+    filter.status = status;
+  }
+
+  ReminderDelivery.find(filter)
+    .select(page.select)
+    .sort(page.sort)
+    .limit(page.limit + 1)
+    .then(results => {
+      res.json(setNextLink(req, res, results, page));
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
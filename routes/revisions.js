@@ -0,0 +1,175 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const { diffLines } = require('diff');
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const { validate, checkRefs } = require('../utils/validate');
+const { publishNotes } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { etag, matchesVersion, withVersion, conflictError, conflictOrNotFound } = require('../utils/concurrency');
+
+const noteParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const revisionParams = Object.assign({}, noteParams, {
+  rev: { type: 'integer', required: true, min: 1 }
+});
+
+// Load the note so every handler below is scoped to notes owned by the
+// current user
+function findNote(req, res, next) {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Note.findOne({ _id: id, userId, deletedAt: null })
+    .then(note => {
+      if (!note) {
+        return next('route');
+      }
+      req.note = note;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+// The revision's folder and tags that are still live. The others may have
+// been trashed or purged since, and are left off the restored note.
+function liveRefs(revision, userId) {
+  const refs = revision.tags.map((id, index) => ({ field: `tags[${index}]`, model: 'Tag', id: String(id) }));
+  if (revision.folderId) {
+    refs.push({ field: 'folderId', model: 'Folder', id: String(revision.folderId) });
+  }
+  return checkRefs(refs, userId)
+    .then(errors => {
+      const missing = new Set(errors.map(error => error.field));
+      return {
+        folderId: revision.folderId && !missing.has('folderId') ? revision.folderId : null,
+        tags: revision.tags.filter((id, index) => !missing.has(`tags[${index}]`))
+      };
+    });
+}
+
+function toChanges(from = '', to = '') {
+  return diffLines(from, to).map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    lines: part.value.replace(/\n$/, '').split('\n')
+  }));
+}
+
+/* ========== GET/READ ALL REVISIONS OF A NOTE ========== */
+router.get('/notes/:id/revisions', validate({ params: noteParams }), findNote, (req, res, next) => {
+  NoteRevision.find({ noteId: req.note.id })
+    .sort('-rev')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ A SINGLE REVISION ========== */
+router.get('/notes/:id/revisions/:rev', validate({ params: revisionParams }), findNote, (req, res, next) => {
+  const { rev } = req.params;
+
+  NoteRevision.findOne({ noteId: req.note.id, rev })
+    .then(result => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/DIFF TWO REVISIONS ========== */
+// Compares `:rev` against `?from=` (default: the revision before it)
+router.get('/notes/:id/revisions/:rev/diff', validate({
+  params: revisionParams,
+  query: { from: { type: 'integer', min: 1 } }
+}), findNote, (req, res, next) => {
+  const rev = Number(req.params.rev);
+  const from = req.query.from === undefined ? rev - 1 : Number(req.query.from);
+
+  // Diffing the first revision against the one before it finds nothing
+  if (from < 1) {
+    return next();
+  }
+
+  NoteRevision.find({ noteId: req.note.id, rev: { $in: [from, rev] } })
+    .then(results => {
+      const fromRevision = results.find(result => result.rev === from);
+      const toRevision = results.find(result => result.rev === rev);
+
+      if (!fromRevision || !toRevision) {
+        return next();
+      }
+
+      res.json({
+        from,
+        to: rev,
+        title: { from: fromRevision.title, to: toRevision.title },
+        changes: toChanges(fromRevision.content, toRevision.content)
+      });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/RESTORE A REVISION ========== */
+// Honors `If-Match` like `PUT /api/notes/:id`
+router.post('/notes/:id/revisions/:rev/restore', validate({ params: revisionParams }), findNote, (req, res, next) => {
+  const { rev } = req.params;
+  const { note } = req;
+  const userId = req.user.id;
+
+  if (!matchesVersion(req, note)) {
+    return next(conflictError('note', note));
+  }
+
+  NoteRevision.findOne({ noteId: note.id, rev })
+    .then(revision => {
+      if (!revision) {
+        return null;
+      }
+      return liveRefs(revision, userId)
+        .then(({ folderId, tags }) => {
+          const updateItem = { title: revision.title, content: revision.content, folderId, tags };
+          return NoteRevision.recordBaseline(note)
+            .then(() => Note.findOneAndUpdate(withVersion(req, { _id: note.id, userId }), updateItem, { new: true }));
+        })
+        .then(result => {
+          if (!result) {
+            // Another write got in since the version check above
+            return conflictOrNotFound('note', Note.findOne({ _id: note.id, deletedAt: null }));
+          }
+          return NoteRevision.record(result, userId)
+            .then(() => recordAudit(req, 'update', 'note', [{ before: note, after: result }]))
+            .then(() => result);
+        });
+    })
+    .then(result => {
+      if (result) {
+        res.set('ETag', etag(result)).json(result);
+        publishNotes('note.updated', [result]);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
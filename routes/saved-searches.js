@@ -0,0 +1,221 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const SavedSearch = require('../models/saved-search');
+const Folder = require('../models/folder');
+const { validate } = require('../utils/validate');
+const { patchUpdate } = require('../utils/patch');
+const { pageQuery, parseNotesPage, findNotesPage } = require('../utils/note-list');
+
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const tagList = { type: 'array', maxLength: 100, items: { type: 'objectId', ref: 'Tag' } };
+
+const searchBody = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  searchTerm: { type: 'string', maxLength: 500 },
+  allTags: tagList,
+  anyTags: tagList,
+  noneTags: tagList,
+  folderIds: { type: 'array', maxLength: 100, items: { type: 'objectId', ref: 'Folder' } },
+  recursive: { type: 'boolean' },
+  createdAfter: { type: 'date', nullable: true },
+  createdBefore: { type: 'date', nullable: true },
+  updatedAfter: { type: 'date', nullable: true },
+  updatedBefore: { type: 'date', nullable: true },
+  dueAfter: { type: 'date', nullable: true },
+  dueBefore: { type: 'date', nullable: true },
+  pinned: { type: 'boolean', nullable: true },
+  favorite: { type: 'boolean', nullable: true },
+  archived: { type: 'boolean' }
+};
+
+// The date fields a search can narrow, by the prefix of their conditions
+const DATE_RANGES = { created: 'created', updated: 'updated', due: 'dueAt' };
+
+function duplicateName(err) {
+  if (err.code === 11000) {
+    err = new Error('The saved search name already exists');
+    err.status = 400;
+  }
+  return err;
+}
+
+// Every condition of the body, `undefined` for those left out
+function readSearch(body) {
+  const search = {};
+  Object.keys(searchBody).forEach(field => {
+    search[field] = body[field];
+  });
+  return search;
+}
+
+/**
+ * Resolve with the filter for the notes `search` matches, apart from its
+ * `searchTerm`
+ */
+function buildFilter(search) {
+  const { userId } = search;
+  const filter = { userId, deletedAt: null };
+
+  const tags = {};
+  if (search.allTags.length) {
+    tags.$all = search.allTags;
+  }
+  if (search.anyTags.length) {
+    tags.$in = search.anyTags;
+  }
+  if (search.noneTags.length) {
+    tags.$nin = search.noneTags;
+  }
+  if (Object.keys(tags).length) {
+    filter.tags = tags;
+  }
+
+  Object.keys(DATE_RANGES).forEach(prefix => {
+    const range = {};
+    if (search[`${prefix}After`]) {
+      range.$gte = search[`${prefix}After`];
+    }
+    if (search[`${prefix}Before`]) {
+      range.$lt = search[`${prefix}Before`];
+    }
+    if (Object.keys(range).length) {
+      filter[DATE_RANGES[prefix]] = range;
+    }
+  });
+
+  ['pinned', 'favorite'].forEach(flag => {
+    if (search[flag] !== null) {
+      filter[flag] = search[flag] ? true : { $ne: true };
+    }
+  });
+  filter.archived = search.archived ? true : { $ne: true };
+
+  if (!search.folderIds.length) {
+    return Promise.resolve(filter);
+  }
+  const descendants = search.recursive
+    ? search.folderIds.map(folderId => Folder.findDescendantIds(folderId, userId, { deletedAt: null }))
+    : [];
+  return Promise.all(descendants)
+    .then(results => {
+      filter.folderId = { $in: [...search.folderIds, ...[].concat(...results)] };
+      return filter;
+    });
+}
+
+// Load the saved search so the handlers below are scoped to the user's own
+function findSavedSearch(req, res, next) {
+  SavedSearch.findOne({ _id: req.params.id, userId: req.user.id })
+    .then(search => {
+      if (!search) {
+        return next('route');
+      }
+      req.savedSearch = search;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+/* ========== GET/READ ALL SAVED SEARCHES ========== */
+router.get('/saved-searches', (req, res, next) => {
+  const userId = req.user.id;
+
+  SavedSearch.find({ userId })
+    .sort('name')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ A SINGLE SAVED SEARCH ========== */
+router.get('/saved-searches/:id', validate({ params: idParams }), findSavedSearch, (req, res) => {
+  res.json(req.savedSearch);
+});
+
+/* ========== GET/READ THE NOTES A SAVED SEARCH MATCHES ========== */
+// Evaluated on every request. Takes the same `sort`, `limit`, `cursor` and
+// `fields` as `GET /api/notes`.
+router.get('/saved-searches/:id/notes', validate({ params: idParams, query: pageQuery }), findSavedSearch, (req, res, next) => {
+  const search = req.savedSearch;
+
+  let page;
+  try {
+    page = parseNotesPage(req.query, search.searchTerm);
+  } catch (err) {
+    return next(err);
+  }
+
+  buildFilter(search)
+    .then(filter => findNotesPage(req, res, page, filter, search.searchTerm))
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/CREATE A SAVED SEARCH ========== */
+/***** Never trust users - validate input *****/
+router.post('/saved-searches', validate({ body: searchBody }), (req, res, next) => {
+  const newSearch = Object.assign(readSearch(req.body), { userId: req.user.id });
+
+  SavedSearch.create(newSearch)
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+    })
+    .catch(err => {
+      next(duplicateName(err));
+    });
+});
+
+/* ========== PUT/UPDATE A SAVED SEARCH ========== */
+// Replaces every condition, those left out are cleared
+/***** Never trust users - validate input *****/
+router.put('/saved-searches/:id', validate({ params: idParams, body: searchBody }), (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  SavedSearch.findOneAndUpdate({ _id: id, userId }, patchUpdate(readSearch(req.body)), { new: true })
+    .then(result => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(duplicateName(err));
+    });
+});
+
+/* ========== DELETE/REMOVE A SAVED SEARCH ========== */
+router.delete('/saved-searches/:id', validate({ params: idParams }), (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  SavedSearch.findOneAndRemove({ _id: id, userId })
+    .then(result => {
+      if (result) {
+        res.status(204).end();
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/note');
+const Share = require('../models/share');
+const { renderMarkdown } = require('../utils/markdown');
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { max-width: 40em; margin: 2em auto; padding: 0 1em; font-family: sans-serif; line-height: 1.5; }
+    pre { overflow-x: auto; background: #f3f4f5; padding: 0.5em; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function renderPasswordForm(message) {
+  return renderPage('Password required', `
+  <h1>Password required</h1>
+  ${message ? `<p class="error">${escapeHtml(message)}</p>` : ''}
+  <form method="post">
+    <input type="password" name="password" autofocus required>
+    <button type="submit">view note</button>
+  </form>`);
+}
+
+// Shared pages are private to whoever holds the link: keep them out of
+// caches, search engines and `Referer` headers, and allow no scripts
+function setPageHeaders(req, res, next) {
+  res.set({
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex',
+    'Referrer-Policy': 'no-referrer',
+    'Content-Security-Policy': 'default-src \'none\'; style-src \'unsafe-inline\'; img-src * data:'
+  });
+  next();
+}
+
+// Render the shared note, or the page explaining why it can't be shown
+function showShare(req, res, next) {
+  const { token } = req.params;
+  const { password } = req.body || {};
+
+  Share.findOne({ token })
+    .then(share => {
+      if (!share) {
+        return null;
+      }
+      return Note.findOne({ _id: share.noteId, deletedAt: null })
+        .then(note => (note ? { share, note } : null));
+    })
+    .then(found => {
+      if (!found) {
+        return res.status(404).send(renderPage('Not found', '<h1>This link does not exist</h1>'));
+      }
+      const { share, note } = found;
+
+      if (share.isExpired()) {
+        return res.status(410).send(renderPage('Link expired', '<h1>This link has expired</h1>'));
+      }
+
+      return share.validatePassword(password)
+        .then(isValid => {
+          if (!isValid) {
+            const message = password === undefined ? '' : 'Incorrect password';
+            return res.status(401).send(renderPasswordForm(message));
+          }
+          res.send(renderPage(note.title || 'Untitled', `
+  <h1>${escapeHtml(note.title || 'Untitled')}</h1>
+  ${renderMarkdown(note.content || '')}`));
+        });
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+/* ========== GET/VIEW A SHARED NOTE ========== */
+router.get('/:token', setPageHeaders, showShare);
+
+/* ========== POST/UNLOCK A PASSWORD PROTECTED NOTE ========== */
+router.post('/:token', setPageHeaders, express.urlencoded({ extended: false }), showShare);
+
+module.exports = router;
@@ -0,0 +1,199 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/note');
+const User = require('../models/user');
+const Share = require('../models/share');
+const Collaborator = require('../models/collaborator');
+const { validate, validationError } = require('../utils/validate');
+const { publishNotes } = require('../utils/events');
+
+const noteParams = {
+  id: { type: 'objectId', required: true }
+};
+
+// Only the owner of a note can share it, so every route below 404s for
+// collaborators and other users alike
+function findOwnedNote(req, res, next) {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Note.findOne({ _id: id, userId, deletedAt: null })
+    .then(note => {
+      if (!note) {
+        return next('route');
+      }
+      req.note = note;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+function shareUrl(req, share) {
+  return `${req.protocol}://${req.get('host')}/s/${share.token}`;
+}
+
+function withUrl(req, share) {
+  return Object.assign(share.toObject(), { url: shareUrl(req, share) });
+}
+
+/* ========== GET/READ ALL SHARE LINKS OF A NOTE ========== */
+router.get('/notes/:id/shares', validate({ params: noteParams }), findOwnedNote, (req, res, next) => {
+  Share.find({ noteId: req.note.id })
+    .sort('-created')
+    .then(results => {
+      res.json(results.map(share => withUrl(req, share)));
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/CREATE A SHARE LINK ========== */
+/***** Never trust users - validate input *****/
+router.post('/notes/:id/shares', validate({
+  params: noteParams,
+  body: {
+    expiresAt: { type: 'date', nullable: true },
+    password: { type: 'string', nullable: true, maxLength: 72 }
+  }
+}), findOwnedNote, (req, res, next) => {
+  const { expiresAt, password } = req.body;
+  const userId = req.user.id;
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return next(validationError([
+      { location: 'body', field: 'expiresAt', message: 'The `expiresAt` must be in the future' }
+    ]));
+  }
+
+  const passwordPromise = password ? Share.hashPassword(password) : Promise.resolve(null);
+
+  passwordPromise
+    .then(digest => {
+      return Share.create({
+        noteId: req.note._id,
+        userId,
+        token: Share.generateToken(),
+        password: digest,
+        expiresAt: expiresAt || null
+      });
+    })
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).status(201).json(withUrl(req, result));
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== DELETE/REVOKE A SHARE LINK ========== */
+router.delete('/notes/:id/shares/:shareId', validate({
+  params: Object.assign({}, noteParams, { shareId: { type: 'objectId', required: true } })
+}), findOwnedNote, (req, res, next) => {
+  const { shareId } = req.params;
+
+  Share.findOneAndRemove({ _id: shareId, noteId: req.note._id })
+    .then(result => {
+      if (result) {
+        res.status(204).end();
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ ALL COLLABORATORS OF A NOTE ========== */
+router.get('/notes/:id/collaborators', validate({ params: noteParams }), findOwnedNote, (req, res, next) => {
+  Collaborator.find({ noteId: req.note.id })
+    .populate('userId', 'username fullname')
+    .sort('created')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/GRANT OR CHANGE A COLLABORATOR'S ROLE ========== */
+/***** Never trust users - validate input *****/
+router.post('/notes/:id/collaborators', validate({
+  params: noteParams,
+  body: {
+    username: { type: 'string', required: true, minLength: 1 },
+    role: { type: 'string', required: true, enum: Collaborator.ROLES }
+  }
+}), findOwnedNote, (req, res, next) => {
+  const { username, role } = req.body;
+  const ownerId = req.user.id;
+  const noteId = req.note._id;
+
+  User.findOne({ username })
+    .then(user => {
+      if (!user) {
+        return Promise.reject(validationError([
+          { location: 'body', field: 'username', message: 'The `username` does not exist' }
+        ]));
+      }
+      if (user.id === ownerId) {
+        return Promise.reject(validationError([
+          { location: 'body', field: 'username', message: 'The owner of a note cannot be a collaborator' }
+        ]));
+      }
+      return Collaborator.findOne({ noteId, userId: user._id })
+        .then(grant => {
+          if (grant) {
+            grant.role = role;
+            return grant.save().then(result => ({ result, created: false }));
+          }
+          return Collaborator.create({ noteId, ownerId, userId: user._id, role })
+            .then(result => ({ result, created: true }));
+        });
+    })
+    .then(({ result, created }) => {
+      return result.populate('userId', 'username fullname').execPopulate()
+        .then(() => {
+          if (created) {
+            res.location(`${req.originalUrl}/${result.userId.id}`).status(201);
+          }
+          res.json(result);
+          // The note shows up in the collaborator's shared notes
+          if (created) {
+            publishNotes('note.created', [req.note], [result.userId._id]);
+          }
+        });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== DELETE/REVOKE A COLLABORATOR ========== */
+router.delete('/notes/:id/collaborators/:userId', validate({
+  params: Object.assign({}, noteParams, { userId: { type: 'objectId', required: true } })
+}), findOwnedNote, (req, res, next) => {
+  const { userId } = req.params;
+
+  Collaborator.findOneAndRemove({ noteId: req.note._id, userId })
+    .then(result => {
+      if (result) {
+        res.status(204).end();
+        publishNotes('note.deleted', [req.note], [userId]);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const mongoose = require('mongoose');
+
+const Note = require('../models/note');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const { validate } = require('../utils/validate');
+const { withNoteCounts } = require('../utils/note-counts');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// One entry per day from `since` through today, days without notes included
+function fillDays(since, counts) {
+  const byDate = new Map(counts.map(count => [count._id, count.count]));
+  const days = [];
+  for (let time = since.getTime(); time <= Date.now(); time += DAY) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    days.push({ date, count: byDate.get(date) || 0 });
+  }
+  return days;
+}
+
+/* ========== GET/READ THE USER'S STATISTICS ========== */
+// Counts only cover live notes the user owns. Days run midnight to midnight
+// UTC, the last `days` of them up to and including today.
+router.get('/stats', validate({
+  query: {
+    days: { type: 'integer', min: 1, max: 365 },
+    recent: { type: 'integer', min: 1, max: 50 }
+  }
+}), (req, res, next) => {
+  const days = Number(req.query.days) || 30;
+  const recent = Number(req.query.recent) || 5;
+  const userId = req.user.id;
+
+  const live = { userId: mongoose.Types.ObjectId(userId), deletedAt: null };
+  const since = new Date(Date.now() - (days - 1) * DAY);
+  since.setUTCHours(0, 0, 0, 0);
+
+  Promise.all([
+    Note.aggregate([
+      { $match: live },
+      {
+        $group: {
+          _id: null,
+          notes: { $sum: 1 },
+          unfiled: { $sum: { $cond: [{ $ifNull: ['$folderId', false] }, 0, 1] } },
+          untagged: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$tags', []] } }, 0] }, 0, 1] } }
+        }
+      }
+    ]),
+    Note.aggregate([
+      { $match: Object.assign({ created: { $gte: since } }, live) },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$created' } }, count: { $sum: 1 } } }
+    ]),
+    Note.countByFolder(userId),
+    Note.countByTag(userId),
+    Folder.find({ userId, deletedAt: null }).select('name parentId').sort('name'),
+    Tag.find({ userId, deletedAt: null }).select('name color').sort('name'),
+    Note.find({ userId, deletedAt: null }).select('title folderId updated').sort('-updated').limit(recent)
+  ])
+    .then(([[totals], perDay, folderCounts, tagCounts, folders, tags, recentlyEdited]) => {
+      const { notes, unfiled, untagged } = totals || { notes: 0, unfiled: 0, untagged: 0 };
+      res.json({
+        notes,
+        unfiled,
+        untagged,
+        folders: withNoteCounts(folders, folderCounts),
+        tags: withNoteCounts(tags, tagCounts),
+        createdPerDay: fillDays(since, perDay),
+        recentlyEdited
+      });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -3,16 +3,130 @@
 const express = require('express');
 const router = express.Router();
 
-const mongoose = require('mongoose');
-
 const Tag = require('../models/tag');
 const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const Template = require('../models/template');
+const SavedSearch = require('../models/saved-search');
+const { pageQuery, parsePageQuery, setNextLink } = require('../utils/pagination');
+const { validate, validationError } = require('../utils/validate');
+const { tagBody } = require('../utils/rules');
+const { publishItems, publishWhere } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { withNoteCounts } = require('../utils/note-counts');
+const { etag, matchesVersion, withVersion, conflictError, conflictOrNotFound } = require('../utils/concurrency');
+const { patchBody, patchUpdate } = require('../utils/patch');
+
+const pageOptions = {
+  sortFields: ['name', 'created', 'updated'],
+  defaultSort: 'name',
+  selectFields: ['name', 'color', 'created', 'updated', 'userId', 'version']
+};
+
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const mergeBody = {
+  into: { type: 'objectId', required: true, ref: 'Tag' }
+};
+
+// Swap `source` for `target` in the `field` tag list of the user's items of
+// `Model`
+function replaceTag(Model, field, userId, source, target) {
+  return Model.updateMany({ userId, [field]: source._id }, { $addToSet: { [field]: target._id } })
+    .then(() => Model.updateMany({ userId, [field]: source._id }, { $pull: { [field]: source._id } }));
+}
+
+/**
+ * Replace `source` with `target` on every note of the user, trashed ones
+ * included, and in every template and saved search, then delete `source`
+ * for good. Resolves with the ids of the notes that carried it.
+ */
+function mergeTag(req, source, target) {
+  const userId = req.user.id;
+
+  return Note.find({ userId, tags: source._id })
+    .then(notes => {
+      const noteIds = notes.map(note => note._id);
+      const live = notes.filter(note => !note.deletedAt);
+
+      // `$addToSet` skips notes that already carry both tags
+      return Promise.all(live.map(note => NoteRevision.recordBaseline(note)))
+        .then(() => Note.updateMany({ _id: { $in: noteIds } }, { $addToSet: { tags: target._id } }))
+        .then(() => Note.updateMany({ _id: { $in: noteIds } }, { $pull: { tags: source._id } }))
+        .then(() => Promise.all([
+          replaceTag(Template, 'tags', userId, source, target),
+          ...SavedSearch.TAG_FIELDS.map(field => replaceTag(SavedSearch, field, userId, source, target))
+        ]))
+        .then(() => Tag.deleteOne({ _id: source._id }))
+        .then(() => Note.find({ _id: { $in: noteIds } }))
+        .then(updated => {
+          const before = new Map(notes.map(note => [note.id, note]));
+          return Promise.all([
+            ...updated.filter(note => !note.deletedAt).map(note => NoteRevision.record(note, userId)),
+            recordAudit(req, 'purge', 'tag', [{ before: source }]),
+            recordAudit(req, 'update', 'note', updated.map(after => ({ before: before.get(after.id), after })))
+          ]);
+        })
+        .then(() => noteIds);
+    });
+}
+
+// Respond with the tag merged into and its `noteCount`, and tell clients
+// about the deleted tag and the changed notes
+function sendMerged(req, res, source, target, noteIds) {
+  return Note.countByTag(req.user.id, [target._id])
+    .then(counts => {
+      res.json(withNoteCounts([target], counts)[0]);
+      publishItems('tag.deleted', [source]);
+      publishWhere(Note, 'note.updated', { _id: { $in: noteIds }, deletedAt: null });
+    });
+}
+
+// Load the tag for `PATCH`, checking `If-Match` before the patch is applied
+function findTagToPatch(req, res, next) {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Tag.findOne({ _id: id, userId, deletedAt: null })
+    .then(tag => {
+      if (!tag) {
+        return next('route');
+      }
+      if (!matchesVersion(req, tag)) {
+        return next(conflictError('tag', tag));
+      }
+      req.tag = tag;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
 
 /* ========== GET/READ ALL ITEMS ========== */
-router.get('/tags', (req, res, next) => {
+// Each tag comes with the `noteCount` of live notes that carry it
+router.get('/tags', validate({ query: pageQuery }), (req, res, next) => {
+  const userId = req.user.id;
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, pageOptions);
+  } catch (err) {
+    return next(err);
+  }
 
-  Tag.find()
-    .sort('name')
+  const filter = Object.assign({ userId, deletedAt: null }, page.filter);
+
+  Tag.find(filter)
+    .select(page.select)
+    .sort(page.sort)
+    .limit(page.limit + 1)
+    .then(results => {
+      const tags = setNextLink(req, res, results, page);
+      return Note.countByTag(userId, tags.map(tag => tag._id)).then(counts => withNoteCounts(tags, counts));
+    })
     .then(results => {
       res.json(results);
     })
@@ -22,19 +136,14 @@ router.get('/tags', (req, res, next) => {
 });
 
 /* ========== GET/READ A SINGLE ITEM ========== */
-router.get('/tags/:id', (req, res, next) => {
+router.get('/tags/:id', validate({ params: idParams }), (req, res, next) => {
   const { id } = req.params;
+  const userId = req.user.id;
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    const err = new Error('The `id` is not valid');
-    err.status = 400;
-    return next(err);
-  }
-
-  Tag.findById(id)
+  Tag.findOne({ _id: id, userId, deletedAt: null })
     .then(result => {
       if (result) {
-        res.json(result);
+        res.set('ETag', etag(result)).json(result);
       } else {
         next();
       }
@@ -45,21 +154,18 @@ router.get('/tags/:id', (req, res, next) => {
 });
 
 /* ========== POST/CREATE AN ITEM ========== */
-router.post('/tags', (req, res, next) => {
-  const { name } = req.body;
-
-  /***** Never trust users - validate input *****/
-  if (!name) {
-    const err = new Error('Missing `name` in request body');
-    err.status = 400;
-    return next(err);
-  }
+/***** Never trust users - validate input *****/
+router.post('/tags', validate({ body: tagBody }), (req, res, next) => {
+  const { name, color } = req.body;
+  const userId = req.user.id;
 
-  const newItem = { name };
+  const newItem = { name, color, userId };
 
   Tag.create(newItem)
+    .then(result => recordAudit(req, 'create', 'tag', [{ after: result }]).then(() => result))
     .then(result => {
-      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+      res.location(`${req.originalUrl}/${result.id}`).set('ETag', etag(result)).status(201).json(result);
+      publishItems('tag.created', [result]);
     })
     .catch(err => {
     if (err.code === 11000) {
@@ -71,62 +177,131 @@ router.post('/tags', (req, res, next) => {
 });
 
 /* ========== PUT/UPDATE A SINGLE ITEM ========== */
-router.put('/tags/:id', (req, res, next) => {
+// Honors `If-Match` like `PUT /api/notes/:id`. Renaming a tag to the name of
+// another one is a 400, unless `?merge=true` asks to merge it into that one,
+// as `POST /api/tags/:id/merge` does.
+/***** Never trust users - validate input *****/
+router.put('/tags/:id', validate({
+  params: idParams,
+  query: { merge: { type: 'boolean' } },
+  body: tagBody
+}), (req, res, next) => {
   const { id } = req.params;
-  const { name } = req.body;
+  const { name, color } = req.body;
+  const userId = req.user.id;
 
-  /***** Never trust users - validate input *****/
-  if (!name) {
-    const err = new Error('Missing `name` in request body');
-    err.status = 400;
-    return next(err);
-  }
+  const filter = { _id: id, userId, deletedAt: null };
+  // Only change the color when the client sends one, null removes it
+  const updateItem = 'color' in req.body ? { name, color } : { name };
+  const options = { new: true };
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    const err = new Error('The `id` is not valid');
-    err.status = 400;
-    return next(err);
+  const targetPromise = req.query.merge === 'true'
+    ? Tag.findOne({ _id: { $ne: id }, name, userId, deletedAt: null })
+    : Promise.resolve(null);
+
+  const rename = before => {
+    return Tag.findOneAndUpdate(withVersion(req, filter), updateItem, options)
+      .then(result => result || conflictOrNotFound('tag', Tag.findOne(filter)))
+      .then(result => result && recordAudit(req, 'update', 'tag', [{ before, after: result }]).then(() => result))
+      .then(result => {
+        if (result) {
+          res.set('ETag', etag(result)).json(result);
+          publishItems('tag.updated', [result]);
+        } else {
+          next();
+        }
+      });
+  };
+
+  Promise.all([Tag.findOne(filter), targetPromise])
+    .then(([tag, target]) => {
+      if (!tag || !target) {
+        return rename(tag);
+      }
+      if (!matchesVersion(req, tag)) {
+        throw conflictError('tag', tag);
+      }
+      return mergeTag(req, tag, target)
+        .then(noteIds => sendMerged(req, res, tag, target, noteIds));
+    })
+    .catch(err => {
+      if (err.code === 11000) {
+        err = new Error('The tag name already exists');
+        err.status = 400;
+      }
+      next(err);
+    });
+});
+
+/* ========== PATCH/UPDATE PART OF A SINGLE ITEM ========== */
+// Takes a JSON Merge Patch or a JSON Patch of `name` and `color`, see
+// `PATCH /api/notes/:id`
+/***** Never trust users - validate input *****/
+router.patch('/tags/:id', validate({ params: idParams }), findTagToPatch, patchBody('tag', ['name', 'color']), validate({
+  body: tagBody,
+  partial: true
+}), (req, res, next) => {
+  const { id } = req.params;
+  const { tag } = req;
+  const userId = req.user.id;
+
+  if (!Object.keys(req.body).length) {
+    return res.set('ETag', etag(tag)).json(tag);
   }
 
-  const updateItem = { name };
+  const filter = { _id: id, userId, deletedAt: null };
   const options = { new: true };
 
-  Tag.findByIdAndUpdate(id, updateItem, options)
+  Tag.findOneAndUpdate(withVersion(req, filter), patchUpdate(req.body), options)
+    .then(result => result || conflictOrNotFound('tag', Tag.findOne(filter)))
+    .then(result => result && recordAudit(req, 'update', 'tag', [{ before: tag, after: result }]).then(() => result))
     .then(result => {
       if (result) {
-        res.json(result);
+        res.set('ETag', etag(result)).json(result);
+        publishItems('tag.updated', [result]);
       } else {
         next();
       }
     })
     .catch(err => {
-    if (err.code === 11000) {
-      err = new Error('The tag name already exists');
-      err.status = 400;
-    }
-    next(err);
-  });
+      if (err.code === 11000) {
+        err = new Error('The tag name already exists');
+        err.status = 400;
+      }
+      next(err);
+    });
 });
 
-/* ========== DELETE/REMOVE A SINGLE ITEM ========== */
-router.delete('/tags/:id', (req, res, next) => {
+/* ========== POST/MERGE AN ITEM INTO ANOTHER ========== */
+// Replaces the tag with `into` on every note, trashed ones included, and in
+// every template and saved search, then deletes it for good. Responds with
+// the merged tag and its `noteCount`.
+/***** Never trust users - validate input *****/
+router.post('/tags/:id/merge', validate({ params: idParams, body: mergeBody }), (req, res, next) => {
   const { id } = req.params;
-  const tagRemovePromise = Tag.findByIdAndRemove({ _id: id });
-  const noteRemovePromise = Note.updateMany(
-    { 'tags': id, },
-    { '$pull': { 'tags': id } }
-  );
-
-  Promise.all([tagRemovePromise, noteRemovePromise])
-      .then(([tagResult]) => {
-        if (tagResult) {
-          res.status(204).end();
-        } else {
-          next();
-        }
-      })
-      .catch(err => {
-        next(err); });
+  const { into } = req.body;
+  const userId = req.user.id;
+
+  if (id === into) {
+    return next(validationError([
+      { location: 'body', field: 'into', message: 'A tag cannot be merged into itself' }
+    ]));
+  }
+
+  Promise.all([
+    Tag.findOne({ _id: id, userId, deletedAt: null }),
+    Tag.findOne({ _id: into, userId, deletedAt: null })
+  ])
+    .then(([source, target]) => {
+      if (!source || !target) {
+        return next();
+      }
+      return mergeTag(req, source, target)
+        .then(noteIds => sendMerged(req, res, source, target, noteIds));
+    })
+    .catch(err => {
+      next(err);
+    });
 });
 
 module.exports = router;
@@ -0,0 +1,119 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Template = require('../models/template');
+const { validate } = require('../utils/validate');
+
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const templateBody = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  title: { type: 'string', maxLength: 250 },
+  content: { type: 'string', maxLength: 100000 },
+  folderId: { type: 'objectId', nullable: true, ref: 'Folder' },
+  tags: { type: 'array', maxLength: 100, items: { type: 'objectId', ref: 'Tag' } }
+};
+
+function duplicateName(err) {
+  if (err.code === 11000) {
+    err = new Error('The template name already exists');
+    err.status = 400;
+  }
+  return err;
+}
+
+/* ========== GET/READ ALL TEMPLATES ========== */
+router.get('/templates', (req, res, next) => {
+  const userId = req.user.id;
+
+  Template.find({ userId })
+    .sort('name')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ A SINGLE TEMPLATE ========== */
+router.get('/templates/:id', validate({ params: idParams }), (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Template.findOne({ _id: id, userId })
+    .then(result => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/CREATE A TEMPLATE ========== */
+/***** Never trust users - validate input *****/
+router.post('/templates', validate({ body: templateBody }), (req, res, next) => {
+  const { name, title, content, folderId, tags } = req.body;
+  const userId = req.user.id;
+
+  const newTemplate = { name, title, content, folderId, tags, userId };
+
+  Template.create(newTemplate)
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+    })
+    .catch(err => {
+      next(duplicateName(err));
+    });
+});
+
+/* ========== PUT/UPDATE A TEMPLATE ========== */
+/***** Never trust users - validate input *****/
+router.put('/templates/:id', validate({ params: idParams, body: templateBody }), (req, res, next) => {
+  const { id } = req.params;
+  const { name, title = '', content = '', folderId = null, tags = [] } = req.body;
+  const userId = req.user.id;
+
+  const updateTemplate = { name, title, content, folderId, tags };
+
+  Template.findOneAndUpdate({ _id: id, userId }, updateTemplate, { new: true })
+    .then(result => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(duplicateName(err));
+    });
+});
+
+/* ========== DELETE/REMOVE A TEMPLATE ========== */
+// Notes made from it are left as they are
+router.delete('/templates/:id', validate({ params: idParams }), (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Template.findOneAndRemove({ _id: id, userId })
+    .then(result => {
+      if (result) {
+        res.status(204).end();
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Note = require('../models/note');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const { purgeNotes, purgeFolders, purgeTags } = require('../utils/trash');
+const { validate } = require('../utils/validate');
+const { publishItems, publishNotes, publishWhere } = require('../utils/events');
+const { recordAudit, recordAuditMany } = require('../utils/audit');
+
+const trashTypes = {
+  notes: { Model: Note, purge: purgeNotes, name: 'note' },
+  folders: { Model: Folder, purge: purgeFolders, name: 'folder' },
+  tags: { Model: Tag, purge: purgeTags, name: 'tag' }
+};
+
+const validateParams = validate({
+  params: { id: { type: 'objectId', required: true } }
+});
+
+// Attach the entry of `trashTypes` matching `:type`, unknown types are a 404
+function findTrashType(req, res, next) {
+  req.trashType = trashTypes[req.params.type];
+  next(req.trashType ? undefined : 'route');
+}
+
+// Restoring a note whose folder is still in the trash would leave it hidden,
+// so the note is unfiled instead
+function restoreNote(note, userId) {
+  const restorePromise = note.folderId
+    ? Folder.count({ _id: note.folderId, userId, deletedAt: null })
+    : Promise.resolve(1);
+
+  return restorePromise
+    .then(folderCount => {
+      const update = { deletedAt: null };
+      if (!folderCount) {
+        update.$unset = { folderId: '' };
+      }
+      return Note.findByIdAndUpdate(note._id, update, { new: true });
+    });
+}
+
+// Subfolders and notes trashed together with the folder share its
+// `deletedAt`. If the parent folder is gone the folder moves to the root.
+// Their restores are audited here, the folder's own by the route.
+function restoreFolder(folder, req) {
+  const userId = req.user.id;
+  const { deletedAt } = folder;
+  const parentPromise = folder.parentId
+    ? Folder.count({ _id: folder.parentId, userId, deletedAt: null })
+    : Promise.resolve(1);
+
+  return Promise.all([
+    parentPromise,
+    Folder.findDescendantIds(folder._id, userId, { deletedAt })
+  ])
+    .then(([parentCount, descendantIds]) => {
+      const folderIds = [folder._id, ...descendantIds];
+      const noteFilter = { folderId: { $in: folderIds }, userId, deletedAt };
+      const update = { deletedAt: null };
+      if (!parentCount) {
+        update.parentId = null;
+      }
+      return Promise.all([Folder.find({ _id: { $in: descendantIds } }), Note.find(noteFilter)])
+        .then(([subfolders, notes]) => {
+          return Folder.findByIdAndUpdate(folder._id, update, { new: true })
+            .then(result => {
+              return Promise.all([
+                Folder.updateMany({ _id: { $in: descendantIds } }, { deletedAt: null }),
+                Note.updateMany(noteFilter, { deletedAt: null })
+              ]).then(() => {
+                // Notes restored on their own were unfiled, so every live note
+                // in these folders came back with them
+                publishWhere(Folder, 'folder.created', { _id: { $in: descendantIds } });
+                publishWhere(Note, 'note.created', { folderId: { $in: folderIds }, userId, deletedAt: null });
+                return Promise.all([
+                  recordAuditMany(req, 'restore', 'folder', Folder, subfolders),
+                  recordAuditMany(req, 'restore', 'note', Note, notes)
+                ]);
+              }).then(() => result);
+            });
+        });
+    });
+}
+
+function restoreTag(tag) {
+  return Tag.findByIdAndUpdate(tag._id, { deletedAt: null }, { new: true });
+}
+
+/* ========== GET/READ EVERYTHING IN THE TRASH ========== */
+router.get('/trash', (req, res, next) => {
+  const userId = req.user.id;
+  const filter = { userId, deletedAt: { $ne: null } };
+
+  Promise.all([
+    Note.find(filter).sort('-deletedAt'),
+    Folder.find(filter).sort('-deletedAt'),
+    Tag.find(filter).sort('-deletedAt')
+  ])
+    .then(([notes, folders, tags]) => {
+      res.json({ notes, folders, tags });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/RESTORE AN ITEM FROM THE TRASH ========== */
+router.post('/trash/:type/:id/restore', findTrashType, validateParams, (req, res, next) => {
+  const { type, id } = req.params;
+  const userId = req.user.id;
+  const { Model, name } = req.trashType;
+
+  let before;
+
+  Model.findOne({ _id: id, userId, deletedAt: { $ne: null } })
+    .then(item => {
+      before = item;
+      if (!item) {
+        return null;
+      }
+      if (type === 'notes') {
+        return restoreNote(item, userId);
+      }
+      if (type === 'folders') {
+        return restoreFolder(item, req);
+      }
+      return restoreTag(item);
+    })
+    .then(result => result && recordAudit(req, 'restore', name, [{ before, after: result }]).then(() => result))
+    .then(result => {
+      if (result) {
+        res.json(result);
+        // Restored items reappear in clients' lists like new ones
+        if (type === 'notes') {
+          publishNotes('note.created', [result]);
+        } else {
+          publishItems(`${name}.created`, [result]);
+        }
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      if (err.code === 11000) {
+        err = new Error(`The ${name} name already exists`);
+        err.status = 400;
+      }
+      next(err);
+    });
+});
+
+/* ========== DELETE/PERMANENTLY REMOVE AN ITEM IN THE TRASH ========== */
+router.delete('/trash/:type/:id', findTrashType, validateParams, (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const { purge } = req.trashType;
+
+  purge({ _id: id, userId, deletedAt: { $ne: null } }, req)
+    .then(count => {
+      if (count) {
+        res.status(204).end();
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== DELETE/EMPTY THE TRASH ========== */
+router.delete('/trash', (req, res, next) => {
+  const userId = req.user.id;
+  const filter = { userId, deletedAt: { $ne: null } };
+
+  // Notes first, so those trashed with a folder aren't purged, and
+  // audited, twice
+  purgeNotes(filter, req)
+    .then(() => Promise.all([purgeFolders(filter, req), purgeTags(filter, req)]))
+    .then(() => {
+      res.status(204).end();
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
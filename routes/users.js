@@ -0,0 +1,43 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/user');
+const { validate } = require('../utils/validate');
+
+// Usernames and passwords are used as-is, so reject surrounding whitespace
+// rather than silently trimming it and surprising the user at login
+const userBody = {
+  fullname: { type: 'string' },
+  username: { type: 'string', required: true, trimmed: true, minLength: 1 },
+  password: { type: 'string', required: true, trimmed: true, minLength: 8, maxLength: 72 }
+};
+
+/* ========== POST/CREATE A USER ========== */
+/***** Never trust users - validate input *****/
+router.post('/users', validate({ body: userBody }), (req, res, next) => {
+  const { fullname = '', username, password } = req.body;
+
+  User.hashPassword(password)
+    .then(digest => {
+      const newUser = {
+        username,
+        password: digest,
+        fullname: fullname.trim()
+      };
+      return User.create(newUser);
+    })
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+    })
+    .catch(err => {
+      if (err.code === 11000) {
+        err = new Error('The username already exists');
+        err.status = 400;
+      }
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhook-delivery');
+const { pageQuery, parsePageQuery, setNextLink } = require('../utils/pagination');
+const { validate, validationError } = require('../utils/validate');
+const { isAllowedUrl, deliver } = require('../utils/webhooks');
+const { claimRedelivery } = require('../utils/delivery');
+const { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_DELAY } = require('../config');
+
+const deliveryOptions = {
+  maxAttempts: Number(WEBHOOK_MAX_ATTEMPTS),
+  retryDelay: Number(WEBHOOK_RETRY_DELAY)
+};
+
+const pageOptions = {
+  sortFields: ['created', 'updated'],
+  defaultSort: '-created',
+  selectFields: ['event', 'payload', 'status', 'attempts', 'nextAttemptAt', 'lastStatus', 'lastError', 'deliveredAt', 'created', 'updated']
+};
+
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const deliveryParams = Object.assign({}, idParams, {
+  deliveryId: { type: 'objectId', required: true }
+});
+
+const webhookBody = {
+  url: { type: 'url', required: true, maxLength: 2000 },
+  secret: { type: 'string', required: true, minLength: 16, maxLength: 200 },
+  events: {
+    type: 'array', required: true, minLength: 1,
+    items: { type: 'string', enum: Webhook.EVENT_TYPES }
+  },
+  active: { type: 'boolean' }
+};
+
+// Webhooks can't be pointed at hosts inside the network, see `isAllowedUrl`
+function checkUrl(req, res, next) {
+  if (isAllowedUrl(req.body.url)) {
+    return next();
+  }
+  next(validationError([{
+    location: 'body', field: 'url', message: 'Field: `url` cannot be a loopback, private or link-local address'
+  }]));
+}
+
+// Load the webhook so the handlers below are scoped to the user's own
+function findWebhook(req, res, next) {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Webhook.findOne({ _id: id, userId })
+    .then(webhook => {
+      if (!webhook) {
+        return next('route');
+      }
+      req.webhook = webhook;
+      next();
+    })
+    .catch(err => {
+      next(err);
+    });
+}
+
+/* ========== GET/READ ALL WEBHOOKS ========== */
+router.get('/webhooks', (req, res, next) => {
+  const userId = req.user.id;
+
+  Webhook.find({ userId })
+    .sort('created')
+    .then(results => {
+      res.json(results);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ A SINGLE WEBHOOK ========== */
+router.get('/webhooks/:id', validate({ params: idParams }), findWebhook, (req, res) => {
+  res.json(req.webhook);
+});
+
+/* ========== POST/CREATE A WEBHOOK ========== */
+/***** Never trust users - validate input *****/
+router.post('/webhooks', validate({ body: webhookBody }), checkUrl, (req, res, next) => {
+  const { url, secret, events, active } = req.body;
+  const userId = req.user.id;
+
+  const newWebhook = { url, secret, events: [...new Set(events)], active, userId };
+
+  Webhook.create(newWebhook)
+    .then(result => {
+      res.location(`${req.originalUrl}/${result.id}`).status(201).json(result);
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== PUT/UPDATE A WEBHOOK ========== */
+// The secret is never sent back, so leaving it out keeps the current one
+/***** Never trust users - validate input *****/
+router.put('/webhooks/:id', validate({
+  params: idParams,
+  body: Object.assign({}, webhookBody, {
+    secret: Object.assign({}, webhookBody.secret, { required: false })
+  })
+}), checkUrl, (req, res, next) => {
+  const { id } = req.params;
+  const { url, secret, events, active } = req.body;
+  const userId = req.user.id;
+
+  const updateWebhook = { url, events: [...new Set(events)], active: active !== false };
+  if (secret !== undefined) {
+    updateWebhook.secret = secret;
+  }
+
+  Webhook.findOneAndUpdate({ _id: id, userId }, updateWebhook, { new: true })
+    .then(result => {
+      if (result) {
+        res.json(result);
+      } else {
+        next();
+      }
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== DELETE/REMOVE A WEBHOOK ========== */
+router.delete('/webhooks/:id', validate({ params: idParams }), (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  Webhook.findOneAndRemove({ _id: id, userId })
+    .then(result => {
+      if (!result) {
+        return next();
+      }
+      return WebhookDelivery.deleteMany({ webhookId: result._id })
+        .then(() => {
+          res.status(204).end();
+        });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== GET/READ THE DELIVERIES OF A WEBHOOK ========== */
+// Newest first. Deliveries that ran out of attempts are `failed`, so
+// `?status=failed` is the dead-letter log.
+router.get('/webhooks/:id/deliveries', validate({
+  params: idParams,
+  query: Object.assign({ status: { type: 'string', enum: WebhookDelivery.STATUSES } }, pageQuery)
+}), findWebhook, (req, res, next) => {
+  const { status } = req.query;
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, pageOptions);
+  } catch (err) {
+    return next(err);
+  }
+
+  const filter = Object.assign({ webhookId: req.webhook._id }, page.filter);
+  if (status) {
+    filter.status = status;
+  }
+
+  WebhookDelivery.find(filter)
+    .select(page.select)
+    .sort(page.sort)
+    .limit(page.limit + 1)
+    .then(results => {
+      res.json(setNextLink(req, res, results, page));
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+/* ========== POST/REDELIVER A DELIVERY ========== */
+// Sends it again right away with a fresh set of attempts, and responds with
+// the outcome of the first one. It is claimed while that attempt is made, so
+// retries don't send it at the same time.
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', validate({
+  params: deliveryParams
+}), findWebhook, (req, res, next) => {
+  const { deliveryId } = req.params;
+
+  WebhookDelivery.findOne({ _id: deliveryId, webhookId: req.webhook._id })
+    .then(delivery => {
+      if (!delivery) {
+        return next();
+      }
+      return claimRedelivery(WebhookDelivery, delivery)
+        .then(claimed => {
+          if (!claimed) {
+            const err = new Error('The delivery is being attempted, try again shortly');
+            err.status = 409;
+            throw err;
+          }
+          return deliver(claimed, req.webhook, deliveryOptions);
+        })
+        .then(result => {
+          res.json(result);
+        });
+    })
+    .catch(err => {
+      next(err);
+    });
+});
+
+module.exports = router;
@@ -3,15 +3,58 @@
 const express = require('express');
 const morgan = require('morgan');
 const mongoose = require('mongoose');
+const passport = require('passport');
 
-const { PORT, MONGODB_URI } = require('./config');
+const {
+  PORT, MONGODB_URI, TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL, IMPORT_SIZE_LIMIT,
+  REMINDER_WEBHOOK_URLS, REMINDER_CHECK_INTERVAL, REMINDER_MAX_ATTEMPTS, REMINDER_RETRY_DELAY,
+  WEBHOOK_RETRY_INTERVAL, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_DELAY, TRUST_PROXY
+} = require('./config');
 
 const notesRouter = require('./routes/notes');
 const foldersRouter = require('./routes/folders');
 const tagsRouter = require('./routes/tags');
+const revisionsRouter = require('./routes/revisions');
+const attachmentsRouter = require('./routes/attachments');
+const linksRouter = require('./routes/links');
+const templatesRouter = require('./routes/templates');
+const savedSearchesRouter = require('./routes/saved-searches');
+const bulkRouter = require('./routes/bulk');
+const notebookRouter = require('./routes/notebook');
+const sharingRouter = require('./routes/sharing');
+const sharedRouter = require('./routes/shared');
+const trashRouter = require('./routes/trash');
+const eventsRouter = require('./routes/events');
+const remindersRouter = require('./routes/reminders');
+const webhooksRouter = require('./routes/webhooks');
+const auditRouter = require('./routes/audit');
+const statsRouter = require('./routes/stats');
+const usersRouter = require('./routes/users');
+const authRouter = require('./routes/auth');
+
+const localStrategy = require('./passport/local');
+const jwtStrategy = require('./passport/jwt');
+
+const Folder = require('./models/folder');
+const Tag = require('./models/tag');
+
+const { startPurgeSchedule } = require('./utils/trash');
+const { startReminderSchedule } = require('./utils/reminders');
+const { startWebhooks } = require('./utils/webhooks');
+const { etag } = require('./utils/concurrency');
+const requestId = require('./utils/request-id');
+const { rateLimit } = require('./utils/rate-limit');
+
 // Create an Express application
 const app = express();
 
+// Take the client's IP from the proxies in front, so each client has its own
+// rate limits
+app.set('trust proxy', TRUST_PROXY);
+
+// Tag each request with an id, recorded in the audit log
+app.use(requestId);
+
 // Log all requests. Skip logging during
 app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'common', {
   skip: () => process.env.NODE_ENV === 'test'
@@ -20,13 +63,52 @@ app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'common', {
 // Create a static webserver
 app.use(express.static('public'));
 
-// Parse request body
-app.use(express.json());
+// Throttle every API request and shared page by IP, and sign-ups and
+// logins harder
+app.use(['/api', '/s'], rateLimit('ip', req => req.ip));
+app.use(['/api/login', '/api/users'], rateLimit('auth', req => req.ip));
+
+// Parse request body. Notebook imports can be far larger than other requests,
+// and patches are sent as `application/merge-patch+json` or
+// `application/json-patch+json`
+app.use('/api/import', express.json({ limit: IMPORT_SIZE_LIMIT }));
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+
+// Configure Passport to utilize the strategies
+passport.use(localStrategy);
+passport.use(jwtStrategy);
+
+// Public share links are served as pages on "/s"
+app.use('/s', sharedRouter);
+
+// Mount public routers on "/api"
+app.use('/api', usersRouter);
+app.use('/api', authRouter);
+
+// Protect every router mounted below this point
+app.use('/api', passport.authenticate('jwt', { session: false, failWithError: true }));
+
+// Then throttle each user, with a separate budget for changes
+app.use('/api', rateLimit(req => (['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'), req => req.user.id));
 
 // Mount router on "/api"
 app.use('/api', notesRouter);
+app.use('/api', revisionsRouter);
+app.use('/api', attachmentsRouter);
+app.use('/api', linksRouter);
+app.use('/api', templatesRouter);
+app.use('/api', savedSearchesRouter);
+app.use('/api', bulkRouter);
+app.use('/api', notebookRouter);
+app.use('/api', sharingRouter);
 app.use('/api', foldersRouter);
 app.use('/api', tagsRouter);
+app.use('/api', trashRouter);
+app.use('/api', eventsRouter);
+app.use('/api', remindersRouter);
+app.use('/api', webhooksRouter);
+app.use('/api', auditRouter);
+app.use('/api', statsRouter);
 // Catch-all 404
 app.use(function (req, res, next) {
   const err = new Error('Not Found');
@@ -38,8 +120,13 @@ app.use(function (req, res, next) {
 // Add NODE_ENV check to prevent stacktrace leak
 app.use(function (err, req, res, next) {
   res.status(err.status || 500);
+  if (err.current) {
+    res.set('ETag', etag(err.current));
+  }
   res.json({
     message: err.message,
+    errors: Array.isArray(err.errors) ? err.errors : undefined,
+    current: err.current,
     error: app.get('env') === 'development' ? err : {}
   });
 });
@@ -50,6 +137,27 @@ if (require.main === module) {
     .then(instance => {
       const conn = instance.connections[0];
       console.info(`Connected to: mongodb://${conn.host}:${conn.port}/${conn.name}`);
+
+      Promise.all([Folder.dropLegacyIndexes(), Tag.dropLegacyIndexes()])
+        .catch(err => {
+          console.error(`ERROR: dropping legacy indexes failed: ${err.message}`);
+        });
+
+      startPurgeSchedule({
+        days: Number(TRASH_RETENTION_DAYS),
+        interval: Number(TRASH_PURGE_INTERVAL)
+      });
+      startReminderSchedule({
+        urls: REMINDER_WEBHOOK_URLS,
+        interval: Number(REMINDER_CHECK_INTERVAL),
+        maxAttempts: Number(REMINDER_MAX_ATTEMPTS),
+        retryDelay: Number(REMINDER_RETRY_DELAY)
+      });
+      startWebhooks({
+        interval: Number(WEBHOOK_RETRY_INTERVAL),
+        maxAttempts: Number(WEBHOOK_MAX_ATTEMPTS),
+        retryDelay: Number(WEBHOOK_RETRY_DELAY)
+      });
     })
     .catch(err => {
       console.error(`ERROR: ${err.message}`);
@@ -0,0 +1,310 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET, ATTACHMENT_SIZE_LIMIT } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+
+const Attachment = require('../models/attachment');
+const Collaborator = require('../models/collaborator');
+const { setStorage, createLocalStorage, createS3Storage } = require('../utils/storage');
+const { purgeNotes } = require('../utils/trash');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Attachments', function () {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'noteful-attachments-'));
+
+  before(function () {
+    setStorage(createLocalStorage({ root }));
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let owner;
+  let other;
+  let ownerToken;
+  let otherToken;
+  let note;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes)
+    ])
+      .then(([users, notes]) => {
+        owner = users[0].toObject();
+        other = users[1].toObject();
+        note = notes[0];
+        ownerToken = jwt.sign({ user: owner }, JWT_SECRET, { subject: owner.username });
+        otherToken = jwt.sign({ user: other }, JWT_SECRET, { subject: other.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    setStorage(null);
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, token = ownerToken) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  function upload(filename, contents, token) {
+    return request('post', `/api/notes/${note.id}/attachments`, token)
+      .attach('file', Buffer.from(contents), filename)
+      .catch(err => err.response);
+  }
+
+  describe('POST /api/notes/:id/attachments', function () {
+
+    it('should store the file and respond with its metadata', function () {
+      return upload('todo.txt', 'buy milk')
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body).to.have.keys('id', 'noteId', 'userId', 'filename', 'mimetype', 'size', 'created', 'updated');
+          expect(res.body.filename).to.equal('todo.txt');
+          expect(res.body.mimetype).to.equal('text/plain');
+          expect(res.body.size).to.equal(8);
+          return Attachment.findById(res.body.id);
+        })
+        .then(attachment => {
+          expect(fs.readFileSync(path.join(root, attachment.key), 'utf8')).to.equal('buy milk');
+        });
+    });
+
+    it('should respond with a 415 for a type that is not allowed', function () {
+      return upload('setup.exe', 'MZ')
+        .then(res => {
+          expect(res).to.have.status(415);
+        });
+    });
+
+    it('should respond with a 413 for a file over the size limit', function () {
+      return upload('big.txt', 'x'.repeat(ATTACHMENT_SIZE_LIMIT + 1))
+        .then(res => {
+          expect(res).to.have.status(413);
+        });
+    });
+
+    it('should respond with a 422 without a file', function () {
+      return request('post', `/api/notes/${note.id}/attachments`)
+        .field('name', 'value')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Missing `file` in request body');
+        });
+    });
+
+    it('should respond with a 404 for viewers and other users', function () {
+      return upload('todo.txt', 'buy milk', otherToken)
+        .then(res => {
+          expect(res).to.have.status(404);
+          return Collaborator.create({ noteId: note._id, ownerId: owner.id, userId: other.id, role: 'viewer' });
+        })
+        .then(() => upload('todo.txt', 'buy milk', otherToken))
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('GET /api/notes/:id/attachments/:attachmentId', function () {
+
+    it('should download the file', function () {
+      return upload('todo.txt', 'buy milk')
+        .then(res => request('get', `/api/notes/${note.id}/attachments/${res.body.id}`))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('content-type', /^text\/plain/);
+          expect(res).to.have.header('content-disposition', 'attachment; filename="todo.txt"');
+          expect(res).to.have.header('x-content-type-options', 'nosniff');
+          expect(res.text).to.equal('buy milk');
+        });
+    });
+
+    it('should let viewers download', function () {
+      return Collaborator.create({ noteId: note._id, ownerId: owner.id, userId: other.id, role: 'viewer' })
+        .then(() => upload('todo.txt', 'buy milk'))
+        .then(res => request('get', `/api/notes/${note.id}/attachments/${res.body.id}`, otherToken))
+        .then(res => {
+          expect(res).to.have.status(200);
+        });
+    });
+
+    it('should be listed with the note', function () {
+      return upload('todo.txt', 'buy milk')
+        .then(() => request('get', `/api/notes/${note.id}`))
+        .then(res => {
+          expect(res.body.attachments).to.have.length(1);
+          expect(res.body.attachments[0].filename).to.equal('todo.txt');
+          expect(res.body.attachments[0]).to.not.have.property('key');
+        });
+    });
+
+  });
+
+  describe('DELETE /api/notes/:id/attachments/:attachmentId', function () {
+
+    it('should remove the attachment and its file', function () {
+      let key;
+      return upload('todo.txt', 'buy milk')
+        .then(res => Attachment.findById(res.body.id))
+        .then(attachment => {
+          key = attachment.key;
+          return request('delete', `/api/notes/${note.id}/attachments/${attachment.id}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          expect(fs.existsSync(path.join(root, key))).to.be.false;
+          return Attachment.count();
+        })
+        .then(count => {
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should be removed with the note when the trash is emptied', function () {
+      let key;
+      return upload('todo.txt', 'buy milk')
+        .then(res => Attachment.findById(res.body.id))
+        .then(attachment => {
+          key = attachment.key;
+          return purgeNotes({ _id: note._id });
+        })
+        .then(() => Attachment.count())
+        .then(count => {
+          expect(count).to.equal(0);
+          expect(fs.existsSync(path.join(root, key))).to.be.false;
+        });
+    });
+
+    it('should keep the note in the trash when its files cannot be removed', function () {
+      const storage = createLocalStorage({ root });
+      const failing = Object.assign({}, storage, {
+        remove: () => Promise.reject(new Error('Storage is unavailable'))
+      });
+      return upload('todo.txt', 'buy milk')
+        .then(() => Note.updateOne({ _id: note._id }, { deletedAt: new Date() }))
+        .then(() => {
+          setStorage(failing);
+          return purgeNotes({ _id: note._id });
+        })
+        .then(() => {
+          throw new Error('The purge should have failed');
+        }, err => {
+          expect(err.message).to.equal('Storage is unavailable');
+        })
+        .then(() => {
+          setStorage(storage);
+          return Promise.all([Note.findById(note._id), Attachment.count({ noteId: note._id })]);
+        })
+        .then(([trashed, count]) => {
+          expect(trashed.deletedAt).to.be.a('date');
+          expect(count).to.equal(1);
+          return purgeNotes({ _id: note._id });
+        })
+        .then(purged => {
+          expect(purged).to.equal(1);
+        });
+    });
+
+  });
+
+});
+
+describe('S3 storage', function () {
+  const objects = {};
+  let server;
+  let storage;
+
+  // A stand-in for an S3-compatible service that keeps objects in memory
+  before(function (done) {
+    server = http.createServer((req, res) => {
+      if (!/^AWS4-HMAC-SHA256 Credential=key\/\d{8}\/us-east-1\/s3\/aws4_request, /.test(req.headers.authorization)) {
+        res.statusCode = 403;
+        return res.end('<Error><Code>AccessDenied</Code></Error>');
+      }
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        if (req.method === 'PUT') {
+          objects[req.url] = Buffer.concat(chunks);
+        } else if (req.method === 'DELETE') {
+          delete objects[req.url];
+          res.statusCode = 204;
+        } else if (objects[req.url]) {
+          return res.end(objects[req.url]);
+        } else {
+          res.statusCode = 404;
+          return res.end('<Error><Code>NoSuchKey</Code></Error>');
+        }
+        res.end();
+      });
+    });
+    server.listen(0, () => {
+      storage = createS3Storage({
+        endpoint: `http://localhost:${server.address().port}`,
+        region: 'us-east-1',
+        bucket: 'notes',
+        accessKeyId: 'key',
+        secretAccessKey: 'secret'
+      });
+      done();
+    });
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  function read(stream) {
+    return new Promise(resolve => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    });
+  }
+
+  it('should put, get and remove objects', function () {
+    return storage.put('note/file 1', Buffer.from('hello'), 'text/plain')
+      .then(() => {
+        expect(objects).to.have.key('/notes/note/file%201');
+        return storage.get('note/file 1');
+      })
+      .then(read)
+      .then(contents => {
+        expect(contents).to.equal('hello');
+        return storage.remove('note/file 1');
+      })
+      .then(() => {
+        expect(objects).to.be.empty;
+        return storage.get('note/file 1').catch(err => err);
+      })
+      .then(err => {
+        expect(err.status).to.equal(404);
+      });
+  });
+
+});
@@ -0,0 +1,322 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+
+const AuditEvent = require('../models/audit-event');
+const Collaborator = require('../models/collaborator');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Audit log', function () {
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let owner;
+  let other;
+  let ownerToken;
+  let otherToken;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders)
+    ])
+      .then(([users]) => {
+        owner = users[0].toObject();
+        other = users[1].toObject();
+        ownerToken = jwt.sign({ user: owner }, JWT_SECRET, { subject: owner.username });
+        otherToken = jwt.sign({ user: other }, JWT_SECRET, { subject: other.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, token = ownerToken) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  describe('recording', function () {
+
+    it('should record creates, updates and deletes with before and after', function () {
+      let tag;
+      return request('post', '/api/tags').send({ name: 'audited' })
+        .then(res => {
+          tag = res.body;
+          return request('put', `/api/tags/${tag.id}`).send({ name: 'renamed' });
+        })
+        .then(() => request('delete', `/api/tags/${tag.id}`))
+        .then(() => AuditEvent.find({ resourceId: tag.id }).sort('created'))
+        .then(events => {
+          expect(events.map(event => event.action)).to.deep.equal(['create', 'update', 'delete']);
+          events.forEach(event => {
+            expect(event.resource).to.equal('tag');
+            expect(event.actorId.toString()).to.equal(owner.id);
+            expect(event.ownerId.toString()).to.equal(owner.id);
+          });
+          const [create, update, remove] = events;
+          expect(create.before).to.be.null;
+          expect(create.after.name).to.equal('audited');
+          expect(update.before.name).to.equal('audited');
+          expect(update.after.name).to.equal('renamed');
+          expect(remove.before.name).to.equal('renamed');
+          expect(remove.after).to.be.null;
+        });
+    });
+
+    it('should record the ip and request id', function () {
+      return request('post', '/api/folders')
+        .set('X-Request-Id', 'req-123')
+        .send({ name: 'Traced' })
+        .then(res => {
+          expect(res).to.have.header('x-request-id', 'req-123');
+          return AuditEvent.findOne({ resourceId: res.body.id });
+        })
+        .then(event => {
+          expect(event.requestId).to.equal('req-123');
+          expect(event.ip).to.be.a('string');
+        });
+    });
+
+    it('should record a delete for each folder and note a folder takes to the trash', function () {
+      const folder = seedFolders[0];
+      let noteIds;
+      return Note.find({ folderId: folder._id, deletedAt: null })
+        .then(notes => {
+          noteIds = notes.map(note => note.id);
+          return request('delete', `/api/folders/${folder._id}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return AuditEvent.find({ action: 'delete' });
+        })
+        .then(events => {
+          const folders = events.filter(event => event.resource === 'folder');
+          const notes = events.filter(event => event.resource === 'note');
+          expect(folders.map(event => event.resourceId.toString())).to.deep.equal([folder._id]);
+          expect(notes.map(event => event.resourceId.toString())).to.have.members(noteIds);
+        });
+    });
+
+    it('should record an event for each note a bulk action changes', function () {
+      const ids = seedNotes.filter(note => note.userId === owner.id).slice(0, 2).map(note => note._id);
+      return request('post', '/api/notes/bulk').send({ op: 'move', ids, folderId: null })
+        .then(() => request('post', '/api/notes/bulk').send({ op: 'delete', ids }))
+        .then(() => request('post', '/api/notes/bulk').send({ op: 'restore', ids }))
+        .then(() => AuditEvent.find({ resource: 'note' }))
+        .then(events => {
+          ['update', 'delete', 'restore'].forEach(action => {
+            const recorded = events.filter(event => event.action === action);
+            expect(recorded.map(event => event.resourceId.toString())).to.have.members(ids);
+            recorded.forEach(event => {
+              expect(event.actorId.toString()).to.equal(owner.id);
+              expect(event.before).to.be.an('object');
+            });
+          });
+          const moved = events.find(event => event.action === 'update');
+          expect(moved.before.folderId).to.be.a('string');
+          expect(moved.after.folderId).to.equal(undefined);
+          expect(events.find(event => event.action === 'delete').after).to.be.null;
+          expect(events.find(event => event.action === 'restore').after.id).to.be.oneOf(ids);
+        });
+    });
+
+    it('should record restoring a revision as an update', function () {
+      const note = seedNotes.find(note => note.userId === owner.id);
+      return request('patch', `/api/notes/${note._id}`).send({ title: 'Changed' })
+        .then(() => request('post', `/api/notes/${note._id}/revisions/1/restore`))
+        .then(res => {
+          expect(res).to.have.status(200);
+          return AuditEvent.find({ resourceId: note._id }).sort('created');
+        })
+        .then(events => {
+          expect(events.map(event => event.action)).to.deep.equal(['update', 'update']);
+          expect(events[1].before.title).to.equal('Changed');
+          expect(events[1].after.title).to.equal(note.title);
+        });
+    });
+
+    it('should record a restore for each folder and note restored from the trash', function () {
+      const folder = seedFolders[0];
+      let noteIds;
+      return Note.find({ folderId: folder._id, deletedAt: null })
+        .then(notes => {
+          noteIds = notes.map(note => note.id);
+          return request('delete', `/api/folders/${folder._id}`);
+        })
+        .then(() => request('post', `/api/trash/folders/${folder._id}/restore`))
+        .then(res => {
+          expect(res).to.have.status(200);
+          return AuditEvent.find({ action: 'restore' });
+        })
+        .then(events => {
+          const folders = events.filter(event => event.resource === 'folder');
+          const notes = events.filter(event => event.resource === 'note');
+          expect(folders.map(event => event.resourceId.toString())).to.include(folder._id);
+          expect(notes.map(event => event.resourceId.toString())).to.have.members(noteIds);
+          events.forEach(event => {
+            expect(event.before).to.be.an('object');
+            expect(event.after).to.be.an('object');
+          });
+        });
+    });
+
+    it('should record a purge for each item removed from the trash', function () {
+      const folder = seedFolders[0];
+      let noteIds;
+      let tag;
+      return Note.find({ folderId: folder._id, deletedAt: null })
+        .then(notes => {
+          noteIds = notes.map(note => note.id);
+          return request('delete', `/api/folders/${folder._id}`);
+        })
+        .then(() => request('delete', `/api/trash/folders/${folder._id}`))
+        .then(res => {
+          expect(res).to.have.status(204);
+          return request('post', '/api/tags').send({ name: 'trashed' });
+        })
+        .then(res => {
+          tag = res.body;
+          return request('delete', `/api/tags/${tag.id}`);
+        })
+        .then(() => request('delete', '/api/trash'))
+        .then(res => {
+          expect(res).to.have.status(204);
+          return AuditEvent.find({ action: 'purge' });
+        })
+        .then(events => {
+          const ids = resource => events
+            .filter(event => event.resource === resource)
+            .map(event => event.resourceId.toString());
+          expect(ids('folder')).to.include(folder._id);
+          expect(ids('note')).to.have.members(noteIds);
+          expect(ids('tag')).to.deep.equal([tag.id]);
+          events.forEach(event => {
+            expect(event.actorId.toString()).to.equal(owner.id);
+            expect(event.before).to.be.an('object');
+            expect(event.after).to.be.null;
+          });
+        });
+    });
+
+    it('should record a create for each folder, tag and note imported', function () {
+      const dump = {
+        folders: [{ id: 'f', name: 'Imported' }],
+        tags: [{ id: 't', name: 'imported' }],
+        notes: [{ title: 'From elsewhere', content: 'Hi', folderId: 'f', tags: ['t'] }]
+      };
+      return request('post', '/api/import').send(dump)
+        .then(res => {
+          expect(res).to.have.status(201);
+          return AuditEvent.find({ action: 'create' });
+        })
+        .then(events => {
+          expect(events.map(event => [event.resource, event.after.name || event.after.title])).to.have.deep.members([
+            ['folder', 'Imported'],
+            ['tag', 'imported'],
+            ['note', 'From elsewhere']
+          ]);
+          events.forEach(event => {
+            expect(event.actorId.toString()).to.equal(owner.id);
+            expect(event.before).to.be.null;
+          });
+        });
+    });
+
+    it('should log a collaborator\'s edit in the owner\'s log', function () {
+      const note = seedNotes.find(note => note.userId === owner.id);
+      return Collaborator.create({ noteId: note._id, ownerId: owner.id, userId: other.id, role: 'editor' })
+        .then(() => request('patch', `/api/notes/${note._id}`, otherToken).send({ title: 'Edited' }))
+        .then(res => {
+          expect(res).to.have.status(200);
+          return request('get', '/api/audit');
+        })
+        .then(res => {
+          expect(res.body).to.have.length(1);
+          expect(res.body[0].actorId).to.equal(other.id);
+          expect(res.body[0].before.title).to.equal(note.title);
+          expect(res.body[0].after.title).to.equal('Edited');
+        });
+    });
+
+    it('should not let events be changed', function () {
+      return request('post', '/api/tags').send({ name: 'fixed' })
+        .then(() => AuditEvent.updateMany({}, { action: 'delete' }))
+        .catch(err => err)
+        .then(err => {
+          expect(err.message).to.equal('Audit events cannot be changed');
+        });
+    });
+
+  });
+
+  describe('GET /api/audit', function () {
+
+    beforeEach(function () {
+      return request('post', '/api/tags').send({ name: 'first' })
+        .then(() => request('post', '/api/folders').send({ name: 'Second' }))
+        .then(() => request('post', '/api/tags', otherToken).send({ name: 'not mine' }));
+    });
+
+    it('should list the user\'s events newest first', function () {
+      return request('get', '/api/audit')
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(event => event.resource)).to.deep.equal(['folder', 'tag']);
+          expect(res.body[0]).to.include.keys('id', 'actorId', 'action', 'resource', 'resourceId', 'before', 'after', 'ip', 'requestId', 'created');
+        });
+    });
+
+    it('should filter by resource, actor and time range', function () {
+      const now = new Date().toISOString();
+      return Promise.all([
+        request('get', '/api/audit?resource=tag'),
+        request('get', `/api/audit?actorId=${other.id}`),
+        request('get', `/api/audit?to=${now}`),
+        request('get', `/api/audit?from=${now}`)
+      ])
+        .then(([byResource, byActor, before, after]) => {
+          expect(byResource.body.map(event => event.after.name)).to.deep.equal(['first']);
+          expect(byActor.body).to.be.empty;
+          expect(before.body).to.have.length(2);
+          expect(after.body).to.be.empty;
+        });
+    });
+
+    it('should respond with a 422 for an invalid filter', function () {
+      return request('get', '/api/audit?resource=user&from=yesterday')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors.map(error => error.field)).to.deep.equal(['resource', 'from']);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,107 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Authentication', function () {
+  const username = 'exampleUser';
+  const password = 'examplePass';
+  const fullname = 'Example User';
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  beforeEach(function () {
+    return User.hashPassword(password)
+      .then(digest => User.create({ username, password: digest, fullname }));
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  describe('POST /api/login', function () {
+
+    it('should return a valid auth token', function () {
+      return chai.request(app)
+        .post('/api/login')
+        .send({ username, password })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.be.an('object');
+          expect(res.body.authToken).to.be.a('string');
+
+          const payload = jwt.verify(res.body.authToken, JWT_SECRET);
+          expect(payload.user).to.not.have.property('password');
+          expect(payload.user.username).to.equal(username);
+          expect(payload.user.fullname).to.equal(fullname);
+        });
+    });
+
+    it('should reject requests with an incorrect password', function () {
+      return chai.request(app)
+        .post('/api/login')
+        .send({ username, password: 'wrongPassword' })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(401);
+          expect(res.body.message).to.equal('Unauthorized');
+        });
+    });
+
+    it('should reject requests with an unknown username', function () {
+      return chai.request(app)
+        .post('/api/login')
+        .send({ username: 'nobody', password })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(401);
+        });
+    });
+
+  });
+
+  describe('POST /api/refresh', function () {
+
+    it('should return a new token with a later expiry', function () {
+      const user = { username, fullname };
+      const token = jwt.sign({ user }, JWT_SECRET, { subject: username, expiresIn: '1m' });
+      const decoded = jwt.decode(token);
+
+      return chai.request(app)
+        .post('/api/refresh')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          const payload = jwt.verify(res.body.authToken, JWT_SECRET);
+          expect(payload.user).to.deep.equal(user);
+          expect(payload.exp).to.be.above(decoded.exp);
+        });
+    });
+
+    it('should reject requests without a token', function () {
+      return chai.request(app)
+        .post('/api/refresh')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(401);
+        });
+    });
+
+  });
+});
@@ -0,0 +1,198 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const seedNotes = require('../db/seed/notes');
+
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Bulk Note Operations', function () {
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+
+  const ids = ['000000000000000000000000', '000000000000000000000002'];
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags),
+      Folder.createIndexes(),
+      Tag.createIndexes(),
+      NoteRevision.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function bulk(body) {
+    return chai.request(app)
+      .post('/api/notes/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .catch(err => err.response);
+  }
+
+  describe('POST /api/notes/bulk', function () {
+
+    it('should move notes into a folder and report each id', function () {
+      const folderId = '111111111111111111111102';
+      return bulk({ op: 'move', ids, folderId })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.updated).to.equal(2);
+          expect(res.body.results).to.deep.equal(ids.map(id => ({ id, status: 'updated' })));
+          return Note.find({ _id: { $in: ids } });
+        })
+        .then(notes => {
+          notes.forEach(note => expect(note.folderId.toString()).to.equal(folderId));
+          return NoteRevision.count({ noteId: ids[0] });
+        })
+        .then(count => {
+          expect(count).to.equal(2);
+        });
+    });
+
+    it('should add and remove tags without duplicating them', function () {
+      const tagId = '222222222222222222222203';
+      return bulk({ op: 'addTags', ids, tags: [tagId, '222222222222222222222200'] })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return Note.findById(ids[0]);
+        })
+        .then(note => {
+          expect(note.tags.map(String)).to.deep.equal([
+            '222222222222222222222200', '222222222222222222222201', '222222222222222222222202', tagId
+          ]);
+          return bulk({ op: 'removeTags', ids, tags: [tagId, '222222222222222222222200'] });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return Note.findById(ids[1]);
+        })
+        .then(note => {
+          expect(note.tags.map(String)).to.deep.equal(['222222222222222222222201', '222222222222222222222202']);
+        });
+    });
+
+    it('should move notes to the trash and restore them', function () {
+      return bulk({ op: 'delete', ids })
+        .then(res => {
+          expect(res.body.updated).to.equal(2);
+          return Note.count({ _id: { $in: ids }, deletedAt: { $ne: null } });
+        })
+        .then(count => {
+          expect(count).to.equal(2);
+          return bulk({ op: 'restore', ids });
+        })
+        .then(res => {
+          expect(res.body.updated).to.equal(2);
+          return Note.count({ _id: { $in: ids }, deletedAt: null });
+        })
+        .then(count => {
+          expect(count).to.equal(2);
+        });
+    });
+
+    it('should report invalid, unknown and other users\' ids without failing the rest', function () {
+      const other = new Note({ title: 'other', userId: '333333333333333333333301' });
+      return other.save()
+        .then(() => bulk({ op: 'delete', ids: [ids[0], 'NOT-A-VALID-ID', '000000000000000000000099', other.id] }))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.updated).to.equal(1);
+          expect(res.body.results.map(result => result.status))
+            .to.deep.equal(['updated', 'invalid', 'not_found', 'not_found']);
+          return Note.findById(other.id);
+        })
+        .then(note => {
+          expect(note.deletedAt).to.equal(null);
+        });
+    });
+
+    it('should reject a folder or tag the user does not own and change nothing', function () {
+      return bulk({ op: 'move', ids, folderId: '111111111111111111111104' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `folderId` does not exist');
+          return bulk({ op: 'addTags', ids, tags: ['222222222222222222222204'] });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `tags[0]` does not exist');
+          return Note.findById(ids[0]);
+        })
+        .then(note => {
+          expect(note.folderId.toString()).to.equal('111111111111111111111100');
+          expect(note.tags).to.have.length(3);
+        });
+    });
+
+    it('should respond with a 422 for a missing `ids` or unknown `op`', function () {
+      return bulk({ op: 'move' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Missing `ids` in request body');
+          return bulk({ op: 'rename', ids });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.contain('The `op` must be one of: `move`');
+        });
+    });
+
+    it('should require a `folderId` to move notes, allowing `null`', function () {
+      return bulk({ op: 'move', ids })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Missing `folderId` in request body');
+          return Note.findById(ids[0]);
+        })
+        .then(note => {
+          expect(note.folderId.toString()).to.equal('111111111111111111111100');
+          return bulk({ op: 'move', ids, folderId: null });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return Note.findById(ids[0]);
+        })
+        .then(note => {
+          expect(note.folderId).to.equal(undefined);
+        });
+    });
+
+  });
+});
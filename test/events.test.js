@@ -0,0 +1,191 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const http = require('http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+
+const Collaborator = require('../models/collaborator');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Events', function () {
+  let server;
+
+  before(function () {
+    server = app.listen(0);
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let owner;
+  let other;
+  let ownerToken;
+  let otherToken;
+  let note;
+  let streams;
+
+  beforeEach(function () {
+    streams = [];
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes)
+    ])
+      .then(([users, notes]) => {
+        owner = users[0].toObject();
+        other = users[1].toObject();
+        note = notes[0];
+        ownerToken = jwt.sign({ user: owner }, JWT_SECRET, { subject: owner.username });
+        otherToken = jwt.sign({ user: other }, JWT_SECRET, { subject: other.username });
+      });
+  });
+
+  afterEach(function () {
+    streams.forEach(stream => stream.close());
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    server.close();
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, token = ownerToken) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  // Open `GET /api/events` and resolve once the stream is connected. The
+  // stream collects its events, and `next()` resolves with the next one.
+  function openStream(token) {
+    return new Promise((resolve, reject) => {
+      const headers = { Authorization: `Bearer ${token}` };
+      const req = http.get({ port: server.address().port, path: '/api/events', headers }, res => {
+        const events = [];
+        const waiting = [];
+        let buffer = '';
+
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach(block => {
+            const type = block.match(/^event: (.*)$/m);
+            const data = block.match(/^data: (.*)$/m);
+            if (type && data) {
+              events.push({ type: type[1], data: JSON.parse(data[1]) });
+            }
+          });
+          while (waiting.length && events.length) {
+            waiting.shift()(events.shift());
+          }
+        });
+
+        const stream = {
+          res,
+          next: () => new Promise(resolve => {
+            if (events.length) {
+              resolve(events.shift());
+            } else {
+              waiting.push(resolve);
+            }
+          }),
+          close: () => req.abort()
+        };
+        streams.push(stream);
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+  }
+
+  describe('GET /api/events', function () {
+
+    it('should respond with an event stream', function () {
+      return openStream(ownerToken)
+        .then(stream => {
+          expect(stream.res.statusCode).to.equal(200);
+          expect(stream.res.headers['content-type']).to.match(/^text\/event-stream/);
+          expect(stream.res.headers['cache-control']).to.equal('no-cache');
+        });
+    });
+
+    it('should respond with a 401 without a token', function () {
+      return chai.request(app)
+        .get('/api/events')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(401);
+        });
+    });
+
+    it('should push the user\'s own changes', function () {
+      let stream;
+      return openStream(ownerToken)
+        .then(_stream => {
+          stream = _stream;
+          return request('post', '/api/tags').send({ name: 'live' });
+        })
+        .then(res => {
+          return stream.next()
+            .then(event => {
+              expect(event.type).to.equal('tag.created');
+              expect(event.data.id).to.equal(res.body.id);
+              expect(event.data.name).to.equal('live');
+              return request('delete', `/api/tags/${res.body.id}`);
+            });
+        })
+        .then(() => stream.next())
+        .then(event => {
+          expect(event.type).to.equal('tag.deleted');
+          expect(event.data).to.have.keys('id');
+        });
+    });
+
+    it('should not push other users\' changes', function () {
+      let stream;
+      return openStream(ownerToken)
+        .then(_stream => {
+          stream = _stream;
+          return request('post', '/api/folders', otherToken).send({ name: 'theirs' });
+        })
+        .then(() => request('post', '/api/folders').send({ name: 'mine' }))
+        .then(() => stream.next())
+        .then(event => {
+          expect(event.type).to.equal('folder.created');
+          expect(event.data.name).to.equal('mine');
+        });
+    });
+
+    it('should push note changes to collaborators with populated tags', function () {
+      let stream;
+      return Collaborator.create({ noteId: note._id, ownerId: owner.id, userId: other.id, role: 'viewer' })
+        .then(() => openStream(otherToken))
+        .then(_stream => {
+          stream = _stream;
+          return request('put', `/api/notes/${note.id}`).send({ title: 'Shared and live' });
+        })
+        .then(() => stream.next())
+        .then(event => {
+          expect(event.type).to.equal('note.updated');
+          expect(event.data.id).to.equal(note.id);
+          expect(event.data.title).to.equal('Shared and live');
+          expect(event.data.tags).to.be.an('array');
+          event.data.tags.forEach(tag => expect(tag).to.be.an('object'));
+        });
+    });
+
+  });
+
+});
@@ -3,8 +3,12 @@ const app = require('../server');
 const chai = require('chai');
 const chaiHttp = require('chai-http');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 
-const { TEST_MONGODB_URI } = require('../config');
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
 
 const Folder = require('../models/folder');
 const seedFolders = require('../db/seed/folders');
@@ -18,8 +22,19 @@ describe('Noteful API - Folders', function () {
     return mongoose.connect(TEST_MONGODB_URI);
   });
 
+  let user;
+  let token;
+
   beforeEach(function () {
-    return Folder.insertMany(seedFolders);
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Folder.insertMany(seedFolders),
+      Folder.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
   });
 
   afterEach(function () {
@@ -32,9 +47,27 @@ describe('Noteful API - Folders', function () {
 
   describe('GET /api/folders', function () {
 
+    it('should respond with a 401 when no token is provided', function () {
+      return chai.request(app)
+        .get('/api/folders')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(401);
+        });
+    });
+
+    it('should only return folders belonging to the user', function () {
+      return chai.request(app)
+        .get('/api/folders')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          res.body.forEach(item => expect(item.userId).to.equal(user.id));
+        });
+    });
+
     it('should return the correct number of Folders and correct fields', function () {
-      const dbPromise = Folder.find();
-      const apiPromise = chai.request(app).get('/api/folders');
+      const dbPromise = Folder.find({ userId: user.id });
+      const apiPromise = chai.request(app).get('/api/folders').set('Authorization', `Bearer ${token}`);
 
       return Promise.all([dbPromise, apiPromise])
         .then(([data, res]) => {
@@ -44,41 +77,63 @@ describe('Noteful API - Folders', function () {
           expect(res.body).to.have.length(data.length);
           res.body.forEach(function (item) {
             expect(item).to.be.a('object');
-            expect(item).to.have.keys('id', 'name');
+            expect(item).to.have.keys('id', 'name', 'parentId', 'noteCount', 'userId', 'created', 'updated', 'deletedAt', 'version');
           });
         });
     });
+
+    it('should sort by name in descending order', function () {
+      return chai.request(app)
+        .get('/api/folders?sort=-name')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          const names = res.body.map(item => item.name);
+          expect(names).to.deep.equal([...names].sort().reverse());
+        });
+    });
+
+    it('should return a next link when there are more results', function () {
+      return chai.request(app)
+        .get('/api/folders?limit=1&fields=name')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res.body).to.have.length(1);
+          expect(res.body[0]).to.have.keys('id', 'name', 'noteCount');
+          expect(res).to.have.header('link', /cursor=.*rel="next"/);
+        });
+    });
 });
 
   describe('GET /api/folders/:id', function () {
 
     it('should return correct folder for a given id', function () {
       let data;
-      return Folder.findOne()
+      return Folder.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
-          return chai.request(app).get(`/api/folders/${data.id}`);
+          return chai.request(app).get(`/api/folders/${data.id}`).set('Authorization', `Bearer ${token}`);
         })
         .then((res) => {
           expect(res).to.have.status(200);
           expect(res).to.be.json;
 
           expect(res.body).to.be.an('object');
-          expect(res.body).to.have.keys('id', 'name');
+          expect(res.body).to.have.keys('id', 'name', 'parentId', 'userId', 'created', 'updated', 'deletedAt', 'version');
 
           expect(res.body.id).to.equal(data.id);
           expect(res.body.name).to.equal(data.name);
         });
     });
 
-    it('should respond with a 400 for an invalid id', function () {
+    it('should respond with a 422 for an invalid id', function () {
       const badId = '99-99-99';
 
       return chai.request(app)
         .get(`/api/folders/${badId}`)
+        .set('Authorization', `Bearer ${token}`)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res.body.message).to.eq('The `id` is not valid');
         });
     });
@@ -87,6 +142,7 @@ describe('Noteful API - Folders', function () {
 
       return chai.request(app)
         .get('/api/folders/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
         .catch(err => err.response)
         .then(res => {
           expect(res).to.have.status(404);
@@ -104,6 +160,7 @@ describe('Noteful API - Folders', function () {
       let res;
       return chai.request(app)
         .post('/api/folders')
+        .set('Authorization', `Bearer ${token}`)
         .send(newItem)
         .then(function (_res) {
           res = _res;
@@ -111,7 +168,7 @@ describe('Noteful API - Folders', function () {
           expect(res).to.have.header('location');
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
-          expect(res.body).to.have.keys('id', 'name');
+          expect(res.body).to.have.keys('id', 'name', 'parentId', 'userId', 'created', 'updated', 'deletedAt', 'version');
           return Folder.findById(res.body.id);
         })
         .then(data => {
@@ -124,16 +181,45 @@ describe('Noteful API - Folders', function () {
 
       return chai.request(app)
         .post('/api/folders')
+        .set('Authorization', `Bearer ${token}`)
         .send(newItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
           expect(res.body.message).to.equal('Missing `name` in request body');
         });
     });
 
+    it('should allow a name that another user already has', function () {
+      // "Work" is also a folder of the second seed user
+      return Folder.deleteOne({ name: 'Work', userId: user.id })
+        .then(() => {
+          return chai.request(app)
+            .post('/api/folders')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Work' });
+        })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.name).to.equal('Work');
+          expect(res.body.userId).to.equal(user.id);
+        });
+    });
+
+    it('should return an error when the user already has a folder with that name', function () {
+      return chai.request(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Work' })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The folder name already exists');
+        });
+    });
+
   });
 
   describe('PUT /api/folders/:id', function () {
@@ -143,18 +229,19 @@ describe('Noteful API - Folders', function () {
         'name': 'FooBar'
       };
       let data;
-      return Folder.findOne()
+      return Folder.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
           return chai.request(app)
             .put(`/api/folders/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
             .send(updateItem);
         })
         .then(function (res) {
           expect(res).to.have.status(200);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
-          expect(res.body).to.have.keys('id', 'name');
+          expect(res.body).to.have.keys('id', 'name', 'parentId', 'userId', 'created', 'updated', 'deletedAt', 'version');
 
           expect(res.body.id).to.equal(data.id);
           expect(res.body.name).to.equal(updateItem.name);
@@ -162,17 +249,49 @@ describe('Noteful API - Folders', function () {
     });
 
 
-    it('should respond with a 400 for improperly formatted id', function () {
+    it('should respond with a 412 and the current folder when `If-Match` is stale', function () {
+      const updateItem = { 'name': 'FooBar' };
+      let data;
+      return Folder.findOne({ userId: user.id })
+        .then(_data => {
+          data = _data;
+          return chai.request(app)
+            .put(`/api/folders/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', `"${data.version + 1}"`)
+            .send(updateItem);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(412);
+          expect(res).to.have.header('etag', `"${data.version}"`);
+          expect(res.body.message).to.equal('The folder has been changed since you loaded it');
+          expect(res.body.current.name).to.equal(data.name);
+          return chai.request(app)
+            .put(`/api/folders/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', res.header.etag)
+            .send(updateItem);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.name).to.equal(updateItem.name);
+          expect(res.body.version).to.equal(data.version + 1);
+        });
+    });
+
+    it('should respond with a 422 for improperly formatted id', function () {
       const updateItem = { 'name': 'HalloWorld'};
 
       const badId = '99-99-99';
 
       return chai.request(app)
         .put(`/api/folders/${badId}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res.body.message).to.eq('The `id` is not valid');
         });
     });
@@ -182,6 +301,7 @@ describe('Noteful API - Folders', function () {
 
       return chai.request(app)
         .put('/api/folders/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
@@ -191,19 +311,202 @@ describe('Noteful API - Folders', function () {
 
   });
 
+  describe('PATCH /api/folders/:id', function () {
+
+    const itemId = '111111111111111111111105';
+
+    function patch(body) {
+      return chai.request(app)
+        .patch(`/api/folders/${itemId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify(body))
+        .catch(err => err.response);
+    }
+
+    it('should rename the folder with a merge patch', function () {
+      return patch({ name: 'Renamed' })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('etag', '"1"');
+          expect(res.body.name).to.equal('Renamed');
+        });
+    });
+
+    it('should respond with a 422 for an empty name', function () {
+      return patch({ name: '' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `name` cannot be empty');
+        });
+    });
+
+    it('should move the folder to the root when `parentId` is removed', function () {
+      return patch({ parentId: null })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.name).to.equal('Journal');
+          expect(res.body.parentId).to.not.exist;
+        });
+    });
+
+    it('should respond with a 400 when moving the folder into itself', function () {
+      return patch({ parentId: itemId })
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('A folder cannot be moved into itself or one of its subfolders');
+        });
+    });
+
+  });
+
   describe('DELETE  /api/folders/:id', function () {
 
     it('should delete an item by id', function () {
       let data;
-      return Folder.findOne()
+      return Folder.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
-          return chai.request(app).delete(`/api/folders/${data.id}`);
+          return chai.request(app).delete(`/api/folders/${data.id}`).set('Authorization', `Bearer ${token}`);
         })
         .then(function (res) {
           expect(res).to.have.status(204);
         });
     });
 
+    it('should require a choice for a folder with subfolders', function () {
+      return chai.request(app)
+        .delete('/api/folders/111111111111111111111102')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The folder has subfolders, set `children` to `cascade` or `reparent`');
+        });
+    });
+
+    it('should trash the whole subtree with children=cascade', function () {
+      return chai.request(app)
+        .delete('/api/folders/111111111111111111111102?children=cascade')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(204);
+          return Folder.findById('111111111111111111111105');
+        })
+        .then(child => {
+          expect(child.deletedAt).to.be.a('date');
+        });
+    });
+
+    it('should move subfolders up a level with children=reparent', function () {
+      return chai.request(app)
+        .delete('/api/folders/111111111111111111111102?children=reparent')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(204);
+          return Folder.findById('111111111111111111111105');
+        })
+        .then(child => {
+          expect(child.deletedAt).to.be.null;
+          expect(child.parentId).to.be.null;
+        });
+    });
+
+  });
+
+  describe('Folder.dropLegacyIndexes', function () {
+
+    it('should drop the old index that kept users from sharing a folder name', function () {
+      return Folder.deleteMany({})
+        .then(() => Folder.collection.createIndex({ name: 1 }, { unique: true }))
+        .then(() => Folder.dropLegacyIndexes())
+        .then(() => Folder.dropLegacyIndexes())
+        .then(() => Folder.collection.indexes())
+        .then(indexes => {
+          expect(indexes.map(index => index.name)).to.not.include('name_1');
+          return Folder.create([
+            { name: 'Shared name', userId: user.id },
+            { name: 'Shared name', userId: '333333333333333333333301' }
+          ]);
+        })
+        .then(folders => {
+          expect(folders).to.have.length(2);
+        });
+    });
+
+  });
+
+  describe('Nested folders', function () {
+
+    it('should create a folder inside a parent', function () {
+      return chai.request(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Recipes', parentId: '111111111111111111111102' })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.parentId).to.equal('111111111111111111111102');
+        });
+    });
+
+    it('should reject a parent that belongs to another user', function () {
+      return chai.request(app)
+        .post('/api/folders')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Recipes', parentId: '111111111111111111111104' })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `parentId` does not exist');
+        });
+    });
+
+    it('should prevent moving a folder into its own subfolder', function () {
+      return chai.request(app)
+        .put('/api/folders/111111111111111111111102')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Personal', parentId: '111111111111111111111105' })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('A folder cannot be moved into itself or one of its subfolders');
+        });
+    });
+
+    it('should move a folder to the root when parentId is null', function () {
+      return chai.request(app)
+        .put('/api/folders/111111111111111111111105')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Journal', parentId: null })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.parentId).to.be.null;
+        });
+    });
+
+    it('should return the nested tree with tree=true', function () {
+      return chai.request(app)
+        .get('/api/folders?tree=true')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          const personal = res.body.find(folder => folder.name === 'Personal');
+          expect(personal.children).to.have.length(1);
+          expect(personal.children[0].name).to.equal('Journal');
+          expect(personal.children[0].noteCount).to.equal(0);
+          expect(res.body.find(folder => folder.name === 'Journal')).to.be.undefined;
+        });
+    });
+
+    it('should return the breadcrumb from the root', function () {
+      return chai.request(app)
+        .get('/api/folders/111111111111111111111105/breadcrumb')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(folder => folder.name)).to.deep.equal(['Personal', 'Journal']);
+        });
+    });
+
   });
 });
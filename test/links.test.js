@@ -0,0 +1,220 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Links', function () {
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let token;
+  let otherToken;
+
+  beforeEach(function () {
+    return User.insertMany(seedUsers)
+      .then(users => {
+        token = jwt.sign({ user: users[0] }, JWT_SECRET, { subject: users[0].username });
+        otherToken = jwt.sign({ user: users[1] }, JWT_SECRET, { subject: users[1].username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, authToken = token) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${authToken}`);
+  }
+
+  function createNote(title, content) {
+    return request('post', '/api/notes').send({ title, content }).then(res => res.body);
+  }
+
+  // Create "Recipes" and a note linking to it by title, by id and to a
+  // note that doesn't exist
+  function createLinkedNotes() {
+    return createNote('Recipes', 'All my recipes')
+      .then(recipes => {
+        const content = `See [[recipes]], [[${recipes.id}|the list]] and [[Shopping List]]`;
+        return createNote('Dinner', content)
+          .then(dinner => ({ recipes, dinner }));
+      });
+  }
+
+  describe('GET /api/notes/:id/links', function () {
+
+    it('should list the links with the notes they point to', function () {
+      return createLinkedNotes()
+        .then(({ recipes, dinner }) => {
+          return request('get', `/api/notes/${dinner.id}/links`)
+            .then(res => {
+              expect(res).to.have.status(200);
+              expect(res.body).to.deep.equal([
+                { target: 'recipes', note: { id: recipes.id, title: 'Recipes' } },
+                { target: recipes.id, note: { id: recipes.id, title: 'Recipes' } },
+                { target: 'shopping list', note: null }
+              ]);
+            });
+        });
+    });
+
+    it('should only list broken links with `broken=true`', function () {
+      return createLinkedNotes()
+        .then(({ dinner }) => request('get', `/api/notes/${dinner.id}/links?broken=true`))
+        .then(res => {
+          expect(res.body).to.deep.equal([{ target: 'shopping list', note: null }]);
+        });
+    });
+
+    it('should follow changes to the content', function () {
+      return createLinkedNotes()
+        .then(({ dinner }) => {
+          return request('patch', `/api/notes/${dinner.id}`)
+            .set('Content-Type', 'application/merge-patch+json')
+            .send(JSON.stringify({ content: 'Nothing here' }))
+            .then(() => request('get', `/api/notes/${dinner.id}/links`));
+        })
+        .then(res => {
+          expect(res.body).to.be.empty;
+        });
+    });
+
+    it('should respond with a 404 for another user\'s note', function () {
+      return createLinkedNotes()
+        .then(({ dinner }) => request('get', `/api/notes/${dinner.id}/links`, otherToken))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('notes without stored links', function () {
+
+    it('should parse the links of notes added with `insertMany`', function () {
+      return createNote('Recipes', 'All my recipes')
+        .then(recipes => {
+          return Note.insertMany([{ title: 'Lunch', content: 'From [[Recipes]]', userId: recipes.userId }])
+            .then(() => request('get', `/api/notes/${recipes.id}/backlinks`));
+        })
+        .then(res => {
+          expect(res.body.map(note => note.title)).to.deep.equal(['Lunch']);
+        });
+    });
+
+    it('should parse the links of notes that predate them on first use', function () {
+      let dinner;
+      return createLinkedNotes()
+        .then(notes => {
+          dinner = notes.dinner;
+          return Note.collection.updateMany({}, { $unset: { links: '' } });
+        })
+        .then(() => request('get', '/api/graph'))
+        .then(res => {
+          expect(res.body.edges).to.have.length(1);
+          return Note.findById(dinner.id).select('+links');
+        })
+        .then(note => {
+          expect(note.links).to.have.length(3);
+          expect(note.version).to.equal(dinner.version);
+        });
+    });
+
+  });
+
+  describe('GET /api/notes/:id/backlinks', function () {
+
+    it('should list the notes linking to a note', function () {
+      return createLinkedNotes()
+        .then(({ recipes, dinner }) => {
+          return request('get', `/api/notes/${recipes.id}/backlinks`)
+            .then(res => {
+              expect(res).to.have.status(200);
+              expect(res.body.map(note => note.id)).to.deep.equal([dinner.id]);
+              expect(res.body[0]).to.not.have.property('links');
+            });
+        });
+    });
+
+  });
+
+  describe('GET /api/graph', function () {
+
+    it('should return every note as a node and each link once as an edge', function () {
+      return createLinkedNotes()
+        .then(({ recipes, dinner }) => {
+          return request('get', '/api/graph')
+            .then(res => {
+              expect(res).to.have.status(200);
+              expect(res.body.nodes).to.have.deep.members([
+                { id: recipes.id, title: 'Recipes' },
+                { id: dinner.id, title: 'Dinner' }
+              ]);
+              expect(res.body.edges).to.deep.equal([{ source: dinner.id, target: recipes.id }]);
+            });
+        });
+    });
+
+  });
+
+  describe('renaming a note', function () {
+
+    it('should rewrite the links to it with `rewriteLinks=true`', function () {
+      let notes;
+      return createLinkedNotes()
+        .then(_notes => {
+          notes = _notes;
+          return request('put', `/api/notes/${notes.recipes.id}?rewriteLinks=true`)
+            .send({ title: 'Cookbook', content: 'All my recipes' });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return request('get', `/api/notes/${notes.dinner.id}`);
+        })
+        .then(res => {
+          expect(res.body.content).to.equal(`See [[Cookbook]], [[${notes.recipes.id}|the list]] and [[Shopping List]]`);
+          return request('get', `/api/notes/${notes.dinner.id}/links?broken=true`);
+        })
+        .then(res => {
+          expect(res.body.map(link => link.target)).to.deep.equal(['shopping list']);
+        });
+    });
+
+    it('should leave the links alone otherwise', function () {
+      let notes;
+      return createLinkedNotes()
+        .then(_notes => {
+          notes = _notes;
+          return request('put', `/api/notes/${notes.recipes.id}`)
+            .send({ title: 'Cookbook', content: 'All my recipes' });
+        })
+        .then(() => request('get', `/api/notes/${notes.dinner.id}/links?broken=true`))
+        .then(res => {
+          expect(res.body.map(link => link.target)).to.deep.equal(['recipes', 'shopping list']);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,322 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const JSZip = require('jszip');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const seedNotes = require('../db/seed/notes');
+
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+
+const { readZip } = require('../utils/notebook');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+// Collect a binary response body into a Buffer
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Noteful API - Import and Export', function () {
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags),
+      Folder.createIndexes(),
+      Tag.createIndexes(),
+      NoteRevision.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function exportZip() {
+    return chai.request(app)
+      .get('/api/export?format=zip')
+      .set('Authorization', `Bearer ${token}`)
+      .buffer()
+      .parse(binaryParser);
+  }
+
+  function importBody(type, body) {
+    return chai.request(app)
+      .post('/api/import')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', type)
+      .send(body)
+      .catch(err => err.response);
+  }
+
+  describe('GET /api/export', function () {
+
+    it('should export one markdown file per note laid out by folder', function () {
+      return exportZip()
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('content-type', /application\/zip/);
+          return JSZip.loadAsync(res.body);
+        })
+        .then(zip => {
+          const files = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+          expect(files).to.have.length(8);
+          expect(files).to.include('Personal/Journal/10 ways cats can help you live to 100.md');
+          return zip.file('Archive/5 life lessons learned from cats.md').async('string');
+        })
+        .then(text => {
+          expect(text).to.match(/^---\n/);
+          expect(text).to.contain('folder: Archive');
+          expect(text).to.contain('- foo');
+          expect(text).to.contain('created: ');
+          expect(text).to.contain('Lorem ipsum dolor sit amet');
+        });
+    });
+
+    it('should export a JSON dump of the user\'s folders, tags and notes', function () {
+      return chai.request(app)
+        .get('/api/export?format=json')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.version).to.equal(1);
+          expect(res.body.notes).to.have.length(8);
+          expect(res.body.folders).to.have.length(5);
+          expect(res.body.tags).to.have.length(4);
+          expect(res.body.notes[0]).to.include.keys('id', 'title', 'content', 'folderId', 'tags', 'created');
+        });
+    });
+
+    it('should not name an entry after a folder or note of only dots', function () {
+      return Promise.all([
+        Folder.findByIdAndUpdate('111111111111111111111100', { name: '..' }),
+        Note.findByIdAndUpdate('000000000000000000000000', { title: '.' })
+      ])
+        .then(() => exportZip())
+        .then(res => JSZip.loadAsync(res.body))
+        .then(zip => {
+          const names = Object.keys(zip.files);
+          names.forEach(name => expect(name.split('/')).to.not.include.members(['.', '..']));
+          expect(names).to.include('Untitled/Untitled.md');
+        });
+    });
+
+    it('should respond with a 422 for an unknown format', function () {
+      return chai.request(app)
+        .get('/api/export?format=pdf')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `format` must be `zip` or `json`');
+        });
+    });
+
+  });
+
+  describe('POST /api/import', function () {
+
+    it('should merge an exported archive into existing folders and tags', function () {
+      return exportZip()
+        .then(res => importBody('application/zip', res.body))
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body).to.deep.equal({ folders: 0, tags: 0, notes: 8, rejected: [] });
+          return Note.find({ title: '10 ways cats can help you live to 100' });
+        })
+        .then(notes => {
+          expect(notes).to.have.length(2);
+          notes.forEach(note => {
+            expect(note.folderId.toString()).to.equal('111111111111111111111105');
+            expect(note.tags).to.have.length(3);
+          });
+          return NoteRevision.count({ noteId: notes[1]._id });
+        })
+        .then(count => {
+          expect(count).to.be.at.least(1);
+        });
+    });
+
+    it('should create missing folders and tags from front matter', function () {
+      const zip = new JSZip();
+      zip.file('Recipes/Soup.md', '---\ntitle: Tomato soup\ntags: [food, foo]\ncreated: 2018-01-02T00:00:00.000Z\n---\n\n# Soup\n');
+      zip.file('Loose.md', 'No front matter here');
+      return zip.generateAsync({ type: 'nodebuffer' })
+        .then(archive => importBody('application/zip', archive))
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body).to.deep.equal({ folders: 1, tags: 1, notes: 2, rejected: [] });
+          return Note.findOne({ title: 'Tomato soup' }).populate('folderId tags');
+        })
+        .then(note => {
+          expect(note.content).to.equal('# Soup\n');
+          expect(note.folderId.name).to.equal('Recipes');
+          expect(note.tags.map(tag => tag.name).sort()).to.deep.equal(['foo', 'food']);
+          expect(note.created.toISOString()).to.equal('2018-01-02T00:00:00.000Z');
+          return Note.findOne({ title: 'Loose' });
+        })
+        .then(note => {
+          expect(note.content).to.equal('No front matter here');
+          expect(note.folderId).to.equal(undefined);
+        });
+    });
+
+    it('should keep due dates, reminders and flags through both formats', function () {
+      const dueAt = new Date('2018-03-04T05:06:07.000Z');
+      const remindAt = new Date(Date.now() + 60 * 60 * 1000);
+      const title = '5 life lessons learned from cats';
+      const check = note => {
+        expect(note.dueAt.toISOString()).to.equal(dueAt.toISOString());
+        expect(note.remindAt.toISOString()).to.equal(remindAt.toISOString());
+        expect(note.pinned).to.equal(true);
+        expect(note.favorite).to.equal(true);
+        expect(note.archived).to.equal(undefined);
+      };
+      return Note.findByIdAndUpdate('000000000000000000000000', { dueAt, remindAt, pinned: true, favorite: true })
+        .then(() => exportZip())
+        .then(res => importBody('application/zip', res.body))
+        .then(res => {
+          expect(res).to.have.status(201);
+          return chai.request(app)
+            .get('/api/export?format=json')
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => importBody('application/json', res.body))
+        .then(res => {
+          expect(res).to.have.status(201);
+          return Note.find({ title }).sort('_id');
+        })
+        .then(notes => {
+          expect(notes).to.have.length(4);
+          notes.forEach(check);
+        });
+    });
+
+    it('should not send reminders again for imported notes', function () {
+      const dump = {
+        notes: [{ title: 'Past', remindAt: '2018-01-01T00:00:00.000Z' }]
+      };
+      return importBody('application/json', dump)
+        .then(res => {
+          expect(res).to.have.status(201);
+          return Note.findOne({ title: 'Past' }).select('+remindedAt');
+        })
+        .then(note => {
+          expect(note.remindAt.toISOString()).to.equal('2018-01-01T00:00:00.000Z');
+          expect(note.remindedAt).to.be.an.instanceof(Date);
+        });
+    });
+
+    it('should import a JSON dump', function () {
+      const dump = {
+        folders: [{ id: 'a', name: 'Personal' }, { id: 'b', name: 'Trips', parentId: 'a' }],
+        tags: [{ id: 't', name: 'bar' }],
+        notes: [{ title: 'Lisbon', content: 'Pasteis', folderId: 'b', tags: ['t'] }]
+      };
+      return importBody('application/json', dump)
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body).to.deep.equal({ folders: 1, tags: 0, notes: 1, rejected: [] });
+          return Folder.findOne({ name: 'Trips' });
+        })
+        .then(folder => {
+          expect(folder.parentId.toString()).to.equal('111111111111111111111102');
+        });
+    });
+
+    it('should skip records that break the rules and report them', function () {
+      const zip = new JSZip();
+      zip.file(`Ok/${'x'.repeat(120)}/Deep.md`, '---\ntags: [fine, ""]\n---\nKept');
+      zip.file('Bad.md', `---\ntitle: ${'t'.repeat(300)}\ntags: [${'y'.repeat(120)}]\n---\nSkipped`);
+      zip.file('Tagged.md', `---\ntags: [fine, ${'z'.repeat(120)}]\n---\n`);
+      return zip.generateAsync({ type: 'nodebuffer' })
+        .then(archive => importBody('application/zip', archive))
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.notes).to.equal(2);
+          expect(res.body.rejected.map(record => [record.type, record.source])).to.have.deep.members([
+            ['note', 'Bad.md'],
+            ['folder', `Ok/${'x'.repeat(120)}`],
+            ['tag', 'z'.repeat(120)]
+          ]);
+          expect(res.body.rejected.find(record => record.type === 'note').errors[0].field).to.equal('title');
+          return Promise.all([
+            Note.findOne({ title: 'Deep' }).populate('folderId tags'),
+            Note.findOne({ title: 'Tagged' }).populate('tags'),
+            Tag.count({ name: 'y'.repeat(120) })
+          ]);
+        })
+        .then(([deep, tagged, count]) => {
+          expect(deep.folderId.name).to.equal('Ok');
+          expect(deep.tags.map(tag => tag.name)).to.deep.equal(['fine']);
+          expect(tagged.tags.map(tag => tag.name)).to.deep.equal(['fine']);
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should respond with a 413 for an archive with too many entries or that unpacks too large', function () {
+      const zip = new JSZip();
+      zip.file('Big.md', 'a'.repeat(1024 * 1024));
+      zip.file('Small.md', 'b');
+      return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+        .then(archive => Promise.all([
+          readZip(archive, { maxEntries: 1 }).catch(err => err),
+          readZip(archive, { maxSize: 1024 }).catch(err => err)
+        ]))
+        .then(([entries, size]) => {
+          expect(entries.status).to.equal(413);
+          expect(entries.message).to.equal('The archive has more than 1 entries');
+          expect(size.status).to.equal(413);
+          expect(size.message).to.equal('The archive unpacks to more than 1024 bytes');
+        });
+    });
+
+    it('should respond with a 400 for a broken archive or dump', function () {
+      return importBody('application/zip', Buffer.from('not a zip'))
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The archive is not a valid zip file');
+          return importBody('application/json', { notes: 'nope' });
+        })
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The export must have a `notes` array');
+        });
+    });
+
+  });
+});
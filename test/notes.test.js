@@ -3,8 +3,12 @@ const app = require('../server');
 const chai = require('chai');
 const chaiHttp = require('chai-http');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 
-const { TEST_MONGODB_URI } = require('../config');
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
 
 const Note = require('../models/note');
 const seedNotes = require('../db/seed/notes');
@@ -23,8 +27,21 @@ describe('Noteful API - Notes', function () {
     return mongoose.connect(TEST_MONGODB_URI);
   });
 
+  let user;
+  let token;
+
   beforeEach(function () {
-    return Note.insertMany(seedNotes);
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags),
+      Note.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
   });
 
   afterEach(function () {
@@ -38,8 +55,8 @@ describe('Noteful API - Notes', function () {
   describe('GET /api/notes', function () {
 
     it('should return the correct number of Notes and correct fields', function () {
-      const dbPromise = Note.find();
-      const apiPromise = chai.request(app).get('/api/notes');
+      const dbPromise = Note.find({ userId: user.id });
+      const apiPromise = chai.request(app).get('/api/notes').set('Authorization', `Bearer ${token}`);
 
       return Promise.all([dbPromise, apiPromise])
         .then(([data, res]) => {
@@ -49,16 +66,15 @@ describe('Noteful API - Notes', function () {
           expect(res.body).to.have.length(data.length);
           res.body.forEach(function (item) {
             expect(item).to.be.a('object');
-            expect(item).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'created');
+            expect(item).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'dueAt', 'remindAt', 'pinned', 'archived', 'favorite', 'created', 'updated', 'userId', 'deletedAt', 'version');
           });
         });
     });
 
     it('should return correct search results for a searchTerm query', function () {
       const searchTerm = 'gaga';
-      const re = new RegExp(searchTerm, 'i');
-      const dbPromise = Note.find({ title: { $regex: re } });
-      const apiPromise = chai.request(app).get(`/api/notes?searchTerm=${searchTerm}`);
+      const dbPromise = Note.find({ $text: { $search: searchTerm }, userId: user.id });
+      const apiPromise = chai.request(app).get(`/api/notes?searchTerm=${searchTerm}`).set('Authorization', `Bearer ${token}`);
 
       return Promise.all([dbPromise, apiPromise])
         .then(([data, res]) => {
@@ -73,9 +89,8 @@ describe('Noteful API - Notes', function () {
 
     it('should return an empty array for an incorrect query', function () {
       const searchTerm = 'NotValid';
-      const re = new RegExp(searchTerm, 'i');
-      const dbPromise = Note.find({ title: { $regex: re } });
-      const apiPromise = chai.request(app).get(`/api/notes?searchTerm=${searchTerm}`);
+      const dbPromise = Note.find({ $text: { $search: searchTerm }, userId: user.id });
+      const apiPromise = chai.request(app).get(`/api/notes?searchTerm=${searchTerm}`).set('Authorization', `Bearer ${token}`);
 
       return Promise.all([dbPromise, apiPromise])
         .then(([data, res]) => {
@@ -86,23 +101,218 @@ describe('Noteful API - Notes', function () {
         });
     });
 
+    it('should search note content and rank results by relevance', function () {
+      // "boring" is in the title of one note and only the content of another
+      return chai.request(app)
+        .get('/api/notes?searchTerm=boring')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(2);
+          expect(res.body[0].title).to.include('boring');
+          expect(res.body[0].score).to.be.above(res.body[1].score);
+          expect(res.body[1].title).to.not.include('boring');
+        });
+    });
+
+    it('should return snippets with highlight offsets', function () {
+      return chai.request(app)
+        .get('/api/notes?searchTerm=gaga')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          const [snippet] = res.body[0].snippets;
+          expect(snippet.field).to.equal('title');
+          expect(snippet.highlights).to.have.length(1);
+          const { start, end } = snippet.highlights[0];
+          expect(snippet.text.slice(start, end)).to.equal('gaga');
+        });
+    });
+
+    it('should return a page of results with a next link', function () {
+      return chai.request(app)
+        .get('/api/notes?limit=3')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(3);
+          expect(res).to.have.header('link', /rel="next"/);
+        });
+    });
+
+    it('should follow the cursor through every page without repeats', function () {
+      const seen = [];
+      const fetchPage = url => {
+        return chai.request(app)
+          .get(url)
+          .set('Authorization', `Bearer ${token}`)
+          .then(res => {
+            seen.push(...res.body.map(item => item.id));
+            const link = res.header.link && res.header.link.match(/<[^>]*(\/api\/notes\?[^>]*)>/);
+            return link ? fetchPage(link[1]) : null;
+          });
+      };
+
+      return Promise.all([Note.count({ userId: user.id }), fetchPage('/api/notes?limit=3&sort=-title')])
+        .then(([count]) => {
+          expect(seen).to.have.length(count);
+          expect(new Set(seen).size).to.equal(count);
+        });
+    });
+
+    it('should sort by the requested field and direction', function () {
+      return chai.request(app)
+        .get('/api/notes?sort=-title')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          const titles = res.body.map(item => item.title);
+          expect(titles).to.deep.equal([...titles].sort().reverse());
+        });
+    });
+
+    it('should only return the requested fields', function () {
+      return chai.request(app)
+        .get('/api/notes?fields=title')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          res.body.forEach(item => {
+            expect(item).to.have.keys('id', 'title', 'created', 'pinned');
+          });
+        });
+    });
+
+    it('should respond with a 422 for an invalid sort field', function () {
+      return chai.request(app)
+        .get('/api/notes?sort=content')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `sort` must be one of: title, created, updated');
+          expect(res.body.errors).to.deep.equal([{ location: 'query', field: 'sort', message: res.body.message }]);
+        });
+    });
+
+    it('should respond with a 422 for an invalid cursor', function () {
+      return chai.request(app)
+        .get('/api/notes?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `cursor` is not valid');
+        });
+    });
+
+    it('should respond with a 422 for a cursor that isn\'t a position in the list', function () {
+      const id = '000000000000000000000000';
+      const cursors = [
+        null,
+        { value: { $ne: null }, id },
+        { value: 'yesterday', id },
+        { value: new Date().toISOString(), id: { $ne: null } }
+      ].map(cursor => Buffer.from(JSON.stringify(cursor)).toString('base64'));
+      return Promise.all(cursors.map(cursor => {
+        return chai.request(app)
+          .get('/api/notes')
+          .query({ cursor })
+          .set('Authorization', `Bearer ${token}`)
+          .catch(err => err.response);
+      }))
+        .then(responses => {
+          responses.forEach(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.message).to.equal('The `cursor` is not valid');
+          });
+        });
+    });
+
+    it('should respond with a 422 for a repeated paging parameter', function () {
+      return chai.request(app)
+        .get('/api/notes?fields=title&fields=content&limit=0')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors.map(error => error.field)).to.deep.equal(['limit', 'fields']);
+        });
+    });
+
+    it('should include notes in subfolders with recursive=true', function () {
+      const folderId = '111111111111111111111102';
+      const apiGet = query => chai.request(app)
+        .get('/api/notes')
+        .query(Object.assign({ folderId }, query))
+        .set('Authorization', `Bearer ${token}`);
+
+      return Promise.all([apiGet({}), apiGet({ recursive: true })])
+        .then(([flat, recursive]) => {
+          expect(flat.body).to.have.length(1);
+          expect(recursive.body).to.have.length(2);
+        });
+    });
+
+    it('should treat regex metacharacters as plain text', function () {
+      return chai.request(app)
+        .get('/api/notes')
+        .query({ searchTerm: 'cats (' })
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.be.a('array');
+        });
+    });
+
+    it('should filter by due date with due=overdue|today|week', function () {
+      const day = 24 * 60 * 60 * 1000;
+      const now = new Date();
+      const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+      const apiGet = due => chai.request(app)
+        .get('/api/notes')
+        .query({ due })
+        .set('Authorization', `Bearer ${token}`);
+
+      return Note.create([
+        { title: 'Late', userId: user.id, dueAt: new Date(Date.now() - 2 * day) },
+        { title: 'Today', userId: user.id, dueAt: new Date(endOfToday - 1) },
+        { title: 'Soon', userId: user.id, dueAt: new Date(endOfToday.getTime() + 2 * day) },
+        { title: 'Later', userId: user.id, dueAt: new Date(Date.now() + 30 * day) }
+      ])
+        .then(() => Promise.all([apiGet('overdue'), apiGet('today'), apiGet('week')]))
+        .then(([overdue, today, week]) => {
+          expect(overdue.body.map(note => note.title)).to.deep.equal(['Late']);
+          expect(today.body.map(note => note.title)).to.deep.equal(['Today']);
+          expect(week.body.map(note => note.title)).to.have.members(['Today', 'Soon']);
+        });
+    });
+
+    it('should respond with a 422 for an unknown due filter', function () {
+      return chai.request(app)
+        .get('/api/notes?due=someday')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `due` must be one of: `overdue`, `today`, `week`');
+        });
+    });
+
   });
 
   describe('GET /api/notes/:id', function () {
 
     it('should return correct note for a given id', function () {
       let data;
-      return Note.findOne()
+      return Note.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
-          return chai.request(app).get(`/api/notes/${data.id}`);
+          return chai.request(app).get(`/api/notes/${data.id}`).set('Authorization', `Bearer ${token}`);
         })
         .then((res) => {
           expect(res).to.have.status(200);
           expect(res).to.be.json;
 
           expect(res.body).to.be.an('object');
-          expect(res.body).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'created');
+          expect(res.body).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'dueAt', 'remindAt', 'pinned', 'archived', 'favorite', 'created', 'updated', 'userId', 'deletedAt', 'version', 'attachments');
 
           expect(res.body.id).to.equal(data.id);
           expect(res.body.title).to.equal(data.title);
@@ -110,14 +320,15 @@ describe('Noteful API - Notes', function () {
         });
     });
 
-    it('should respond with a 400 for an invalid id', function () {
+    it('should respond with a 422 for an invalid id', function () {
       const badId = '99-99-99';
 
       return chai.request(app)
         .get(`/api/notes/${badId}`)
+        .set('Authorization', `Bearer ${token}`)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res.body.message).to.eq('The `id` is not valid');
         });
     });
@@ -126,6 +337,20 @@ describe('Noteful API - Notes', function () {
 
       return chai.request(app)
         .get('/api/notes/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should respond with a 404 for a note belonging to another user', function () {
+      const { _id: id, username } = seedUsers[1];
+      const otherToken = jwt.sign({ user: { id, username } }, JWT_SECRET);
+
+      return chai.request(app)
+        .get('/api/notes/000000000000000000000000')
+        .set('Authorization', `Bearer ${otherToken}`)
         .catch(err => err.response)
         .then(res => {
           expect(res).to.have.status(404);
@@ -134,6 +359,69 @@ describe('Noteful API - Notes', function () {
 
   });
 
+  describe('GET /api/notes/:id?format=html', function () {
+
+    it('should return the note with rendered markdown', function () {
+      const content = '# Title\n\n- [x] done\n\n| a |\n|---|\n| 1 |\n\n```js\nlet x;\n```';
+      return Note.create({ title: 'Markdown', content, userId: user.id })
+        .then(note => {
+          return chai.request(app)
+            .get(`/api/notes/${note.id}?format=html`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.content).to.equal(content);
+          expect(res.body.html).to.include('<h1>Title</h1>');
+          expect(res.body.html).to.include('type="checkbox"');
+          expect(res.body.html).to.include('<table>');
+          expect(res.body.html).to.include('<code class="language-js">');
+        });
+    });
+
+    it('should strip scripts, event handlers and javascript: links', function () {
+      const content = '<script>alert(1)</script>\n\n[x](javascript:alert(1))\n\n<img src=x onerror=alert(1)>';
+      return Note.create({ title: 'Evil', content, userId: user.id })
+        .then(note => {
+          return chai.request(app)
+            .get(`/api/notes/${note.id}?format=html`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res.body.html).to.not.include('<script');
+          expect(res.body.html).to.not.include('<img');
+          expect(res.body.html).to.not.include('href="javascript');
+        });
+    });
+
+    it('should respond with a 422 for an unknown format', function () {
+      return chai.request(app)
+        .get('/api/notes/000000000000000000000000?format=pdf')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `format` must be `html`');
+        });
+    });
+
+  });
+
+  describe('POST /api/notes/preview', function () {
+
+    it('should render unsaved markdown', function () {
+      return chai.request(app)
+        .post('/api/notes/preview')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: '**bold**' })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.html).to.equal('<p><strong>bold</strong></p>\n');
+        });
+    });
+
+  });
+
   describe('POST /api/notes', function () {
 
     it('should create and return a new item when provided valid data', function () {
@@ -141,11 +429,12 @@ describe('Noteful API - Notes', function () {
         'title': 'The best article about cats ever!',
         'content': 'Lorem ipsum dolor sit amet, sed do eiusmod tempor...',
         'folderId': '111111111111111111111100',
-        'tags': ['222222222222222222222299']
+        'tags': ['222222222222222222222202']
       };
       let res;
       return chai.request(app)
         .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
         .send(newItem)
         .then(function (_res) {
           res = _res;
@@ -153,7 +442,7 @@ describe('Noteful API - Notes', function () {
           expect(res).to.have.header('location');
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
-          expect(res.body).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'created');
+          expect(res.body).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'dueAt', 'remindAt', 'pinned', 'archived', 'favorite', 'created', 'updated', 'userId', 'deletedAt', 'version');
           return Note.findById(res.body.id);
         })
         .then(data => {
@@ -162,6 +451,51 @@ describe('Noteful API - Notes', function () {
         });
     });
 
+    it('should list every invalid field and not create the note', function () {
+      const newItem = {
+        title: 42,
+        folderId: 'not-an-id',
+        tags: ['222222222222222222222200', 'NOT-A-VALID-ID', 'ALSO-NOT-VALID']
+      };
+
+      return chai.request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
+        .send(newItem)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors.map(error => error.field))
+            .to.deep.equal(['title', 'folderId', 'tags[1]', 'tags[2]']);
+          expect(res.body.message).to.equal('Field: `title` must be type String');
+          return Note.count({ userId: user.id });
+        })
+        .then(count => {
+          expect(count).to.equal(seedNotes.filter(note => note.userId === user.id).length);
+        });
+    });
+
+    it('should reject a folder or tag that belongs to another user', function () {
+      const newItem = {
+        title: 'Borrowed',
+        folderId: '111111111111111111111104',
+        tags: ['222222222222222222222200', '222222222222222222222204']
+      };
+
+      return chai.request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
+        .send(newItem)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors).to.deep.equal([
+            { location: 'body', field: 'folderId', message: 'The `folderId` does not exist' },
+            { location: 'body', field: 'tags[1]', message: 'The `tags[1]` does not exist' }
+          ]);
+        });
+    });
+
     it('should return an error when posting an object with a missing "title" field', function () {
       const newItem = {
         'content': 'Lorem ipsum dolor sit amet, sed do eiusmod tempor...'
@@ -169,10 +503,11 @@ describe('Noteful API - Notes', function () {
 
       return chai.request(app)
         .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
         .send(newItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
           expect(res.body.message).to.equal('Missing `title` in request body');
@@ -188,21 +523,22 @@ describe('Noteful API - Notes', function () {
         'title': 'What about dogs?!',
         'content': 'woof woof',
         'folderId': '111111111111111111111100',
-        'tags': ['222222222222222222222299']
+        'tags': ['222222222222222222222202']
       };
       let data;
-      return Note.findOne()
+      return Note.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
           return chai.request(app)
             .put(`/api/notes/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
             .send(updateItem);
         })
         .then(function (res) {
           expect(res).to.have.status(200);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
-          expect(res.body).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'created');
+          expect(res.body).to.have.keys('id', 'title', 'content', 'folderId', 'tags', 'dueAt', 'remindAt', 'pinned', 'archived', 'favorite', 'created', 'updated', 'userId', 'deletedAt', 'version');
 
           expect(res.body.id).to.equal(data.id);
           expect(res.body.title).to.equal(updateItem.title);
@@ -211,7 +547,66 @@ describe('Noteful API - Notes', function () {
     });
 
 
-    it('should respond with a 400 for improperly formatted id', function () {
+    it('should update the note when `If-Match` names its current version', function () {
+      const updateItem = {
+        'title': 'What about dogs?!',
+        'content': 'woof woof'
+      };
+      let data;
+      return Note.findOne({ userId: user.id })
+        .then(_data => {
+          data = _data;
+          return chai.request(app)
+            .get(`/api/notes/${data.id}`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.header('etag', `"${data.version}"`);
+          return chai.request(app)
+            .put(`/api/notes/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', res.header.etag)
+            .send(updateItem);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('etag', `"${data.version + 1}"`);
+          expect(res.body.version).to.equal(data.version + 1);
+          expect(res.body.title).to.equal(updateItem.title);
+        });
+    });
+
+    it('should respond with a 412 and the current note when `If-Match` is stale', function () {
+      const updateItem = {
+        'title': 'What about dogs?!',
+        'content': 'woof woof'
+      };
+      let data;
+      return Note.findOne({ userId: user.id })
+        .then(_data => {
+          data = _data;
+          return chai.request(app)
+            .put(`/api/notes/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', `"${data.version + 1}"`)
+            .send(updateItem);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(412);
+          expect(res).to.have.header('etag', `"${data.version}"`);
+          expect(res.body.message).to.equal('The note has been changed since you loaded it');
+          expect(res.body.current.id).to.equal(data.id);
+          expect(res.body.current.title).to.equal(data.title);
+          return Note.findById(data.id);
+        })
+        .then(note => {
+          expect(note.title).to.equal(data.title);
+          expect(note.version).to.equal(data.version);
+        });
+    });
+
+    it('should respond with a 422 for improperly formatted id', function () {
       const updateItem = {
         'title': 'What about dogs?!',
         'content': 'woof woof'
@@ -220,10 +615,11 @@ describe('Noteful API - Notes', function () {
 
       return chai.request(app)
         .put(`/api/notes/${badId}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res.body.message).to.eq('The `id` is not valid');
         });
     });
@@ -236,6 +632,7 @@ describe('Noteful API - Notes', function () {
 
       return chai.request(app)
         .put('/api/notes/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
@@ -250,13 +647,301 @@ describe('Noteful API - Notes', function () {
 
       return chai.request(app)
         .put('/api/notes/9999')
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
+          expect(res.body.errors).to.deep.equal([
+            { location: 'params', field: 'id', message: 'The `id` is not valid' },
+            { location: 'body', field: 'title', message: 'Missing `title` in request body' }
+          ]);
+        });
+    });
+
+  });
+
+  describe('PATCH /api/notes/:id', function () {
+
+    const noteId = '000000000000000000000000';
+
+    function patch(type, body) {
+      return chai.request(app)
+        .patch(`/api/notes/${noteId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', type)
+        .send(JSON.stringify(body))
+        .catch(err => err.response);
+    }
+
+    it('should only change the fields in a merge patch', function () {
+      let data;
+      return Note.findById(noteId)
+        .then(_data => {
+          data = _data;
+          return patch('application/merge-patch+json', { title: 'Renamed' });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('etag', `"${data.version + 1}"`);
+          expect(res.body.title).to.equal('Renamed');
+          expect(res.body.content).to.equal(data.content);
+          expect(res.body.folderId).to.equal(data.folderId.toString());
+          expect(res.body.tags).to.deep.equal(data.tags.map(String));
+        });
+    });
+
+    it('should remove a field set to null in a merge patch', function () {
+      return patch('application/merge-patch+json', { folderId: null })
+        .then(res => {
+          expect(res).to.have.status(200);
+          return Note.findById(noteId);
+        })
+        .then(note => {
+          expect(note.folderId).to.not.exist;
+          expect(note.title).to.equal('5 life lessons learned from cats');
+        });
+    });
+
+    it('should apply a JSON Patch', function () {
+      return patch('application/json-patch+json', [
+        { op: 'test', path: '/title', value: '5 life lessons learned from cats' },
+        { op: 'remove', path: '/tags/0' },
+        { op: 'add', path: '/tags/-', value: '222222222222222222222203' },
+        { op: 'replace', path: '/content', value: 'meow' }
+      ])
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.tags).to.deep.equal([
+            '222222222222222222222201', '222222222222222222222202', '222222222222222222222203'
+          ]);
+          expect(res.body.content).to.equal('meow');
+        });
+    });
+
+    it('should respond with a 409 and change nothing when a JSON Patch `test` fails', function () {
+      return patch('application/json-patch+json', [
+        { op: 'replace', path: '/content', value: 'meow' },
+        { op: 'test', path: '/title', value: 'Something else' }
+      ])
+        .then(res => {
+          expect(res).to.have.status(409);
+          expect(res.body.message).to.equal('The `test` of operation 1 failed');
+          return Note.findById(noteId);
+        })
+        .then(note => {
+          expect(note.content).to.not.equal('meow');
+          expect(note.version).to.equal(0);
+        });
+    });
+
+    it('should only validate the fields the patch changes', function () {
+      return patch('application/merge-patch+json', { title: '', tags: ['222222222222222222222204'] })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors).to.deep.equal([
+            { location: 'body', field: 'title', message: 'Field: `title` cannot be empty' }
+          ]);
+          return patch('application/merge-patch+json', { tags: ['222222222222222222222204'] });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `tags[0]` does not exist');
+        });
+    });
+
+    it('should respond with a 422 when removing the title or changing other fields', function () {
+      return patch('application/merge-patch+json', { title: null })
+        .then(res => {
+          expect(res).to.have.status(422);
           expect(res.body.message).to.equal('Missing `title` in request body');
+          return patch('application/merge-patch+json', { userId: '333333333333333333333301' });
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `userId` cannot be changed');
+        });
+    });
+
+    it('should respond with a 422 for a path through `__proto__`, `constructor` or `prototype`', function () {
+      return patch('application/json-patch+json', [{ op: 'add', path: '/__proto__/polluted', value: 'yes' }])
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `path` of operation 0 cannot name `__proto__`');
+          expect({}.polluted).to.equal(undefined);
+          return patch('application/json-patch+json', [{ op: 'copy', from: '/constructor/prototype', path: '/title' }]);
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors[0].field).to.equal('[0].from');
+          return patch('application/json-patch+json', [{ op: 'test', path: '/toString', value: null }]);
+        })
+        .then(res => {
+          expect(res).to.have.status(409);
+        });
+    });
+
+    it('should respond with a 415 for a plain JSON body', function () {
+      return patch('application/json', { title: 'Renamed' })
+        .then(res => {
+          expect(res).to.have.status(415);
+          expect(res).to.have.header('accept-patch', 'application/merge-patch+json, application/json-patch+json');
+        });
+    });
+
+    it('should respond with a 412 when `If-Match` is stale', function () {
+      return chai.request(app)
+        .patch(`/api/notes/${noteId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .set('If-Match', '"7"')
+        .send(JSON.stringify({ title: 'Renamed' }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(412);
+          expect(res.body.current.id).to.equal(noteId);
+        });
+    });
+
+    it('should respond with a 404 for an id that does not exist', function () {
+      return chai.request(app)
+        .patch('/api/notes/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ title: 'Renamed' }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('POST /api/notes/:id/toggle/:flag', function () {
+
+    function toggle(id, flag, body = {}, authToken = token) {
+      return chai.request(app)
+        .post(`/api/notes/${id}/toggle/${flag}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body)
+        .catch(err => err.response);
+    }
+
+    function list(path) {
+      return chai.request(app)
+        .get(path)
+        .set('Authorization', `Bearer ${token}`);
+    }
+
+    it('should flip a flag, or set it to `value`', function () {
+      let note;
+      return Note.findOne({ userId: user.id })
+        .then(_note => {
+          note = _note;
+          return toggle(note.id, 'favorite');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('etag');
+          expect(res.body.favorite).to.be.true;
+          return toggle(note.id, 'favorite');
+        })
+        .then(res => {
+          expect(res.body.favorite).to.be.false;
+          return toggle(note.id, 'favorite', { value: false });
+        })
+        .then(res => {
+          expect(res.body.favorite).to.be.false;
+          return Note.collection.findOne({ _id: note._id });
+        })
+        .then(stored => {
+          expect(stored).to.not.have.property('favorite');
+        });
+    });
+
+    it('should list pinned notes first on every page', function () {
+      let pinned;
+      return Note.find({ userId: user.id }).sort('-created -_id').limit(2)
+        .then(notes => {
+          pinned = notes.map(note => note.id);
+          return Promise.all(pinned.map(id => toggle(id, 'pinned')));
+        })
+        .then(() => list('/api/notes?limit=1'))
+        .then(res => {
+          expect(res.body[0].id).to.equal(pinned[1]);
+          const link = res.header.link.match(/<[^>]*(\/api\/notes\?[^>]*)>/);
+          return list(link[1]);
+        })
+        .then(res => {
+          expect(res.body[0].id).to.equal(pinned[0]);
+          const link = res.header.link.match(/<[^>]*(\/api\/notes\?[^>]*)>/);
+          return list(link[1]);
+        })
+        .then(res => {
+          expect(res.body[0].pinned).to.be.false;
+          expect(pinned).to.not.include(res.body[0].id);
+        });
+    });
+
+    it('should hide archived notes unless `archived=true` or `archived=only`', function () {
+      let note;
+      let count;
+      return Note.count({ userId: user.id, deletedAt: null })
+        .then(_count => {
+          count = _count;
+          return Note.findOne({ userId: user.id });
+        })
+        .then(_note => {
+          note = _note;
+          return toggle(note.id, 'archived');
+        })
+        .then(() => Promise.all([
+          list('/api/notes'),
+          list('/api/notes?archived=true'),
+          list('/api/notes?archived=only')
+        ]))
+        .then(([active, all, archived]) => {
+          expect(active.body.map(item => item.id)).to.not.include(note.id);
+          expect(active.body).to.have.length(count - 1);
+          expect(all.body.map(item => item.id)).to.include(note.id);
+          expect(all.body).to.have.length(count);
+          expect(archived.body).to.have.length(1);
+          expect(archived.body[0].id).to.equal(note.id);
+        });
+    });
+
+    it('should list favorites at GET /api/notes/favorites', function () {
+      let note;
+      return Note.findOne({ userId: user.id })
+        .then(_note => {
+          note = _note;
+          return toggle(note.id, 'favorite');
+        })
+        .then(() => list('/api/notes/favorites'))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(1);
+          expect(res.body[0].id).to.equal(note.id);
+        });
+    });
+
+    it('should respond with a 422 for an unknown flag', function () {
+      return Note.findOne({ userId: user.id })
+        .then(note => toggle(note.id, 'starred'))
+        .then(res => {
+          expect(res).to.have.status(422);
+        });
+    });
+
+    it('should respond with a 404 for a note belonging to another user', function () {
+      const { _id: id, username } = seedUsers[1];
+      const otherToken = jwt.sign({ user: { id, username } }, JWT_SECRET);
+
+      return toggle('000000000000000000000000', 'pinned', undefined, otherToken)
+        .then(res => {
+          expect(res).to.have.status(404);
         });
     });
 
@@ -266,10 +951,10 @@ describe('Noteful API - Notes', function () {
 
     it('should delete an item by id', function () {
       let data;
-      return Note.findOne()
+      return Note.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
-          return chai.request(app).delete(`/api/notes/${data.id}`);
+          return chai.request(app).delete(`/api/notes/${data.id}`).set('Authorization', `Bearer ${token}`);
         })
         .then(function (res) {
           expect(res).to.have.status(204);
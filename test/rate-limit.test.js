@@ -0,0 +1,159 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const jwt = require('jsonwebtoken');
+
+const { JWT_SECRET, RATE_LIMIT_AUTH, RATE_LIMIT_READ, RATE_LIMIT_WRITE } = require('../config');
+
+const { createMemoryStore, setRateLimitStore } = require('../utils/rate-limit');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Rate limiting', function () {
+
+  describe('createMemoryStore', function () {
+    const limit = { capacity: 2, window: 10000 };
+    let time;
+    let store;
+
+    beforeEach(function () {
+      time = 0;
+      store = createMemoryStore({ now: () => time });
+    });
+
+    it('should allow `capacity` requests, then ask to retry when a token is back', function () {
+      return store.take('key', limit)
+        .then(result => {
+          expect(result).to.deep.equal({ allowed: true, remaining: 1, reset: 5000, retry: 0 });
+          return store.take('key', limit);
+        })
+        .then(result => {
+          expect(result).to.deep.equal({ allowed: true, remaining: 0, reset: 10000, retry: 0 });
+          time = 2000;
+          return store.take('key', limit);
+        })
+        .then(result => {
+          expect(result.allowed).to.be.false;
+          expect(result.remaining).to.equal(0);
+          expect(result.retry).to.equal(3000);
+          return store.take('other', limit);
+        })
+        .then(result => {
+          expect(result.allowed).to.be.true;
+        });
+    });
+
+    it('should refill over the window', function () {
+      return store.take('key', limit)
+        .then(() => store.take('key', limit))
+        .then(() => {
+          time = 5000;
+          return store.take('key', limit);
+        })
+        .then(result => {
+          expect(result.allowed).to.be.true;
+          expect(result.remaining).to.equal(0);
+          time = 60000;
+          return store.take('key', limit);
+        })
+        .then(result => {
+          expect(result.remaining).to.equal(1);
+        });
+    });
+
+  });
+
+  describe('middleware', function () {
+    const user = { id: '333333333333333333333300', username: 'limited' };
+    const token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+
+    beforeEach(function () {
+      setRateLimitStore(createMemoryStore());
+    });
+
+    after(function () {
+      setRateLimitStore(undefined);
+    });
+
+    // Invalid requests are counted too, and need no database
+    function signUp() {
+      return chai.request(app).post('/api/users').send({})
+        .catch(err => err.response);
+    }
+
+    it('should throttle sign-ups by IP and respond with a 429', function () {
+      const capacity = Number(RATE_LIMIT_AUTH.split('/')[0]);
+      let attempts = Promise.resolve();
+      for (let i = 0; i < capacity; i++) {
+        attempts = attempts.then(signUp);
+      }
+      return attempts
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res).to.have.header('ratelimit-remaining', '0');
+          return signUp();
+        })
+        .then(res => {
+          expect(res).to.have.status(429);
+          expect(res).to.have.header('ratelimit-limit', String(capacity));
+          expect(res).to.have.header('ratelimit-policy', RATE_LIMIT_AUTH.replace('/', ';w='));
+          expect(Number(res.headers['retry-after'])).to.be.above(0);
+        });
+    });
+
+    it('should count clients behind a trusted proxy by their own IP', function () {
+      const capacity = Number(RATE_LIMIT_AUTH.split('/')[0]);
+      const trustProxy = app.get('trust proxy');
+      app.set('trust proxy', 1);
+
+      function signUpFrom(ip) {
+        return chai.request(app).post('/api/users').set('X-Forwarded-For', ip).send({})
+          .catch(err => err.response);
+      }
+
+      let attempts = Promise.resolve();
+      for (let i = 0; i < capacity; i++) {
+        attempts = attempts.then(() => signUpFrom('203.0.113.1'));
+      }
+      return attempts
+        .then(() => signUpFrom('203.0.113.2'))
+        .then(res => {
+          expect(res).to.have.status(422);
+          return signUpFrom('203.0.113.1');
+        })
+        .then(res => {
+          expect(res).to.have.status(429);
+        })
+        .then(() => {
+          app.set('trust proxy', trustProxy);
+        }, err => {
+          app.set('trust proxy', trustProxy);
+          throw err;
+        });
+    });
+
+    it('should give users separate budgets for reading and writing', function () {
+      const read = Number(RATE_LIMIT_READ.split('/')[0]);
+      const write = Number(RATE_LIMIT_WRITE.split('/')[0]);
+      return chai.request(app).get('/api/audit?resource=user')
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res).to.have.header('ratelimit-remaining', String(read - 1));
+          return chai.request(app).post('/api/notes').send({})
+            .set('Authorization', `Bearer ${token}`)
+            .catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res).to.have.header('ratelimit-remaining', String(write - 1));
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,204 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const http = require('http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const ReminderDelivery = require('../models/reminder-delivery');
+const { runReminders } = require('../utils/reminders');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Reminders', function () {
+  // A local webhook receiver that answers with `status` and keeps what it got
+  let receiver;
+  let received;
+  let status;
+  let url;
+
+  before(function (done) {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.statusCode = status;
+        res.end();
+      });
+    });
+    receiver.listen(0, () => {
+      url = `http://localhost:${receiver.address().port}/hooks/reminders`;
+      mongoose.connect(TEST_MONGODB_URI).then(() => done(), done);
+    });
+  });
+
+  let user;
+  let token;
+
+  beforeEach(function () {
+    received = [];
+    status = 200;
+    return User.insertMany(seedUsers)
+      .then(users => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    receiver.close();
+    return mongoose.disconnect();
+  });
+
+  function run() {
+    return runReminders({ urls: [url], maxAttempts: 2, retryDelay: 0 });
+  }
+
+  describe('runReminders', function () {
+
+    it('should send due reminders once', function () {
+      let note;
+      return Note.create({ title: 'Call Bob', userId: user.id, remindAt: new Date(Date.now() - 1000) })
+        .then(_note => {
+          note = _note;
+          return run();
+        })
+        .then(result => {
+          expect(result).to.deep.equal({ fired: 1, attempted: 1 });
+          expect(received).to.have.length(1);
+          expect(received[0].type).to.equal('note.reminder');
+          expect(received[0].note.title).to.equal('Call Bob');
+          return run();
+        })
+        .then(result => {
+          expect(result).to.deep.equal({ fired: 0, attempted: 0 });
+          return Promise.all([ReminderDelivery.findOne(), Note.findById(note.id)]);
+        })
+        .then(([delivery, reminded]) => {
+          expect(delivery.status).to.equal('delivered');
+          expect(delivery.attempts).to.equal(1);
+          expect(delivery.lastStatus).to.equal(200);
+          // Firing a reminder doesn't count as a change to the note
+          expect(reminded.version).to.equal(note.version);
+        });
+    });
+
+    it('should send a due delivery once when runs overlap', function () {
+      return Note.create({ title: 'Call Bob', userId: user.id })
+        .then(note => ReminderDelivery.create({
+          noteId: note._id, userId: user.id, url, payload: { type: 'note.reminder' }, nextAttemptAt: new Date()
+        }))
+        .then(() => Promise.all([run(), run()]))
+        .then(([first, second]) => {
+          expect(first.attempted + second.attempted).to.equal(1);
+          expect(received).to.have.length(1);
+        });
+    });
+
+    it('should not send reminders that are still to come', function () {
+      return Note.create({ title: 'Later', userId: user.id, remindAt: new Date(Date.now() + 60000) })
+        .then(() => run())
+        .then(result => {
+          expect(result.fired).to.equal(0);
+          expect(received).to.be.empty;
+        });
+    });
+
+    it('should retry failed deliveries until it gives up', function () {
+      status = 500;
+      return Note.create({ title: 'Call Bob', userId: user.id, remindAt: new Date() })
+        .then(() => run())
+        .then(() => ReminderDelivery.findOne())
+        .then(delivery => {
+          expect(delivery.status).to.equal('pending');
+          expect(delivery.lastError).to.equal('Responded with 500');
+          return run();
+        })
+        .then(() => ReminderDelivery.findOne())
+        .then(delivery => {
+          expect(received).to.have.length(2);
+          expect(delivery.status).to.equal('failed');
+          expect(delivery.attempts).to.equal(2);
+        });
+    });
+
+    it('should send the reminder again when it is moved to a later time', function () {
+      this.timeout(5000);
+      let note;
+      return Note.create({ title: 'Call Bob', userId: user.id, remindAt: new Date() })
+        .then(_note => {
+          note = _note;
+          return run();
+        })
+        .then(() => {
+          return chai.request(app)
+            .patch(`/api/notes/${note.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('Content-Type', 'application/merge-patch+json')
+            .send(JSON.stringify({ remindAt: new Date(Date.now() + 1000).toISOString() }));
+        })
+        .then(() => new Promise(resolve => setTimeout(resolve, 1100)))
+        .then(() => run())
+        .then(result => {
+          expect(result.fired).to.equal(1);
+          expect(received).to.have.length(2);
+        });
+    });
+
+  });
+
+  describe('GET /api/reminders', function () {
+
+    it('should list the user\'s deliveries', function () {
+      return Note.create({ title: 'Call Bob', userId: user.id, remindAt: new Date() })
+        .then(() => run())
+        .then(() => {
+          return chai.request(app)
+            .get('/api/reminders')
+            .query({ status: 'delivered' })
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(1);
+          expect(res.body[0].url).to.equal(url);
+          expect(res.body[0].status).to.equal('delivered');
+        });
+    });
+
+    it('should not list other users\' deliveries', function () {
+      const other = seedUsers[1];
+      const otherToken = jwt.sign({ user: { id: other._id, username: other.username } }, JWT_SECRET);
+
+      return Note.create({ title: 'Call Bob', userId: user.id, remindAt: new Date() })
+        .then(() => run())
+        .then(() => {
+          return chai.request(app)
+            .get('/api/reminders')
+            .set('Authorization', `Bearer ${otherToken}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.be.empty;
+        });
+    });
+
+  });
+
+});
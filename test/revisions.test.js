@@ -0,0 +1,270 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const seedNotes = require('../db/seed/notes');
+
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Note Revisions', function () {
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+  let note;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags),
+      NoteRevision.createIndexes()
+    ])
+      .then(([users, notes]) => {
+        user = users[0];
+        note = notes[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function updateNote(update) {
+    return chai.request(app)
+      .put(`/api/notes/${note.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(Object.assign({ folderId: note.folderId, tags: note.tags }, update));
+  }
+
+  describe('NoteRevision.record', function () {
+
+    it('should give concurrent saves of a note their own revisions', function () {
+      return Promise.all([NoteRevision.recordBaseline(note), NoteRevision.recordBaseline(note)])
+        .then(() => Promise.all([1, 2, 3, 4].map(() => NoteRevision.record(note, user.id))))
+        .then(() => NoteRevision.find({ noteId: note.id }).sort('rev'))
+        .then(revisions => {
+          expect(revisions.map(revision => revision.rev)).to.deep.equal([1, 2, 3, 4, 5]);
+        });
+    });
+
+  });
+
+  describe('PUT /api/notes/:id', function () {
+
+    it('should keep the previous and the new version as revisions', function () {
+      return updateNote({ title: 'Updated title', content: 'line one\nline two' })
+        .then(() => NoteRevision.find({ noteId: note.id }).sort('rev'))
+        .then(revisions => {
+          expect(revisions).to.have.length(2);
+          expect(revisions[0].rev).to.equal(1);
+          expect(revisions[0].title).to.equal(note.title);
+          expect(revisions[1].rev).to.equal(2);
+          expect(revisions[1].title).to.equal('Updated title');
+          expect(revisions[1].authorId.toString()).to.equal(user.id);
+        });
+    });
+
+  });
+
+  describe('POST /api/notes', function () {
+
+    it('should record the first revision of a new note', function () {
+      return chai.request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Brand new', content: 'hello' })
+        .then(res => NoteRevision.find({ noteId: res.body.id }))
+        .then(revisions => {
+          expect(revisions).to.have.length(1);
+          expect(revisions[0].rev).to.equal(1);
+          expect(revisions[0].title).to.equal('Brand new');
+        });
+    });
+
+  });
+
+  describe('GET /api/notes/:id/revisions', function () {
+
+    it('should list revisions newest first', function () {
+      return updateNote({ title: 'Second', content: 'b' })
+        .then(() => updateNote({ title: 'Third', content: 'c' }))
+        .then(() => {
+          return chai.request(app)
+            .get(`/api/notes/${note.id}/revisions`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(item => item.rev)).to.deep.equal([3, 2, 1]);
+          expect(res.body[0]).to.include.keys('id', 'noteId', 'authorId', 'rev', 'title', 'content', 'created');
+        });
+    });
+
+    it('should respond with a 404 for a note belonging to another user', function () {
+      const { _id: id, username } = seedUsers[1];
+      const otherToken = jwt.sign({ user: { id, username } }, JWT_SECRET);
+
+      return chai.request(app)
+        .get(`/api/notes/${note.id}/revisions`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('GET /api/notes/:id/revisions/:rev', function () {
+
+    it('should return a single revision', function () {
+      return updateNote({ title: 'Second', content: 'b' })
+        .then(() => {
+          return chai.request(app)
+            .get(`/api/notes/${note.id}/revisions/1`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.rev).to.equal(1);
+          expect(res.body.content).to.equal(note.content);
+        });
+    });
+
+    it('should respond with a 422 for an invalid rev', function () {
+      return chai.request(app)
+        .get(`/api/notes/${note.id}/revisions/abc`)
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `rev` is not valid');
+        });
+    });
+
+  });
+
+  describe('GET /api/notes/:id/revisions/:rev/diff', function () {
+
+    it('should return a line-level diff between two revisions', function () {
+      return updateNote({ title: 'Lines', content: 'one\ntwo\nthree' })
+        .then(() => updateNote({ title: 'Lines', content: 'one\n2\nthree' }))
+        .then(() => {
+          return chai.request(app)
+            .get(`/api/notes/${note.id}/revisions/3/diff?from=2`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.from).to.equal(2);
+          expect(res.body.to).to.equal(3);
+          expect(res.body.changes).to.deep.equal([
+            { type: 'unchanged', lines: ['one'] },
+            { type: 'removed', lines: ['two'] },
+            { type: 'added', lines: ['2'] },
+            { type: 'unchanged', lines: ['three'] }
+          ]);
+        });
+    });
+
+  });
+
+  describe('POST /api/notes/:id/revisions/:rev/restore', function () {
+
+    it('should restore the note and record the restore as a new revision', function () {
+      return updateNote({ title: 'Oops', content: 'overwritten' })
+        .then(() => {
+          return chai.request(app)
+            .post(`/api/notes/${note.id}/revisions/1/restore`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal(note.title);
+          expect(res.body.content).to.equal(note.content);
+          return NoteRevision.count({ noteId: note.id });
+        })
+        .then(count => {
+          expect(count).to.equal(3);
+        });
+    });
+
+    it('should respond with a 412 and the current note for a stale `If-Match`', function () {
+      return updateNote({ title: 'Newer', content: 'edited in another tab' })
+        .then(() => {
+          return chai.request(app)
+            .post(`/api/notes/${note.id}/revisions/1/restore`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', `"${note.version}"`);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(412);
+          expect(res.body.current.title).to.equal('Newer');
+          expect(res).to.have.header('etag', `"${res.body.current.version}"`);
+          return Note.findById(note.id);
+        })
+        .then(current => {
+          expect(current.title).to.equal('Newer');
+        });
+    });
+
+    it('should leave off a folder and tags that are no longer live', function () {
+      const [trashedTag, ...liveTags] = note.tags.map(String);
+      return updateNote({ title: 'Moved', folderId: null, tags: [] })
+        .then(() => Promise.all([
+          Folder.updateOne({ _id: note.folderId }, { deletedAt: new Date() }),
+          Tag.updateOne({ _id: trashedTag }, { deletedAt: new Date() })
+        ]))
+        .then(() => {
+          return chai.request(app)
+            .post(`/api/notes/${note.id}/revisions/1/restore`)
+            .set('Authorization', `Bearer ${token}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal(note.title);
+          expect(res.body.folderId).to.be.null;
+          expect(res.body.tags.map(tag => tag.id || tag)).to.deep.equal(liveTags);
+        });
+    });
+
+    it('should respond with a 404 for a non-existent revision', function () {
+      return chai.request(app)
+        .post(`/api/notes/${note.id}/revisions/99/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+});
@@ -0,0 +1,267 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+const SavedSearch = require('../models/saved-search');
+const { purgeTags } = require('../utils/trash');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Saved searches', function () {
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+  let otherToken;
+  let folders;
+  let tags;
+  let notes;
+
+  // Notes with different tags, folders and flags, by title
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags),
+      Note.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+        otherToken = jwt.sign({ user: users[1] }, JWT_SECRET, { subject: users[1].username });
+        return Promise.all([
+          Folder.find({ userId: user.id, parentId: null }).sort('name'),
+          Tag.find({ userId: user.id }).sort('name')
+        ]);
+      })
+      .then(([_folders, _tags]) => {
+        folders = _folders;
+        tags = _tags;
+        const [a, b, c] = tags.map(tag => tag._id);
+        return Note.create([
+          { title: 'ab', content: 'cats and dogs', tags: [a, b], folderId: folders[0]._id, userId: user.id },
+          { title: 'a', content: 'only cats', tags: [a], folderId: folders[1]._id, userId: user.id, pinned: true },
+          { title: 'bc', content: 'dogs', tags: [b, c], userId: user.id, favorite: true },
+          { title: 'archived a', content: 'cats', tags: [a], userId: user.id, archived: true }
+        ]);
+      })
+      .then(_notes => {
+        notes = new Map(_notes.map(note => [note.title, note]));
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, authToken = token) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${authToken}`);
+  }
+
+  // Save `search` and resolve with the titles of the notes it matches
+  function titlesFor(search) {
+    return request('post', '/api/saved-searches')
+      .send(Object.assign({ name: 'test' }, search))
+      .then(res => request('get', `/api/saved-searches/${res.body.id}/notes`))
+      .then(res => {
+        expect(res).to.have.status(200);
+        return res.body.map(note => note.title);
+      });
+  }
+
+  describe('POST /api/saved-searches', function () {
+
+    it('should create a saved search with defaults for what it leaves out', function () {
+      return request('post', '/api/saved-searches')
+        .send({ name: 'Cats', searchTerm: 'cats' })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body.searchTerm).to.equal('cats');
+          expect(res.body.allTags).to.be.empty;
+          expect(res.body.pinned).to.be.null;
+          expect(res.body.archived).to.be.false;
+        });
+    });
+
+    it('should respond with a 400 for a duplicate name', function () {
+      return request('post', '/api/saved-searches').send({ name: 'Cats' })
+        .then(() => request('post', '/api/saved-searches').send({ name: 'Cats' }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The saved search name already exists');
+        });
+    });
+
+    it('should respond with a 422 for another user\'s tag', function () {
+      return Tag.findOne({ userId: { $ne: user.id } })
+        .then(other => request('post', '/api/saved-searches').send({ name: 'Theirs', anyTags: [other.id] }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors[0].field).to.equal('anyTags[0]');
+        });
+    });
+
+  });
+
+  describe('GET /api/saved-searches/:id/notes', function () {
+
+    it('should combine tags with AND, OR and NOT', function () {
+      const [a, b, c] = tags.map(tag => tag.id);
+      return Promise.all([
+        titlesFor({ allTags: [a, b] }),
+        titlesFor({ name: 'or', anyTags: [a, c] }),
+        titlesFor({ name: 'not', noneTags: [a] })
+      ])
+        .then(([and, or, not]) => {
+          expect(and).to.deep.equal(['ab']);
+          expect(or).to.have.members(['ab', 'a', 'bc']);
+          expect(not).to.deep.equal(['bc']);
+        });
+    });
+
+    it('should match text, folders and flags', function () {
+      return Promise.all([
+        titlesFor({ searchTerm: 'dogs', folderIds: [folders[0].id] }),
+        titlesFor({ name: 'favorites', favorite: true }),
+        titlesFor({ name: 'archive', archived: true })
+      ])
+        .then(([text, favorites, archive]) => {
+          expect(text).to.deep.equal(['ab']);
+          expect(favorites).to.deep.equal(['bc']);
+          expect(archive).to.deep.equal(['archived a']);
+        });
+    });
+
+    it('should list pinned notes first and leave archived ones out', function () {
+      return titlesFor({})
+        .then(titles => {
+          expect(titles[0]).to.equal('a');
+          expect(titles).to.have.members(['a', 'ab', 'bc']);
+        });
+    });
+
+    it('should match date ranges', function () {
+      const created = notes.get('bc').created;
+      return Note.updateOne({ _id: notes.get('bc')._id }, { dueAt: new Date(created.getTime() + 60000) })
+        .then(() => titlesFor({ dueAfter: created.toISOString(), dueBefore: new Date(created.getTime() + 120000).toISOString() }))
+        .then(titles => {
+          expect(titles).to.deep.equal(['bc']);
+        });
+    });
+
+    it('should follow changes to the notes', function () {
+      let search;
+      return request('post', '/api/saved-searches').send({ name: 'favorites', favorite: true })
+        .then(res => {
+          search = res.body;
+          return request('post', `/api/notes/${notes.get('a').id}/toggle/favorite`);
+        })
+        .then(() => request('get', `/api/saved-searches/${search.id}/notes`))
+        .then(res => {
+          expect(res.body.map(note => note.title)).to.have.members(['a', 'bc']);
+        });
+    });
+
+    it('should respond with a 404 for another user\'s saved search', function () {
+      return request('post', '/api/saved-searches').send({ name: 'Mine' })
+        .then(res => request('get', `/api/saved-searches/${res.body.id}/notes`, otherToken))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('PUT and DELETE /api/saved-searches/:id', function () {
+
+    it('should replace the conditions and then remove the search', function () {
+      let search;
+      return request('post', '/api/saved-searches').send({ name: 'Pinned', pinned: true, searchTerm: 'cats' })
+        .then(res => {
+          search = res.body;
+          return request('put', `/api/saved-searches/${search.id}`).send({ name: 'Favorites', favorite: true });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.name).to.equal('Favorites');
+          expect(res.body.pinned).to.be.null;
+          expect(res.body.searchTerm).to.equal('');
+          return request('delete', `/api/saved-searches/${search.id}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return SavedSearch.count();
+        })
+        .then(count => {
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should respond with a 404 when deleting another user\'s saved search', function () {
+      return request('post', '/api/saved-searches').send({ name: 'Mine' })
+        .then(res => request('delete', `/api/saved-searches/${res.body.id}`, otherToken))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+          return SavedSearch.count();
+        })
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+
+  });
+
+  describe('tags', function () {
+
+    it('should be pulled from saved searches when purged', function () {
+      const [a, b] = tags.map(tag => tag.id);
+      return request('post', '/api/saved-searches').send({ name: 'Tagged', allTags: [a, b], noneTags: [a] })
+        .then(() => purgeTags({ _id: a }))
+        .then(() => SavedSearch.findOne())
+        .then(search => {
+          expect(search.allTags.map(String)).to.deep.equal([b]);
+          expect(search.noneTags).to.be.empty;
+        });
+    });
+
+    it('should be replaced in saved searches when merged', function () {
+      const [a, b, c] = tags.map(tag => tag.id);
+      return request('post', '/api/saved-searches').send({ name: 'Tagged', anyTags: [a, b] })
+        .then(() => request('post', `/api/tags/${a}/merge`).send({ into: c }))
+        .then(() => SavedSearch.findOne())
+        .then(search => {
+          expect(search.anyTags.map(String)).to.have.members([b, c]);
+        });
+    });
+
+  });
+
+});
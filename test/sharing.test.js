@@ -0,0 +1,282 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+
+const Share = require('../models/share');
+const Collaborator = require('../models/collaborator');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Sharing', function () {
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let owner;
+  let ownerToken;
+  let otherToken;
+  let note;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Share.createIndexes(),
+      Collaborator.createIndexes()
+    ])
+      .then(([users, notes]) => {
+        const other = users[1].toObject();
+        owner = users[0].toObject();
+        note = notes[0];
+        ownerToken = jwt.sign({ user: owner }, JWT_SECRET, { subject: owner.username });
+        otherToken = jwt.sign({ user: other }, JWT_SECRET, { subject: other.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, token = ownerToken) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  function createShare(body = {}) {
+    return request('post', `/api/notes/${note.id}/shares`).send(body);
+  }
+
+  function tokenOf(share) {
+    return share.url.split('/s/')[1];
+  }
+
+  describe('POST /api/notes/:id/shares', function () {
+
+    it('should create a public link that renders the note', function () {
+      return createShare()
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body).to.include.keys('id', 'noteId', 'url', 'expiresAt', 'hasPassword', 'created');
+          expect(res.body).to.not.have.key('password');
+          expect(res.body.hasPassword).to.equal(false);
+          return chai.request(app).get(`/s/${tokenOf(res.body)}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.be.html;
+          expect(res).to.have.header('cache-control', 'no-store');
+          expect(res.text).to.contain(`<h1>${note.title}</h1>`);
+          expect(res.text).to.contain('Lorem ipsum dolor sit amet');
+        });
+    });
+
+    it('should ask for the password of a protected link', function () {
+      let token;
+      return createShare({ password: 'open sesame' })
+        .then(res => {
+          expect(res.body.hasPassword).to.equal(true);
+          token = tokenOf(res.body);
+          return chai.request(app).get(`/s/${token}`).catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          expect(res.text).to.contain('Password required');
+          return chai.request(app).post(`/s/${token}`).type('form').send({ password: 'wrong' })
+            .catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          expect(res.text).to.contain('Incorrect password');
+          return chai.request(app).post(`/s/${token}`).type('form').send({ password: 'open sesame' });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.text).to.contain(note.title);
+        });
+    });
+
+    it('should treat a repeated password field as incorrect', function () {
+      return createShare({ password: 'open sesame' })
+        .then(res => {
+          return chai.request(app).post(`/s/${tokenOf(res.body)}`).type('form')
+            .send('password=open+sesame&password=open+sesame')
+            .catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(401);
+          expect(res.text).to.contain('Incorrect password');
+        });
+    });
+
+    it('should stop serving a link once it expires', function () {
+      return createShare({ expiresAt: new Date(Date.now() + 60000).toISOString() })
+        .then(res => Share.findByIdAndUpdate(res.body.id, { expiresAt: new Date(Date.now() - 1000) }, { new: true }))
+        .then(share => chai.request(app).get(`/s/${share.token}`).catch(err => err.response))
+        .then(res => {
+          expect(res).to.have.status(410);
+        });
+    });
+
+    it('should reject an expiry in the past', function () {
+      return createShare({ expiresAt: '2000-01-01T00:00:00.000Z' })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `expiresAt` must be in the future');
+        });
+    });
+
+    it('should not let another user share the note', function () {
+      return request('post', `/api/notes/${note.id}/shares`, otherToken)
+        .send({})
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('DELETE /api/notes/:id/shares/:shareId', function () {
+
+    it('should revoke the link', function () {
+      let share;
+      return createShare()
+        .then(res => {
+          share = res.body;
+          return request('delete', `/api/notes/${note.id}/shares/${share.id}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return chai.request(app).get(`/s/${tokenOf(share)}`).catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('POST /api/notes/:id/collaborators', function () {
+
+    function grant(role) {
+      return request('post', `/api/notes/${note.id}/collaborators`).send({ username: 'aliceuser', role });
+    }
+
+    it('should let a viewer read but not update the note', function () {
+      return grant('viewer')
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.role).to.equal('viewer');
+          expect(res.body.userId.username).to.equal('aliceuser');
+          return request('get', `/api/notes/${note.id}`, otherToken);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal(note.title);
+          return request('put', `/api/notes/${note.id}`, otherToken)
+            .send({ title: 'Changed' })
+            .catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should let an editor update the text but not the folder', function () {
+      return grant('editor')
+        .then(res => {
+          expect(res).to.have.status(201);
+          return request('put', `/api/notes/${note.id}`, otherToken).send({ title: 'Changed', content: 'new' });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal('Changed');
+          expect(res.body.folderId).to.equal(note.folderId.toString());
+          return request('delete', `/api/notes/${note.id}`, otherToken);
+        })
+        .then(() => Note.findById(note.id))
+        .then(result => {
+          expect(result.deletedAt).to.equal(null);
+        });
+    });
+
+    it('should ignore the owner\'s folder and tags sent back by an editor', function () {
+      return grant('editor')
+        .then(() => request('put', `/api/notes/${note.id}`, otherToken).send({
+          title: 'Changed',
+          content: note.content,
+          folderId: note.folderId.toString(),
+          tags: note.tags.map(String)
+        }))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.title).to.equal('Changed');
+          expect(res.body.folderId).to.equal(note.folderId.toString());
+          expect(res.body.tags).to.deep.equal(note.tags.map(String));
+        });
+    });
+
+    it('should list notes shared with the user', function () {
+      return grant('viewer')
+        .then(() => request('get', '/api/notes?shared=true', otherToken))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.map(item => item.id)).to.deep.equal([note.id]);
+        });
+    });
+
+    it('should change the role of an existing collaborator', function () {
+      return grant('viewer')
+        .then(() => grant('editor'))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.role).to.equal('editor');
+          return Collaborator.count({ noteId: note.id });
+        })
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+
+    it('should reject an unknown username', function () {
+      return request('post', `/api/notes/${note.id}/collaborators`)
+        .send({ username: 'nobody', role: 'viewer' })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `username` does not exist');
+        });
+    });
+
+    it('should revoke access', function () {
+      return grant('viewer')
+        .then(res => request('delete', `/api/notes/${note.id}/collaborators/${res.body.userId.id}`))
+        .then(res => {
+          expect(res).to.have.status(204);
+          return request('get', `/api/notes/${note.id}`, otherToken).catch(err => err.response);
+        })
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Stats', function () {
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags)
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function getStats(query = '') {
+    return chai.request(app)
+      .get(`/api/stats${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .catch(err => err.response);
+  }
+
+  describe('GET /api/stats', function () {
+
+    it('should count the user\'s live notes', function () {
+      let loose;
+      return Promise.all([
+        Note.create({ title: 'Loose', userId: user.id }),
+        Note.updateOne({ folderId: '111111111111111111111100' }, { deletedAt: new Date() })
+      ])
+        .then(([note]) => {
+          loose = note;
+          return getStats('?days=7');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.keys('notes', 'unfiled', 'untagged', 'folders', 'tags', 'createdPerDay', 'recentlyEdited');
+          expect(res.body.notes).to.equal(8);
+          expect(res.body.unfiled).to.equal(1);
+          expect(res.body.untagged).to.equal(1);
+
+          const folderCounts = {};
+          res.body.folders.forEach(folder => {
+            folderCounts[folder.name] = folder.noteCount;
+          });
+          expect(folderCounts).to.deep.equal({ Archive: 1, Drafts: 2, Journal: 1, Personal: 1, Work: 2 });
+          expect(res.body.tags.map(tag => tag.noteCount)).to.deep.equal([7, 7, 7, 0]);
+
+          expect(res.body.createdPerDay).to.have.length(7);
+          expect(res.body.createdPerDay[6]).to.deep.equal({ date: new Date().toISOString().slice(0, 10), count: 8 });
+          expect(res.body.createdPerDay[0].count).to.equal(0);
+
+          expect(res.body.recentlyEdited).to.have.length(5);
+          expect(res.body.recentlyEdited[0].id).to.equal(loose.id);
+        });
+    });
+
+    it('should respond with a 422 for a window over a year', function () {
+      return getStats('?days=366')
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors[0].field).to.equal('days');
+        });
+    });
+
+  });
+
+});
@@ -3,12 +3,21 @@ const app = require('../server');
 const chai = require('chai');
 const chaiHttp = require('chai-http');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 
-const { TEST_MONGODB_URI } = require('../config');
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
 
 const Tag = require('../models/tag');
 const seedTags = require('../db/seed/tags');
 
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+
+const AuditEvent = require('../models/audit-event');
+
 const expect = chai.expect;
 
 chai.use(chaiHttp);
@@ -18,8 +27,19 @@ describe('Noteful API - Tags', function () {
     return mongoose.connect(TEST_MONGODB_URI);
   });
 
+  let user;
+  let token;
+
   beforeEach(function () {
-    return Tag.insertMany(seedTags);
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Tag.insertMany(seedTags),
+      Tag.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
   });
 
   afterEach(function () {
@@ -33,8 +53,8 @@ describe('Noteful API - Tags', function () {
   describe('GET /api/tags', function () {
 
     it('should return the correct number of Tags and correct fields', function () {
-      const dbPromise = Tag.find();
-      const apiPromise = chai.request(app).get('/api/tags');
+      const dbPromise = Tag.find({ userId: user.id });
+      const apiPromise = chai.request(app).get('/api/tags').set('Authorization', `Bearer ${token}`);
 
       return Promise.all([dbPromise, apiPromise])
         .then(([data, res]) => {
@@ -44,8 +64,55 @@ describe('Noteful API - Tags', function () {
           expect(res.body).to.have.length(data.length);
           res.body.forEach(function (item) {
             expect(item).to.be.a('object');
-            expect(item).to.have.keys('id', 'name');
+            expect(item).to.have.keys('id', 'name', 'color', 'noteCount', 'userId', 'created', 'updated', 'deletedAt', 'version');
+          });
+        });
+    });
+
+    it('should sort by name in descending order', function () {
+      return chai.request(app)
+        .get('/api/tags?sort=-name')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          const names = res.body.map(item => item.name);
+          expect(names).to.deep.equal([...names].sort().reverse());
+        });
+    });
+
+    it('should respond with a 422 for an invalid or repeated sort', function () {
+      return Promise.all([
+        chai.request(app).get('/api/tags?sort=title').set('Authorization', `Bearer ${token}`).catch(err => err.response),
+        chai.request(app).get('/api/tags?sort=name&sort=-name').set('Authorization', `Bearer ${token}`).catch(err => err.response)
+      ])
+        .then(([invalid, repeated]) => {
+          expect(invalid).to.have.status(422);
+          expect(invalid.body.errors[0].field).to.equal('sort');
+          expect(repeated).to.have.status(422);
+          expect(repeated.body.errors[0].field).to.equal('sort');
+        });
+    });
+
+    it('should count the live notes carrying each tag', function () {
+      return Note.insertMany(seedNotes)
+        .then(() => Note.updateOne({ userId: user.id }, { deletedAt: new Date() }))
+        .then(() => chai.request(app).get('/api/tags').set('Authorization', `Bearer ${token}`))
+        .then(res => {
+          const counts = {};
+          res.body.forEach(item => {
+            counts[item.name] = item.noteCount;
           });
+          expect(counts).to.deep.equal({ foo: 7, bar: 7, baz: 7, qux: 0 });
+        });
+    });
+
+    it('should return a next link when there are more results', function () {
+      return chai.request(app)
+        .get('/api/tags?limit=1&fields=name')
+        .set('Authorization', `Bearer ${token}`)
+        .then(res => {
+          expect(res.body).to.have.length(1);
+          expect(res.body[0]).to.have.keys('id', 'name', 'noteCount');
+          expect(res).to.have.header('link', /cursor=.*rel="next"/);
         });
     });
 });
@@ -54,31 +121,32 @@ describe('Noteful API - Tags', function () {
 
     it('should return correct tag for a given id', function () {
       let data;
-      return Tag.findOne()
+      return Tag.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
-          return chai.request(app).get(`/api/tags/${data.id}`);
+          return chai.request(app).get(`/api/tags/${data.id}`).set('Authorization', `Bearer ${token}`);
         })
         .then((res) => {
           expect(res).to.have.status(200);
           expect(res).to.be.json;
 
           expect(res.body).to.be.an('object');
-          expect(res.body).to.have.keys('id', 'name');
+          expect(res.body).to.have.keys('id', 'name', 'color', 'userId', 'created', 'updated', 'deletedAt', 'version');
 
           expect(res.body.id).to.equal(data.id);
           expect(res.body.name).to.equal(data.name);
         });
     });
 
-    it('should respond with a 400 for an invalid id', function () {
+    it('should respond with a 422 for an invalid id', function () {
       const badId = '99-99-99';
 
       return chai.request(app)
         .get(`/api/tags/${badId}`)
+        .set('Authorization', `Bearer ${token}`)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res.body.message).to.eq('The `id` is not valid');
         });
     });
@@ -87,6 +155,7 @@ describe('Noteful API - Tags', function () {
 
       return chai.request(app)
         .get('/api/tags/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
         .catch(err => err.response)
         .then(res => {
           expect(res).to.have.status(404);
@@ -104,6 +173,7 @@ describe('Noteful API - Tags', function () {
       let res;
       return chai.request(app)
         .post('/api/tags')
+        .set('Authorization', `Bearer ${token}`)
         .send(newItem)
         .then(function (_res) {
           res = _res;
@@ -111,7 +181,7 @@ describe('Noteful API - Tags', function () {
           expect(res).to.have.header('location');
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
-          expect(res.body).to.have.keys('id', 'name');
+          expect(res.body).to.have.keys('id', 'name', 'color', 'userId', 'created', 'updated', 'deletedAt', 'version');
           return Tag.findById(res.body.id);
         })
         .then(data => {
@@ -124,10 +194,11 @@ describe('Noteful API - Tags', function () {
 
       return chai.request(app)
         .post('/api/tags')
+        .set('Authorization', `Bearer ${token}`)
         .send(newItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
           expect(res.body.message).to.equal('Missing `name` in request body');
@@ -143,18 +214,19 @@ describe('Noteful API - Tags', function () {
         'name': 'FooBar'
       };
       let data;
-      return Tag.findOne()
+      return Tag.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
           return chai.request(app)
             .put(`/api/tags/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
             .send(updateItem);
         })
         .then(function (res) {
           expect(res).to.have.status(200);
           expect(res).to.be.json;
           expect(res.body).to.be.a('object');
-          expect(res.body).to.have.keys('id', 'name');
+          expect(res.body).to.have.keys('id', 'name', 'color', 'userId', 'created', 'updated', 'deletedAt', 'version');
 
           expect(res.body.id).to.equal(data.id);
           expect(res.body.name).to.equal(updateItem.name);
@@ -162,17 +234,49 @@ describe('Noteful API - Tags', function () {
     });
 
 
-    it('should respond with a 400 for improperly formatted id', function () {
+    it('should respond with a 412 and the current tag when `If-Match` is stale', function () {
+      const updateItem = { 'name': 'FooBar' };
+      let data;
+      return Tag.findOne({ userId: user.id })
+        .then(_data => {
+          data = _data;
+          return chai.request(app)
+            .put(`/api/tags/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', `"${data.version + 1}"`)
+            .send(updateItem);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(412);
+          expect(res).to.have.header('etag', `"${data.version}"`);
+          expect(res.body.message).to.equal('The tag has been changed since you loaded it');
+          expect(res.body.current.name).to.equal(data.name);
+          return chai.request(app)
+            .put(`/api/tags/${data.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', res.header.etag)
+            .send(updateItem);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.name).to.equal(updateItem.name);
+          expect(res.body.version).to.equal(data.version + 1);
+        });
+    });
+
+    it('should respond with a 422 for improperly formatted id', function () {
       const updateItem = { 'name': 'HalloWorld'};
 
       const badId = '99-99-99';
 
       return chai.request(app)
         .put(`/api/tags/${badId}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
-          expect(res).to.have.status(400);
+          expect(res).to.have.status(422);
           expect(res.body.message).to.eq('The `id` is not valid');
         });
     });
@@ -182,6 +286,7 @@ describe('Noteful API - Tags', function () {
 
       return chai.request(app)
         .put('/api/tags/AAAAAAAAAAAAAAAAAAAAAAAA')
+        .set('Authorization', `Bearer ${token}`)
         .send(updateItem)
         .catch(err => err.response)
         .then(res => {
@@ -191,14 +296,162 @@ describe('Noteful API - Tags', function () {
 
   });
 
+  describe('PATCH /api/tags/:id', function () {
+
+    const itemId = '222222222222222222222203';
+
+    function patch(body) {
+      return chai.request(app)
+        .patch(`/api/tags/${itemId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify(body))
+        .catch(err => err.response);
+    }
+
+    it('should rename the tag with a merge patch', function () {
+      return patch({ name: 'Renamed' })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('etag', '"1"');
+          expect(res.body.name).to.equal('Renamed');
+        });
+    });
+
+    it('should respond with a 422 for an empty name', function () {
+      return patch({ name: '' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `name` cannot be empty');
+        });
+    });
+
+    it('should set and remove the color', function () {
+      return patch({ color: '#ff8800' })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.color).to.equal('#ff8800');
+          return patch({ color: null });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.color).to.be.null;
+        });
+    });
+
+    it('should respond with a 422 for a color that is not `#rrggbb`', function () {
+      return patch({ color: 'red; background: url(x)' })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `color` is not valid');
+        });
+    });
+
+  });
+
+  describe('POST /api/tags/:id/merge', function () {
+    const [foo, bar, , qux] = seedTags;
+
+    beforeEach(function () {
+      return Note.insertMany(seedNotes);
+    });
+
+    function merge(id, into) {
+      return chai.request(app)
+        .post(`/api/tags/${id}/merge`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ into })
+        .catch(err => err.response);
+    }
+
+    it('should move the notes to the other tag without duplicates', function () {
+      let note;
+      return Note.create({ title: 'Only qux', userId: user.id, tags: [qux._id] })
+        .then(_note => {
+          note = _note;
+          return merge(bar._id, foo._id);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.id).to.equal(foo._id);
+          expect(res.body.noteCount).to.equal(8);
+          return merge(qux._id, foo._id);
+        })
+        .then(res => {
+          expect(res.body.noteCount).to.equal(9);
+          return Promise.all([
+            Tag.count({ _id: { $in: [bar._id, qux._id] } }),
+            Note.findById(note._id),
+            Note.find({ userId: user.id, tags: foo._id })
+          ]);
+        })
+        .then(([tagCount, merged, notes]) => {
+          expect(tagCount).to.equal(0);
+          expect(merged.tags.map(String)).to.deep.equal([foo._id]);
+          notes.forEach(item => {
+            const tags = item.tags.map(String);
+            expect(tags).to.not.include(bar._id);
+            expect(new Set(tags).size).to.equal(tags.length);
+          });
+        });
+    });
+
+    it('should record the merged tag as purged', function () {
+      return merge(bar._id, foo._id)
+        .then(() => AuditEvent.findOne({ resource: 'tag', resourceId: bar._id }))
+        .then(event => {
+          expect(event.action).to.equal('purge');
+          expect(event.before.name).to.equal(bar.name);
+          expect(event.after).to.be.null;
+        });
+    });
+
+    it('should merge a tag renamed to another one\'s name with `?merge=true`', function () {
+      const rename = query => chai.request(app)
+        .put(`/api/tags/${bar._id}${query}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: foo.name })
+        .catch(err => err.response);
+      return rename('')
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The tag name already exists');
+          return rename('?merge=true');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.id).to.equal(foo._id);
+          expect(res.body.noteCount).to.equal(8);
+          return Tag.count({ _id: bar._id });
+        })
+        .then(count => {
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should respond with a 422 for the same tag or another user\'s', function () {
+      return merge(foo._id, foo._id)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('A tag cannot be merged into itself');
+          return merge(foo._id, seedTags[4]._id);
+        })
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `into` does not exist');
+        });
+    });
+
+  });
+
   describe('DELETE  /api/tags/:id', function () {
 
     it('should delete an item by id', function () {
       let data;
-      return Tag.findOne()
+      return Tag.findOne({ userId: user.id })
         .then(_data => {
           data = _data;
-          return chai.request(app).delete(`/api/tags/${data.id}`);
+          return chai.request(app).delete(`/api/tags/${data.id}`).set('Authorization', `Bearer ${token}`);
         })
         .then(function (res) {
           expect(res).to.have.status(204);
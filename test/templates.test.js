@@ -0,0 +1,232 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Templates', function () {
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+  let otherToken;
+  let folder;
+  let tag;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags)
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+        otherToken = jwt.sign({ user: users[1] }, JWT_SECRET, { subject: users[1].username });
+        return Promise.all([Folder.findOne({ userId: user.id }), Tag.findOne({ userId: user.id })]);
+      })
+      .then(([_folder, _tag]) => {
+        folder = _folder;
+        tag = _tag;
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function request(method, path, authToken = token) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${authToken}`);
+  }
+
+  function createStandup() {
+    return request('post', '/api/templates')
+      .send({
+        name: 'Standup',
+        title: 'Standup {{date}}',
+        content: 'By {{user}}\n\nYesterday: {{yesterday}}\nToday: {{ today }}',
+        folderId: folder.id,
+        tags: [tag.id]
+      })
+      .then(res => res.body);
+  }
+
+  describe('POST /api/templates', function () {
+
+    it('should create a template and list its prompts', function () {
+      return request('post', '/api/templates')
+        .send({ name: 'Retro', content: '{{went well}} {{went_well}} {{went_well}} {{date}}' })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body).to.have.keys('id', 'name', 'title', 'content', 'folderId', 'tags', 'userId', 'prompts', 'created', 'updated');
+          expect(res.body.prompts).to.deep.equal(['went_well']);
+        });
+    });
+
+    it('should respond with a 400 for a duplicate name', function () {
+      return createStandup()
+        .then(() => request('post', '/api/templates').send({ name: 'Standup' }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The template name already exists');
+        });
+    });
+
+    it('should respond with a 422 for another user\'s folder', function () {
+      return Folder.findOne({ userId: { $ne: user.id } })
+        .then(other => request('post', '/api/templates').send({ name: 'Mine', folderId: other.id }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors[0].field).to.equal('folderId');
+        });
+    });
+
+  });
+
+  describe('PUT and DELETE /api/templates/:id', function () {
+
+    it('should update and then remove a template', function () {
+      let template;
+      return createStandup()
+        .then(_template => {
+          template = _template;
+          return request('put', `/api/templates/${template.id}`).send({ name: 'Daily', content: '{{notes}}' });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.name).to.equal('Daily');
+          expect(res.body.folderId).to.be.null;
+          expect(res.body.prompts).to.deep.equal(['notes']);
+          return request('delete', `/api/templates/${template.id}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return request('get', `/api/templates/${template.id}`);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should respond with a 404 for another user\'s template', function () {
+      return createStandup()
+        .then(template => request('put', `/api/templates/${template.id}`, otherToken).send({ name: 'Stolen' }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should respond with a 404 when deleting another user\'s template', function () {
+      let template;
+      return createStandup()
+        .then(_template => {
+          template = _template;
+          return request('delete', `/api/templates/${template.id}`, otherToken);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+          return request('get', `/api/templates/${template.id}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+        });
+    });
+
+  });
+
+  describe('POST /api/notes?fromTemplate=:id', function () {
+
+    it('should fill in the placeholders, folder and tags', function () {
+      return createStandup()
+        .then(template => {
+          return request('post', `/api/notes?fromTemplate=${template.id}`)
+            .send({ variables: { yesterday: 'tests', today: 'templates' } });
+        })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.title).to.match(/^Standup \d{4}-\d{2}-\d{2}$/);
+          expect(res.body.content).to.equal(`By ${user.fullname || user.username}\n\nYesterday: tests\nToday: templates`);
+          expect(res.body.folderId).to.equal(folder.id);
+          expect(res.body.tags).to.deep.equal([tag.id]);
+        });
+    });
+
+    it('should let the body override the template', function () {
+      return createStandup()
+        .then(template => {
+          return request('post', `/api/notes?fromTemplate=${template.id}`)
+            .send({ title: 'Monday', folderId: null, tags: [], variables: { yesterday: '', today: '' } });
+        })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.title).to.equal('Monday');
+          expect(res.body.folderId).to.be.null;
+          expect(res.body.tags).to.be.empty;
+        });
+    });
+
+    it('should leave out a folder that is in the trash', function () {
+      return createStandup()
+        .then(template => {
+          return Folder.updateOne({ _id: folder.id }, { deletedAt: new Date() })
+            .then(() => request('post', `/api/notes?fromTemplate=${template.id}`)
+              .send({ variables: { yesterday: '', today: '' } }));
+        })
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res.body.folderId).to.be.null;
+        });
+    });
+
+    it('should respond with a 422 for each missing prompt', function () {
+      return createStandup()
+        .then(template => request('post', `/api/notes?fromTemplate=${template.id}`).send({ variables: {} }))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors.map(error => error.field)).to.deep.equal(['variables.yesterday', 'variables.today']);
+        });
+    });
+
+    it('should respond with a 422 for another user\'s template', function () {
+      return createStandup()
+        .then(template => request('post', `/api/notes?fromTemplate=${template.id}`, otherToken).send({}))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('The `fromTemplate` does not exist');
+        });
+    });
+
+  });
+
+});
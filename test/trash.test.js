@@ -0,0 +1,215 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Note = require('../models/note');
+const seedNotes = require('../db/seed/notes');
+const Folder = require('../models/folder');
+const seedFolders = require('../db/seed/folders');
+const Tag = require('../models/tag');
+const seedTags = require('../db/seed/tags');
+
+const { purgeExpired } = require('../utils/trash');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Trash', function () {
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  let user;
+  let token;
+
+  beforeEach(function () {
+    return Promise.all([
+      User.insertMany(seedUsers),
+      Note.insertMany(seedNotes),
+      Folder.insertMany(seedFolders),
+      Tag.insertMany(seedTags),
+      Folder.createIndexes(),
+      Tag.createIndexes()
+    ])
+      .then(([users]) => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  function request(method, url) {
+    return chai.request(app)[method](url)
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  describe('DELETE /api/folders/:id', function () {
+
+    it('should move the folder and its notes to the trash', function () {
+      const folderId = '111111111111111111111100';
+      let noteCount;
+
+      return Note.count({ folderId })
+        .then(count => {
+          noteCount = count;
+          return request('delete', `/api/folders/${folderId}`);
+        })
+        .then(res => {
+          expect(res).to.have.status(204);
+          return request('get', '/api/trash');
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.keys('notes', 'folders', 'tags');
+          expect(res.body.folders).to.have.length(1);
+          expect(res.body.notes).to.have.length(noteCount);
+          return Note.count({ folderId });
+        })
+        .then(count => {
+          expect(count).to.equal(noteCount);
+        });
+    });
+
+  });
+
+  describe('GET /api/trash', function () {
+
+    it('should hide trashed notes from the notes list', function () {
+      const noteId = '000000000000000000000000';
+      return request('delete', `/api/notes/${noteId}`)
+        .then(() => request('get', '/api/notes'))
+        .then(res => {
+          expect(res.body.map(note => note.id)).to.not.include(noteId);
+          return request('get', `/api/notes/${noteId}`);
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+    it('should hide trashed tags from populated notes', function () {
+      const tagId = '222222222222222222222200';
+      return request('delete', `/api/tags/${tagId}`)
+        .then(() => request('get', '/api/notes/000000000000000000000000'))
+        .then(res => {
+          expect(res.body.tags.map(tag => tag.id)).to.not.include(tagId);
+        });
+    });
+
+  });
+
+  describe('POST /api/trash/:type/:id/restore', function () {
+
+    it('should restore a folder together with its notes', function () {
+      const folderId = '111111111111111111111100';
+      return request('delete', `/api/folders/${folderId}`)
+        .then(() => request('post', `/api/trash/folders/${folderId}/restore`))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.deletedAt).to.be.null;
+          return Note.count({ folderId, deletedAt: { $ne: null } });
+        })
+        .then(count => {
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should unfile a restored note whose folder is still in the trash', function () {
+      const noteId = '000000000000000000000000';
+      return request('delete', '/api/folders/111111111111111111111100')
+        .then(() => request('post', `/api/trash/notes/${noteId}/restore`))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.not.have.property('folderId');
+        });
+    });
+
+    it('should reject restoring a tag whose name has been reused', function () {
+      const tagId = '222222222222222222222200';
+      return request('delete', `/api/tags/${tagId}`)
+        .then(() => request('post', '/api/tags').send({ name: 'foo' }))
+        .then(() => request('post', `/api/trash/tags/${tagId}/restore`))
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The tag name already exists');
+        });
+    });
+
+    it('should respond with a 404 for an item that is not in the trash', function () {
+      return request('post', '/api/trash/notes/000000000000000000000000/restore')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('DELETE /api/trash/:type/:id', function () {
+
+    it('should permanently delete a tag and pull it from notes', function () {
+      const tagId = '222222222222222222222200';
+      return request('delete', `/api/tags/${tagId}`)
+        .then(() => request('delete', `/api/trash/tags/${tagId}`))
+        .then(res => {
+          expect(res).to.have.status(204);
+          return Promise.all([Tag.findById(tagId), Note.count({ tags: tagId })]);
+        })
+        .then(([tag, count]) => {
+          expect(tag).to.be.null;
+          expect(count).to.equal(0);
+        });
+    });
+
+    it('should not permanently delete an item that is not in the trash', function () {
+      return request('delete', '/api/trash/notes/000000000000000000000000')
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(404);
+        });
+    });
+
+  });
+
+  describe('purgeExpired', function () {
+
+    it('should only remove items trashed longer ago than the retention period', function () {
+      const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+      return Promise.all([
+        Note.findByIdAndUpdate('000000000000000000000000', { deletedAt: longAgo }),
+        Note.findByIdAndUpdate('000000000000000000000001', { deletedAt: new Date() })
+      ])
+        .then(() => purgeExpired(30))
+        .then(result => {
+          expect(result.notes).to.equal(1);
+          return Promise.all([
+            Note.findById('000000000000000000000000'),
+            Note.findById('000000000000000000000001')
+          ]);
+        })
+        .then(([purged, kept]) => {
+          expect(purged).to.be.null;
+          expect(kept).to.exist;
+        });
+    });
+
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+
+const { TEST_MONGODB_URI } = require('../config');
+
+const User = require('../models/user');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Users', function () {
+  const username = 'exampleUser';
+  const password = 'examplePass';
+  const fullname = 'Example User';
+
+  before(function () {
+    return mongoose.connect(TEST_MONGODB_URI);
+  });
+
+  beforeEach(function () {
+    return User.createIndexes();
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    return mongoose.disconnect();
+  });
+
+  describe('POST /api/users', function () {
+
+    it('should create a new user', function () {
+      const testUser = { username, password, fullname };
+      let res;
+      return chai.request(app)
+        .post('/api/users')
+        .send(testUser)
+        .then(_res => {
+          res = _res;
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body).to.be.an('object');
+          expect(res.body).to.have.keys('id', 'username', 'fullname');
+          expect(res.body.username).to.equal(username);
+          expect(res.body.fullname).to.equal(fullname);
+          return User.findOne({ username });
+        })
+        .then(user => {
+          expect(user).to.exist;
+          expect(user.id).to.equal(res.body.id);
+          return user.validatePassword(password);
+        })
+        .then(isValid => {
+          expect(isValid).to.be.true;
+        });
+    });
+
+    it('should reject users with a missing username', function () {
+      return chai.request(app)
+        .post('/api/users')
+        .send({ password, fullname })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Missing `username` in request body');
+        });
+    });
+
+    it('should reject users with a non-string password', function () {
+      return chai.request(app)
+        .post('/api/users')
+        .send({ username, password: 12345678, fullname })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `password` must be type String');
+        });
+    });
+
+    it('should reject users with a username that has surrounding whitespace', function () {
+      return chai.request(app)
+        .post('/api/users')
+        .send({ username: ` ${username} `, password, fullname })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `username` cannot start or end with whitespace');
+        });
+    });
+
+    it('should reject users with a password shorter than 8 characters', function () {
+      return chai.request(app)
+        .post('/api/users')
+        .send({ username, password: 'short', fullname })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.message).to.equal('Field: `password` must be at least 8 characters long');
+        });
+    });
+
+    it('should reject users with a duplicate username', function () {
+      return User.create({ username, password, fullname })
+        .then(() => {
+          return chai.request(app)
+            .post('/api/users')
+            .send({ username, password, fullname });
+        })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(400);
+          expect(res.body.message).to.equal('The username already exists');
+        });
+    });
+
+  });
+});
@@ -0,0 +1,354 @@
+'use strict';
+const app = require('../server');
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const { TEST_MONGODB_URI, JWT_SECRET } = require('../config');
+
+const User = require('../models/user');
+const seedUsers = require('../db/seed/users');
+
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhook-delivery');
+const { startWebhooks, retryDeliveries, setAllowPrivateUrls } = require('../utils/webhooks');
+const { claimedUntil } = require('../utils/delivery');
+
+const expect = chai.expect;
+
+chai.use(chaiHttp);
+
+describe('Noteful API - Webhooks', function () {
+  const secret = 'a-long-enough-secret';
+
+  // A local receiver that answers with `status`. `next()` resolves with the
+  // next request it gets.
+  let receiver;
+  let requests;
+  let waiting;
+  let status;
+  let url;
+  let stopWebhooks;
+
+  before(function (done) {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        res.statusCode = status;
+        res.end();
+        const request = { headers: req.headers, body };
+        if (waiting.length) {
+          waiting.shift()(request);
+        } else {
+          requests.push(request);
+        }
+      });
+    });
+    receiver.listen(0, () => {
+      url = `http://localhost:${receiver.address().port}/hooks`;
+      stopWebhooks = startWebhooks({ interval: 60000, maxAttempts: 2, retryDelay: 0 });
+      mongoose.connect(TEST_MONGODB_URI).then(() => done(), done);
+    });
+  });
+
+  let user;
+  let token;
+  let otherToken;
+
+  beforeEach(function () {
+    requests = [];
+    waiting = [];
+    status = 200;
+    return User.insertMany(seedUsers)
+      .then(users => {
+        user = users[0];
+        token = jwt.sign({ user }, JWT_SECRET, { subject: user.username });
+        otherToken = jwt.sign({ user: users[1] }, JWT_SECRET, { subject: users[1].username });
+      });
+  });
+
+  afterEach(function () {
+    return mongoose.connection.db.dropDatabase();
+  });
+
+  after(function () {
+    stopWebhooks();
+    receiver.close();
+    return mongoose.disconnect();
+  });
+
+  function next() {
+    return new Promise(resolve => {
+      if (requests.length) {
+        resolve(requests.shift());
+      } else {
+        waiting.push(resolve);
+      }
+    });
+  }
+
+  // Resolve with a delivery once `attempts` of it have been recorded, which
+  // happens just after the receiver has answered
+  function recorded(attempts) {
+    return WebhookDelivery.findOne({ attempts })
+      .then(delivery => delivery || new Promise(resolve => setTimeout(resolve, 20)).then(() => recorded(attempts)));
+  }
+
+  function request(method, path, authToken = token) {
+    return chai.request(app)[method](path)
+      .set('Authorization', `Bearer ${authToken}`);
+  }
+
+  function createWebhook(events) {
+    return request('post', '/api/webhooks').send({ url, secret, events });
+  }
+
+  describe('POST /api/webhooks', function () {
+
+    it('should create a webhook without sending back its secret', function () {
+      return createWebhook(['note.created'])
+        .then(res => {
+          expect(res).to.have.status(201);
+          expect(res).to.have.header('location');
+          expect(res.body).to.have.keys('id', 'userId', 'url', 'events', 'active', 'created', 'updated');
+          expect(res.body.events).to.deep.equal(['note.created']);
+          expect(res.body.active).to.be.true;
+        });
+    });
+
+    it('should respond with a 422 for an invalid url, secret or event', function () {
+      return request('post', '/api/webhooks')
+        .send({ url: 'ftp://example.com', secret: 'short', events: ['note.archived'] })
+        .catch(err => err.response)
+        .then(res => {
+          expect(res).to.have.status(422);
+          expect(res.body.errors.map(error => error.field)).to.deep.equal(['url', 'secret', 'events[0]']);
+        });
+    });
+
+    it('should respond with a 422 for a loopback, private or link-local url', function () {
+      setAllowPrivateUrls(false);
+      const urls = ['http://localhost/hooks', 'http://127.0.0.1:8080/', 'http://10.0.0.5/', 'http://169.254.169.254/', 'http://[::1]/'];
+      return Promise.all(urls.map(url => {
+        return request('post', '/api/webhooks').send({ url, secret, events: ['note.created'] })
+          .catch(err => err.response);
+      }))
+        .then(responses => {
+          setAllowPrivateUrls(undefined);
+          responses.forEach(res => {
+            expect(res).to.have.status(422);
+            expect(res.body.message).to.equal('Field: `url` cannot be a loopback, private or link-local address');
+          });
+        }, err => {
+          setAllowPrivateUrls(undefined);
+          throw err;
+        });
+    });
+
+  });
+
+  describe('deliveries', function () {
+
+    it('should POST signed changes to subscribed webhooks', function () {
+      let tag;
+      return createWebhook(['tag.created'])
+        .then(() => request('post', '/api/tags').send({ name: 'hooked' }))
+        .then(res => {
+          tag = res.body;
+          return next();
+        })
+        .then(({ headers, body }) => {
+          const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+          expect(headers['x-noteful-event']).to.equal('tag.created');
+          expect(headers['x-noteful-signature']).to.equal(`sha256=${signature}`);
+          expect(headers['x-noteful-delivery']).to.be.a('string');
+
+          const payload = JSON.parse(body);
+          expect(payload.event).to.equal('tag.created');
+          expect(payload.data.id).to.equal(tag.id);
+          expect(payload.data.name).to.equal('hooked');
+        });
+    });
+
+    it('should only send the events a webhook subscribes to', function () {
+      return createWebhook(['folder.created'])
+        .then(() => request('post', '/api/tags').send({ name: 'ignored' }))
+        .then(() => request('post', '/api/folders', otherToken).send({ name: 'not mine' }))
+        .then(() => request('post', '/api/folders').send({ name: 'mine' }))
+        .then(() => next())
+        .then(({ body }) => {
+          const payload = JSON.parse(body);
+          expect(payload.event).to.equal('folder.created');
+          expect(payload.data.name).to.equal('mine');
+        });
+    });
+
+    it('should retry failures, list them as failed and redeliver them', function () {
+      let webhook;
+      status = 500;
+      return createWebhook(['tag.created'])
+        .then(res => {
+          webhook = res.body;
+          return request('post', '/api/tags').send({ name: 'flaky' });
+        })
+        .then(() => next())
+        .then(() => recorded(1))
+        .then(delivery => {
+          expect(delivery.status).to.equal('pending');
+          expect(delivery.lastError).to.equal('Responded with 500');
+          return retryDeliveries({ maxAttempts: 2, retryDelay: 0 });
+        })
+        .then(() => request('get', `/api/webhooks/${webhook.id}/deliveries?status=failed`))
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body).to.have.length(1);
+          expect(res.body[0].attempts).to.equal(2);
+
+          status = 200;
+          requests = [];
+          return request('post', `/api/webhooks/${webhook.id}/deliveries/${res.body[0].id}/redeliver`);
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.status).to.equal('delivered');
+          expect(res.body.attempts).to.equal(1);
+          expect(requests).to.have.length(1);
+        });
+    });
+
+    it('should redeliver once when redeliveries race, and not while an attempt is being made', function () {
+      let webhook;
+      let delivery;
+      const redeliver = () => request('post', `/api/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`)
+        .catch(err => err.response);
+      return createWebhook(['tag.created'])
+        .then(res => {
+          webhook = res.body;
+          return WebhookDelivery.create({
+            webhookId: webhook.id, userId: user.id, event: 'tag.created', payload: {},
+            status: 'failed', attempts: 2, nextAttemptAt: null
+          });
+        })
+        .then(_delivery => {
+          delivery = _delivery;
+          return Promise.all([redeliver(), redeliver()]);
+        })
+        .then(responses => {
+          expect(responses.map(res => res.status).sort()).to.deep.equal([200, 409]);
+          expect(requests).to.have.length(1);
+          return WebhookDelivery.updateOne({ _id: delivery._id }, { status: 'pending', nextAttemptAt: claimedUntil() });
+        })
+        .then(() => redeliver())
+        .then(res => {
+          expect(res).to.have.status(409);
+          expect(requests).to.have.length(1);
+        });
+    });
+
+    it('should leave a delivery alone while an attempt at it is being made', function () {
+      let webhook;
+      return createWebhook(['tag.created'])
+        .then(res => {
+          webhook = res.body;
+          // As queued by `enqueue`, which is about to make the first attempt
+          return WebhookDelivery.create({
+            webhookId: webhook.id, userId: user.id, event: 'tag.created', payload: {},
+            nextAttemptAt: new Date(Date.now() + 60000)
+          });
+        })
+        .then(() => retryDeliveries({ maxAttempts: 2, retryDelay: 0 }))
+        .then(attempted => {
+          expect(attempted).to.equal(0);
+          expect(requests).to.be.empty;
+        });
+    });
+
+    it('should send a due delivery once when retries overlap', function () {
+      return createWebhook(['tag.created'])
+        .then(res => WebhookDelivery.create({
+          webhookId: res.body.id, userId: user.id, event: 'tag.created', payload: {}, nextAttemptAt: new Date()
+        }))
+        .then(() => Promise.all([
+          retryDeliveries({ maxAttempts: 2, retryDelay: 0 }),
+          retryDeliveries({ maxAttempts: 2, retryDelay: 0 })
+        ]))
+        .then(attempted => {
+          expect(attempted[0] + attempted[1]).to.equal(1);
+          expect(requests).to.have.length(1);
+          return WebhookDelivery.findOne();
+        })
+        .then(delivery => {
+          expect(delivery.status).to.equal('delivered');
+          expect(delivery.attempts).to.equal(1);
+        });
+    });
+
+    it('should not send to inactive webhooks', function () {
+      let inactive;
+      return createWebhook(['tag.created'])
+        .then(res => {
+          inactive = res.body;
+          return request('put', `/api/webhooks/${inactive.id}`)
+            .send({ url, events: ['tag.created'], active: false });
+        })
+        .then(res => {
+          expect(res).to.have.status(200);
+          expect(res.body.active).to.be.false;
+          return createWebhook(['tag.created']);
+        })
+        .then(() => request('post', '/api/tags').send({ name: 'quiet' }))
+        .then(() => next())
+        .then(() => WebhookDelivery.count({ webhookId: inactive.id }))
+        .then(count => {
+          expect(count).to.equal(0);
+        });
+    });
+
+  });
+
+  describe('DELETE /api/webhooks/:id', function () {
+
+    it('should remove the webhook and its deliveries', function () {
+      let webhook;
+      return createWebhook(['tag.created'])
+        .then(res => {
+          webhook = res.body;
+          return request('post', '/api/tags').send({ name: 'gone' });
+        })
+        .then(() => recorded(1))
+        .then(() => request('delete', `/api/webhooks/${webhook.id}`))
+        .then(res => {
+          expect(res).to.have.status(204);
+          return Promise.all([Webhook.count(), WebhookDelivery.count()]);
+        })
+        .then(([webhooks, deliveries]) => {
+          expect(webhooks).to.equal(0);
+          expect(deliveries).to.equal(0);
+        });
+    });
+
+    it('should respond with a 404 for another user\'s webhook', function () {
+      return createWebhook(['tag.created'])
+        .then(res => Promise.all([
+          request('get', `/api/webhooks/${res.body.id}`, otherToken).catch(err => err.response),
+          request('delete', `/api/webhooks/${res.body.id}`, otherToken).catch(err => err.response)
+        ]))
+        .then(([read, remove]) => {
+          expect(read).to.have.status(404);
+          expect(remove).to.have.status(404);
+          return Webhook.count();
+        })
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const AuditEvent = require('../models/audit-event');
+
+// A plain copy of the item as clients see it
+function snapshot(item) {
+  return item ? JSON.parse(JSON.stringify(item)) : null;
+}
+
+/**
+ * Append an audit event to the log for each `{ before, after }` change the
+ * request made to items of `resource`, e.g.
+ * `recordAudit(req, 'update', 'tag', [{ before, after }])`. Creates have no
+ * `before` and deletes no `after`.
+ *
+ * Never rejects: the change has already been made, so a failure to record
+ * it is logged rather than failing the request.
+ */
+function recordAudit(req, action, resource, changes) {
+  if (!changes.length) {
+    return Promise.resolve();
+  }
+  const events = changes.map(({ before, after }) => {
+    const item = after || before;
+    return {
+      actorId: req.user.id,
+      ownerId: item.userId,
+      action,
+      resource,
+      resourceId: item._id,
+      before: snapshot(before),
+      after: snapshot(after),
+      ip: req.ip,
+      requestId: req.id
+    };
+  });
+
+  return AuditEvent.insertMany(events)
+    .then(() => {})
+    .catch(err => {
+      console.error(`ERROR: audit ${action} ${resource} failed: ${err.message}`);
+    });
+}
+
+/**
+ * Record `action` on each of the `before` items, paired with how they are
+ * now, for changes made to items of `Model` with a multi-document update.
+ * Never rejects, like `recordAudit`.
+ */
+function recordAuditMany(req, action, resource, Model, before) {
+  if (!before.length) {
+    return Promise.resolve();
+  }
+  return Model.find({ _id: { $in: before.map(item => item._id) } })
+    .then(results => {
+      const after = new Map(results.map(result => [String(result._id), result]));
+      return recordAudit(req, action, resource, before.map(item => ({
+        before: item,
+        after: after.get(String(item._id)) || null
+      })));
+    })
+    .catch(err => {
+      console.error(`ERROR: audit ${action} ${resource} failed: ${err.message}`);
+    });
+}
+
+module.exports = { recordAudit, recordAuditMany };
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Optimistic concurrency for notes, folders and tags. Every response carries
+ * the item's `version` as its `ETag`, and a `PUT` with `If-Match` only
+ * applies when the stored item still has one of the listed versions.
+ */
+
+function etag(doc) {
+  return `"${doc.version}"`;
+}
+
+// The versions listed in `If-Match`, or null when any version will do
+function ifMatchVersions(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(tag => /^\d+$/.test(tag))
+    .map(Number);
+}
+
+function matchesVersion(req, doc) {
+  const versions = ifMatchVersions(req);
+  return !versions || versions.includes(doc.version);
+}
+
+// Add the `If-Match` condition to an update filter so a write that races
+// another one matches nothing instead of overwriting it
+function withVersion(req, filter) {
+  const versions = ifMatchVersions(req);
+  return versions ? Object.assign({}, filter, { version: { $in: versions } }) : filter;
+}
+
+// The error handler sends `current` back with its `ETag` so the client can
+// merge or overwrite without another request
+function conflictError(name, current) {
+  const err = new Error(`The ${name} has been changed since you loaded it`);
+  err.status = 412;
+  err.current = current;
+  return err;
+}
+
+// When a versioned update matched nothing, `query` finds the item as it is
+// now: a 412 if it still exists, otherwise null for the caller's 404
+function conflictOrNotFound(name, query) {
+  return query.then(current => (current ? Promise.reject(conflictError(name, current)) : null));
+}
+
+module.exports = { etag, matchesVersion, withVersion, conflictError, conflictOrNotFound };
@@ -0,0 +1,218 @@
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { URL } = require('url');
+
+// Give up on a receiver that hasn't answered after this long, in ms
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// How long a delivery is held back while an attempt at it is made, in ms.
+// Longer than any attempt takes, so it only comes due again if the attempt
+// was never recorded, e.g. when the process stopped in the middle of it.
+const CLAIM_TIMEOUT = 2 * REQUEST_TIMEOUT;
+
+// When a delivery claimed now comes due again
+function claimedUntil() {
+  return new Date(Date.now() + CLAIM_TIMEOUT);
+}
+
+// IPv4 ranges, as `[first octets, prefix length]`, that aren't on the public
+// internet: this host, private networks, shared address space, loopback,
+// link-local, and multicast and reserved
+const PRIVATE_IPV4 = [
+  [[0], 8], [[10], 8], [[100, 64], 10], [[127], 8], [[169, 254], 16],
+  [[172, 16], 12], [[192, 168], 16], [[224], 3]
+];
+
+function inRange(octets, [prefix, bits]) {
+  const value = octets.reduce((total, octet) => total * 256 + octet, 0);
+  const start = [0, 1, 2, 3].reduce((total, i) => total * 256 + (prefix[i] || 0), 0);
+  const size = 2 ** (32 - bits);
+  return value >= start && value < start + size;
+}
+
+/**
+ * Whether the IP `address` is loopback, private, link-local or otherwise
+ * not a public internet address. IPv4 addresses mapped into IPv6 are
+ * checked as IPv4.
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const hexMapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  let ip = address;
+  if (mapped) {
+    ip = mapped[1];
+  } else if (hexMapped) {
+    const [high, low] = [hexMapped[1], hexMapped[2]].map(hex => parseInt(hex, 16));
+    ip = [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+
+  if (net.isIPv4(ip)) {
+    const octets = ip.split('.').map(Number);
+    return PRIVATE_IPV4.some(range => inRange(octets, range));
+  }
+  if (net.isIPv6(ip)) {
+    const first = parseInt(ip.split(':')[0] || '0', 16);
+    return /^::1?$/.test(ip) ||
+      (first & 0xfe00) === 0xfc00 || // unique local
+      (first & 0xffc0) === 0xfe80 || // link-local
+      (first & 0xff00) === 0xff00; // multicast
+  }
+  return false;
+}
+
+/**
+ * Whether `url` names a host on the public internet as far as can be told
+ * without resolving it: not an internal name like `localhost` and not a
+ * private IP address.
+ */
+function isPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const isInternalName = !net.isIP(hostname) && (!hostname.includes('.') || hostname.endsWith('.localhost'));
+  if (isInternalName) {
+    return false;
+  }
+  return !isPrivateAddress(hostname);
+}
+
+// A DNS lookup that fails for private addresses, so a public name can't
+// resolve to an internal host
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!err && addresses.some(isPrivateAddress)) {
+      err = new Error(`${hostname} resolves to a private address`);
+    }
+    callback(err, address, family);
+  });
+}
+
+/**
+ * POST `body`, a JSON string, to `url`. Resolves with the response status
+ * code, rejects when there is no response within `REQUEST_TIMEOUT`. With
+ * `publicOnly`, rejects when `url` is or resolves to a private address.
+ */
+function postJson(url, body, headers = {}, { publicOnly = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    if (publicOnly && !isPublicUrl(url)) {
+      return reject(new Error(`${target.hostname} is not a public address`));
+    }
+
+    const req = transport.request({
+      lookup: publicOnly ? publicLookup : undefined,
+      method: 'POST',
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: `${target.pathname}${target.search}`,
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }, headers)
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      reject(new Error(`No response after ${REQUEST_TIMEOUT} ms`));
+      req.abort();
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Make one attempt at a delivery, a document with `status`, `attempts`,
+ * `nextAttemptAt`, `lastStatus`, `lastError` and `deliveredAt`, and save the
+ * outcome. `send()` resolves with the response status code. Anything but a
+ * 2xx response is a failure, retried after `retryDelay` ms, doubling every
+ * time, until `maxAttempts` have failed and the delivery is `failed`.
+ */
+function attemptDelivery(delivery, send, { maxAttempts, retryDelay }) {
+  return send()
+    .then(status => ({ status, error: status >= 200 && status < 300 ? null : `Responded with ${status}` }))
+    .catch(err => ({ status: null, error: err.message }))
+    .then(({ status, error }) => {
+      delivery.attempts += 1;
+      delivery.lastStatus = status;
+      delivery.lastError = error;
+      delivery.nextAttemptAt = null;
+
+      if (!error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date();
+      } else if (delivery.attempts >= maxAttempts) {
+        delivery.status = 'failed';
+      } else {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + retryDelay * 2 ** (delivery.attempts - 1));
+      }
+      return delivery.save();
+    });
+}
+
+/**
+ * Claim a pending `delivery` read from `Model` for an attempt, by moving its
+ * `nextAttemptAt` on by `CLAIM_TIMEOUT` if nobody else has since. Resolves
+ * with the claimed delivery, or `null` when another run, in this process or
+ * another one, claimed or attempted it first.
+ */
+function claimDelivery(Model, delivery) {
+  return Model.findOneAndUpdate(
+    { _id: delivery._id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt },
+    { $set: { nextAttemptAt: claimedUntil() } },
+    { new: true }
+  );
+}
+
+/**
+ * Claim a `delivery` read from `Model` to send it again from the start,
+ * resetting its attempts, if nobody has changed it since it was read.
+ * Resolves with the claimed delivery, or `null` when a retry claimed or
+ * attempted it first. A delivery being attempted right now, claimed until
+ * less than `CLAIM_TIMEOUT` from now, is left alone too.
+ */
+function claimRedelivery(Model, delivery) {
+  const { status, attempts, nextAttemptAt } = delivery;
+  const now = Date.now();
+  if (status === 'pending' && nextAttemptAt > now && nextAttemptAt <= now + CLAIM_TIMEOUT) {
+    return Promise.resolve(null);
+  }
+  return Model.findOneAndUpdate(
+    { _id: delivery._id, status, attempts, nextAttemptAt },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: claimedUntil() } },
+    { new: true }
+  );
+}
+
+/**
+ * Call `run()` every `interval` ms, skipping a run while the last one is
+ * still going. The timer does not keep the process alive on its own.
+ */
+function startSchedule(name, run, interval) {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    run()
+      .catch(err => {
+        console.error(`ERROR: ${name} failed: ${err.message}`);
+      })
+      .then(() => {
+        running = false;
+      });
+  }, interval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { isPrivateAddress, isPublicUrl, postJson, attemptDelivery, claimedUntil, claimDelivery, claimRedelivery, startSchedule };
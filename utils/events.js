@@ -0,0 +1,108 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const Note = require('../models/note');
+const Collaborator = require('../models/collaborator');
+
+// One channel per user id. Every open event stream adds a listener, so there
+// is no sensible limit on listeners.
+const channels = new EventEmitter();
+channels.setMaxListeners(0);
+
+// Every change to a user's own items, for listeners such as webhooks that
+// act for the owner rather than for each viewer
+const changes = new EventEmitter();
+
+/**
+ * Listen for the events sent to `userId`. Returns a function that stops
+ * listening.
+ */
+function subscribe(userId, listener) {
+  channels.on(userId, listener);
+  return () => channels.removeListener(userId, listener);
+}
+
+/**
+ * Listen for every change, called with `{ ownerId, type, data }`. Returns a
+ * function that stops listening.
+ */
+function onChange(listener) {
+  changes.on('change', listener);
+  return () => changes.removeListener('change', listener);
+}
+
+// `*.deleted` events only carry the id, everything else the whole item
+function eventData(type, item) {
+  return type.endsWith('.deleted') ? { id: String(item._id) } : item;
+}
+
+/**
+ * Send `{ type, data }` to every user in `userIds`, e.g.
+ * `publish([userId], 'folder.created', folder)`.
+ */
+function publish(userIds, type, data) {
+  new Set(userIds.map(String)).forEach(userId => {
+    channels.emit(userId, { type, data });
+  });
+}
+
+function logFailure(err) {
+  console.error(`ERROR: event publish failed: ${err.message}`);
+}
+
+/**
+ * Publish a `folder.*` or `tag.*` event for each item to its owner. Items
+ * can be documents or, for `*.deleted`, plain `{ _id, userId }` objects.
+ */
+function publishItems(type, items) {
+  items.forEach(item => {
+    const data = eventData(type, item);
+    publish([item.userId], type, data);
+    changes.emit('change', { ownerId: String(item.userId), type, data });
+  });
+}
+
+/**
+ * Publish a `note.*` event for each note to its owner and collaborators, or
+ * only to `userIds` when given, which doesn't count as a change to the note.
+ * Tags are populated the same way `GET /api/notes` does. Never rejects, so
+ * routes can publish after responding without waiting.
+ */
+function publishNotes(type, notes, userIds) {
+  if (!notes.length) {
+    return Promise.resolve();
+  }
+  const noteIds = notes.map(note => note._id);
+  const populated = type.endsWith('.deleted')
+    ? notes
+    : Note.populate(notes, { path: 'tags', match: { deletedAt: null } });
+
+  const grants = userIds ? [] : Collaborator.find({ noteId: { $in: noteIds } });
+
+  return Promise.all([grants, populated])
+    .then(([grants, results]) => {
+      results.forEach(note => {
+        const collaborators = grants
+          .filter(grant => grant.noteId.equals(note._id))
+          .map(grant => grant.userId);
+        const data = eventData(type, note);
+        if (userIds) {
+          return publish(userIds, type, data);
+        }
+        publish([note.userId, ...collaborators], type, data);
+        changes.emit('change', { ownerId: String(note.userId), type, data });
+      });
+    })
+    .catch(logFailure);
+}
+
+// Publish an event for every item of `Model` matching `filter`, for changes
+// made with `updateMany`
+function publishWhere(Model, type, filter) {
+  return Model.find(filter)
+    .then(items => (Model === Note ? publishNotes(type, items) : publishItems(type, items)))
+    .catch(logFailure);
+}
+
+module.exports = { subscribe, onChange, publish, publishItems, publishNotes, publishWhere };
@@ -0,0 +1,64 @@
+'use strict';
+
+const MarkdownIt = require('markdown-it');
+const taskLists = require('markdown-it-task-lists');
+const sanitizeHtml = require('sanitize-html');
+
+// Raw HTML in the markdown source is escaped rather than passed through
+const md = new MarkdownIt({ html: false, linkify: true })
+  .use(taskLists);
+
+// Rendered notes are shown to other users, so only the tags markdown itself
+// produces are allowed and every attribute is listed explicitly
+const sanitizeOptions = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 's', 'code', 'pre', 'a', 'img', 'input',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    code: ['class'],
+    img: ['src', 'alt', 'title'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    li: ['task-list-item'],
+    ul: ['contains-task-list'],
+    input: ['task-list-item-checkbox']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' }),
+    // Keep the `language-*` class of fenced code blocks and nothing else
+    code: (tagName, attribs) => {
+      const isLanguage = /^language-[\w-]+$/.test(attribs.class);
+      return { tagName, attribs: isLanguage ? { class: attribs.class } : {} };
+    },
+    input: (tagName, attribs) => {
+      // Task list checkboxes are the only inputs markdown produces
+      if (attribs.type !== 'checkbox') {
+        return { tagName: 'span', attribs: {} };
+      }
+      return { tagName, attribs: Object.assign({}, attribs, { disabled: 'disabled' }) };
+    }
+  }
+};
+
+/**
+ * Render a note's markdown `content` to sanitized HTML.
+ */
+function renderMarkdown(content = '') {
+  return sanitizeHtml(md.render(content), sanitizeOptions);
+}
+
+module.exports = { renderMarkdown };
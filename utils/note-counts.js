@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * Turn folders or tags into plain objects with a `noteCount`, taken from
+ * the `[{ _id, count }]` of `Note.countByFolder` or `Note.countByTag`
+ */
+function withNoteCounts(items, counts) {
+  const noteCounts = new Map(counts.map(count => [count._id.toString(), count.count]));
+  return items.map(item => Object.assign(item.toObject(), { noteCount: noteCounts.get(item.id) || 0 }));
+}
+
+module.exports = { withNoteCounts };
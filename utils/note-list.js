@@ -0,0 +1,61 @@
+'use strict';
+
+const Note = require('../models/note');
+const { buildSnippets } = require('./search-snippets');
+const { pageQuery, parsePageQuery, setNextLink } = require('./pagination');
+
+const pageOptions = {
+  sortFields: ['title', 'created', 'updated'],
+  defaultSort: 'created',
+  selectFields: ['title', 'content', 'folderId', 'tags', 'dueAt', 'remindAt', 'pinned', 'archived', 'favorite', 'created', 'updated', 'userId', 'version'],
+  first: 'pinned'
+};
+
+/**
+ * Parse the page of notes `query` asks for, see `parsePageQuery`. With a
+ * `searchTerm` the notes are ranked by relevance unless a `sort` is given.
+ *
+ * Throws a 422 validation error on invalid input.
+ */
+function parseNotesPage(query, searchTerm) {
+  return parsePageQuery(query, Object.assign({ ranked: !!searchTerm }, pageOptions));
+}
+
+/**
+ * Resolve with the `page` of the notes matching `filter` and `searchTerm`,
+ * pinned ones first, and set the link to the next page on `res`. Search
+ * results come with their `score` and `snippets`.
+ */
+function findNotesPage(req, res, page, filter, searchTerm) {
+  filter = Object.assign({}, filter, page.filter);
+  const projection = {};
+  let sort = page.sort;
+
+  if (searchTerm) {
+    filter.$text = { $search: searchTerm };
+    projection.score = { $meta: 'textScore' };
+    if (page.ranked) {
+      sort = { pinned: -1, score: { $meta: 'textScore' } };
+    }
+  }
+
+  return Note.find(filter, projection)
+    .select(page.select)
+    .populate({ path: 'tags', match: { deletedAt: null } })
+    .sort(sort)
+    .skip(page.skip)
+    .limit(page.limit + 1)
+    .then(results => {
+      results = setNextLink(req, res, results, page);
+      if (searchTerm) {
+        results = results.map(result => {
+          const item = result.toObject();
+          item.snippets = buildSnippets(item, searchTerm);
+          return item;
+        });
+      }
+      return results;
+    });
+}
+
+module.exports = { pageQuery, parseNotesPage, findNotesPage };
@@ -0,0 +1,452 @@
+'use strict';
+
+const JSZip = require('jszip');
+const yaml = require('js-yaml');
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const { checkValues } = require('./validate');
+const { recordAudit } = require('./audit');
+const { noteBody, folderBody, tagBody } = require('./rules');
+const { IMPORT_MAX_ENTRIES, IMPORT_MAX_UNZIPPED_SIZE } = require('../config');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function tooLarge(message) {
+  const err = new Error(message);
+  err.status = 413;
+  return err;
+}
+
+function loadNotebook(userId) {
+  const filter = { userId, deletedAt: null };
+  return Promise.all([
+    Folder.find(filter).sort('name'),
+    Tag.find(filter).sort('name'),
+    Note.find(filter).sort('created')
+  ]).then(([folders, tags, notes]) => ({ folders, tags, notes }));
+}
+
+/**
+ * Map each folder id to its list of names from the top level down. A folder
+ * whose parent is missing is treated as top level.
+ */
+function folderPaths(folders) {
+  const byId = new Map(folders.map(folder => [String(folder.id), folder]));
+  const paths = new Map();
+
+  const pathOf = folder => {
+    const id = String(folder.id);
+    if (!paths.has(id)) {
+      const parent = folder.parentId && byId.get(String(folder.parentId));
+      paths.set(id, parent ? [...pathOf(parent), folder.name] : [folder.name]);
+    }
+    return paths.get(id);
+  };
+
+  folders.forEach(pathOf);
+  return paths;
+}
+
+// Make a folder or note name usable as a path segment in the archive. A
+// name of only dots would step out of its directory when unpacked.
+function fileName(name) {
+  const safe = String(name || '').replace(/[/\\:*?"<>|\x00-\x1f]/g, '-').trim();
+  return safe && !/^\.+$/.test(safe) ? safe : 'Untitled';
+}
+
+/**
+ * Resolve with a lossless dump of the user's folders, tags and notes.
+ */
+function exportJson(userId) {
+  return loadNotebook(userId)
+    .then(({ folders, tags, notes }) => ({ version: 1, exported: new Date(), folders, tags, notes }));
+}
+
+/**
+ * Resolve with a ZIP archive holding one markdown file per note. Folders are
+ * laid out as directories and each file starts with YAML front matter.
+ */
+function exportZip(userId) {
+  return loadNotebook(userId)
+    .then(({ folders, tags, notes }) => {
+      const zip = new JSZip();
+      const paths = folderPaths(folders);
+      const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+      const used = new Set();
+
+      paths.forEach(path => zip.folder(path.map(fileName).join('/')));
+
+      notes.forEach(note => {
+        const path = (note.folderId && paths.get(String(note.folderId))) || [];
+        const meta = { title: note.title || '' };
+        if (path.length) {
+          meta.folder = path.join('/');
+        }
+        meta.tags = note.tags.map(id => tagNames.get(String(id))).filter(Boolean);
+        if (note.created) {
+          meta.created = note.created;
+        }
+        ['dueAt', 'remindAt'].forEach(field => {
+          if (note[field]) {
+            meta[field] = note[field];
+          }
+        });
+        Note.FLAGS.forEach(flag => {
+          if (note[flag]) {
+            meta[flag] = true;
+          }
+        });
+
+        const base = [...path, note.title].map(fileName).join('/');
+        let name = `${base}.md`;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+          name = `${base} (${n}).md`;
+        }
+        used.add(name.toLowerCase());
+
+        zip.file(name, `---\n${yaml.safeDump(meta)}---\n\n${note.content || ''}`);
+      });
+
+      return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    });
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : undefined;
+}
+
+// YAML reads timestamps as dates, while the rules expect the strings the
+// API is sent
+function dateString(value) {
+  return value instanceof Date && !isNaN(value) ? value.toISOString() : value;
+}
+
+// The dates and flags that aren't part of a note's path or text
+function noteExtras(source) {
+  const extras = { dueAt: dateString(source.dueAt), remindAt: dateString(source.remindAt) };
+  Note.FLAGS.forEach(flag => {
+    extras[flag] = source[flag];
+  });
+  return extras;
+}
+
+function parseMarkdown(path, text) {
+  const dirs = path.split('/').filter(Boolean);
+  const name = dirs.pop();
+
+  let meta = {};
+  let content = text;
+  const match = text.match(FRONT_MATTER);
+  if (match) {
+    try {
+      meta = yaml.safeLoad(match[1]) || {};
+    } catch (err) {
+      throw badRequest(`The front matter in \`${path}\` is not valid YAML`);
+    }
+    content = text.slice(match[0].length).replace(/^\r?\n/, '');
+  }
+
+  return Object.assign({
+    title: typeof meta.title === 'string' ? meta.title : name.replace(MARKDOWN_FILE, ''),
+    content,
+    folder: typeof meta.folder === 'string' ? meta.folder.split('/') : dirs,
+    tags: Array.isArray(meta.tags) ? meta.tags : [],
+    created: toDate(meta.created)
+  }, noteExtras(meta));
+}
+
+/**
+ * Unpack `entry` as text, counting its bytes against `budget.remaining`.
+ * The sizes in the archive's headers can lie, so the bytes are counted as
+ * they are inflated and inflating stops as soon as the budget runs out.
+ */
+function readEntry(entry, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = entry.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      budget.remaining -= chunk.length;
+      if (budget.remaining < 0) {
+        stream.pause();
+        stream.removeAllListeners('data');
+        reject(tooLarge(`The archive unpacks to more than ${budget.limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', () => reject(badRequest(`\`${entry.name}\` in the archive could not be unpacked`)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+/**
+ * Read an archive made by `exportZip` into `{ folders, notes }`, where each
+ * folder is a path of names and each note names its folder path and tags.
+ * Archives with more than `maxEntries` entries, or that unpack to more than
+ * `maxSize` bytes, are rejected with a 413.
+ */
+function readZip(buffer, { maxEntries = IMPORT_MAX_ENTRIES, maxSize = IMPORT_MAX_UNZIPPED_SIZE } = {}) {
+  return JSZip.loadAsync(buffer)
+    .catch(() => Promise.reject(badRequest('The archive is not a valid zip file')))
+    .then(zip => {
+      const folders = [];
+      const entries = [];
+
+      if (Object.keys(zip.files).length > maxEntries) {
+        return Promise.reject(tooLarge(`The archive has more than ${maxEntries} entries`));
+      }
+
+      zip.forEach((path, entry) => {
+        if (path.startsWith('__MACOSX/')) {
+          return;
+        }
+        if (entry.dir) {
+          folders.push(path.split('/'));
+        } else if (MARKDOWN_FILE.test(path)) {
+          entries.push(entry);
+        }
+      });
+
+      // One entry at a time, so no more than the budget is ever unpacked
+      const budget = { limit: maxSize, remaining: maxSize };
+      const notes = [];
+      return eachSeries(entries, entry => {
+        return readEntry(entry, budget)
+          .then(text => {
+            notes.push(Object.assign(parseMarkdown(entry.name, text), { source: entry.name }));
+          });
+      })
+        .then(() => ({ folders, notes }));
+    });
+}
+
+/**
+ * Read a dump made by `exportJson` into the same shape as `readZip`.
+ */
+function readJson(dump) {
+  if (!dump || !Array.isArray(dump.notes)) {
+    return Promise.reject(badRequest('The export must have a `notes` array'));
+  }
+
+  const folders = (Array.isArray(dump.folders) ? dump.folders : [])
+    .filter(folder => folder && folder.id && typeof folder.name === 'string');
+  const tags = (Array.isArray(dump.tags) ? dump.tags : [])
+    .filter(tag => tag && tag.id && typeof tag.name === 'string');
+
+  const paths = folderPaths(folders);
+  const tagNames = new Map(tags.map(tag => [String(tag.id), tag.name]));
+
+  const notes = dump.notes.map((note, i) => note && Object.assign({
+    title: typeof note.title === 'string' ? note.title : '',
+    content: typeof note.content === 'string' ? note.content : '',
+    folder: (note.folderId && paths.get(String(note.folderId))) || [],
+    tags: (Array.isArray(note.tags) ? note.tags : [])
+      .map(tag => tagNames.get(String(tag && tag.id ? tag.id : tag))),
+    created: toDate(note.created),
+    source: `notes[${i}]`
+  }, noteExtras(note))).filter(Boolean);
+
+  return Promise.resolve({ folders: [...paths.values()], notes });
+}
+
+// Run `fn` over `items` one at a time so lookups see earlier inserts
+function eachSeries(items, fn) {
+  return items.reduce((chain, item) => chain.then(() => fn(item)), Promise.resolve());
+}
+
+// The `{ field, message }` of each failing field, as in a 422
+function fieldErrors(rules, values) {
+  return checkValues(rules, values).map(({ field, message }) => ({ field, message }));
+}
+
+/**
+ * Merge a notebook read by `readZip` or `readJson` into the user's data.
+ * Folders are matched by name under the same parent and tags by name, so
+ * only the missing ones are created. Every note is added as a new note.
+ *
+ * Records are checked against the same rules as the API. A note that fails
+ * is skipped, a tag that fails is left off its notes, and a folder that
+ * fails is skipped along with its subfolders, their notes going to the
+ * closest valid folder above. Every folder, tag and note created is
+ * audited for the importing request `req`. Resolves with the number of
+ * folders, tags and notes created and the `rejected` records as
+ * `{ type, source, errors }`.
+ */
+function importNotebook(notebook, req) {
+  const userId = req.user.id;
+  const created = { folders: [], tags: [] };
+  const rejected = [];
+  const folderIds = new Map();
+  const tagIds = new Map();
+  const rejectedFolders = new Set();
+  const rejectedTags = new Set();
+
+  const noteRules = {
+    title: noteBody.title,
+    content: noteBody.content,
+    tags: { type: 'array', maxLength: noteBody.tags.maxLength },
+    dueAt: noteBody.dueAt,
+    remindAt: noteBody.remindAt
+  };
+  Note.FLAGS.forEach(flag => {
+    noteRules[flag] = { type: 'boolean' };
+  });
+
+  // Cut a path at its first invalid folder
+  const cleanPath = path => {
+    const names = path.map(name => String(name).trim()).filter(Boolean);
+    const valid = [];
+    for (const name of names) {
+      const errors = fieldErrors(folderBody, { name });
+      if (errors.length) {
+        const source = [...valid, name].join('/');
+        if (!rejectedFolders.has(source)) {
+          rejectedFolders.add(source);
+          rejected.push({ type: 'folder', source, errors });
+        }
+        break;
+      }
+      valid.push(name);
+    }
+    return valid;
+  };
+
+  const cleanTags = names => [...new Set(names
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim()))]
+    .filter(name => {
+      const errors = fieldErrors(tagBody, { name });
+      if (errors.length && !rejectedTags.has(name)) {
+        rejectedTags.add(name);
+        rejected.push({ type: 'tag', source: name, errors });
+      }
+      return !errors.length;
+    });
+
+  const ensureFolder = path => {
+    if (!path.length) {
+      return Promise.resolve(null);
+    }
+    const key = JSON.stringify(path);
+    if (folderIds.has(key)) {
+      return Promise.resolve(folderIds.get(key));
+    }
+    return ensureFolder(path.slice(0, -1))
+      .then(parentId => {
+        const name = path[path.length - 1];
+        return Folder.findOne({ name, parentId, userId, deletedAt: null })
+          .then(folder => {
+            if (folder) {
+              return folder;
+            }
+            return Folder.create({ name, parentId, userId })
+              .then(result => {
+                created.folders.push(result);
+                return result;
+              });
+          });
+      })
+      .then(folder => {
+        folderIds.set(key, folder._id);
+        return folder._id;
+      });
+  };
+
+  const ensureTag = name => {
+    if (tagIds.has(name)) {
+      return Promise.resolve();
+    }
+    return Tag.findOne({ name, userId, deletedAt: null })
+      .then(tag => {
+        if (tag) {
+          return tag;
+        }
+        return Tag.create({ name, userId })
+          .then(result => {
+            created.tags.push(result);
+            return result;
+          });
+      })
+      .then(tag => {
+        tagIds.set(name, tag._id);
+      });
+  };
+
+  const notes = notebook.notes
+    .filter(note => {
+      const values = {};
+      Object.keys(noteRules).forEach(field => {
+        values[field] = note[field];
+      });
+      const errors = fieldErrors(noteRules, values);
+      if (errors.length) {
+        rejected.push({ type: 'note', source: note.source, errors });
+      }
+      return !errors.length;
+    })
+    .map(note => Object.assign({}, note, {
+      folder: cleanPath(note.folder),
+      tags: cleanTags(note.tags)
+    }));
+  const paths = [...notebook.folders.map(cleanPath), ...notes.map(note => note.folder)];
+  const tagNames = [].concat(...notes.map(note => note.tags));
+
+  return eachSeries(paths, ensureFolder)
+    .then(() => eachSeries(tagNames, ensureTag))
+    .then(() => {
+      if (!notes.length) {
+        return [];
+      }
+      const now = new Date();
+      return Note.create(notes.map(note => {
+        const remindAt = toDate(note.remindAt) || null;
+        const doc = {
+          title: note.title,
+          content: note.content,
+          folderId: folderIds.get(JSON.stringify(note.folder)),
+          tags: note.tags.map(name => tagIds.get(name)),
+          created: note.created,
+          dueAt: toDate(note.dueAt) || null,
+          remindAt,
+          // A reminder that has already passed isn't sent again
+          remindedAt: remindAt && remindAt <= now ? now : undefined,
+          userId
+        };
+        // Flags are only stored while set
+        Note.FLAGS.forEach(flag => {
+          if (note[flag]) {
+            doc[flag] = true;
+          }
+        });
+        return doc;
+      }));
+    })
+    .then(notes => {
+      return Promise.all(notes.map(note => NoteRevision.record(note, userId)))
+        .then(() => Promise.all([
+          recordAudit(req, 'create', 'folder', created.folders.map(after => ({ after }))),
+          recordAudit(req, 'create', 'tag', created.tags.map(after => ({ after }))),
+          recordAudit(req, 'create', 'note', notes.map(after => ({ after })))
+        ]))
+        .then(() => ({
+          folders: created.folders.length,
+          tags: created.tags.length,
+          notes: notes.length,
+          rejected
+        }));
+    });
+}
+
+module.exports = { exportJson, exportZip, readZip, readJson, importNotebook };
@@ -0,0 +1,176 @@
+'use strict';
+
+const querystring = require('querystring');
+
+const { validationError } = require('./validate');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const DATE_FIELDS = ['created', 'updated'];
+
+const PAGE_FIELDS = ['limit', 'cursor', 'sort', 'fields'];
+
+// The query fields every paged list takes, for its `validate` schema
+const pageQuery = {
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+  cursor: { type: 'string' },
+  sort: { type: 'string' },
+  fields: { type: 'string' }
+};
+
+function invalid(field, message) {
+  return validationError([{ location: 'query', field, message }]);
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64');
+}
+
+function invalidCursor() {
+  return invalid('cursor', 'The `cursor` is not valid');
+}
+
+function decodeCursor(cursor) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (e) {
+    throw invalidCursor();
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw invalidCursor();
+  }
+  return data;
+}
+
+function isIsoDate(value) {
+  const date = new Date(value);
+  return !isNaN(date) && date.toISOString() === value;
+}
+
+// The cursor goes into the query, so only a value of the sort field's type
+// and an id are let through, never an object that could be an operator
+function isValidPosition(cursor, sortField) {
+  const isDate = DATE_FIELDS.includes(sortField);
+  return typeof cursor.value === 'string' &&
+    (!isDate || isIsoDate(cursor.value)) &&
+    typeof cursor.id === 'string' && /^[0-9a-f]{24}$/i.test(cursor.id) &&
+    (cursor.first === undefined || typeof cursor.first === 'boolean');
+}
+
+/**
+ * Parse `limit`, `cursor`, `sort` and `fields` from a list request.
+ *
+ * `sort` is a field name, prefixed with `-` for descending order. Results are
+ * always tie-broken on `_id` so the cursor can resume after the last item.
+ * When `ranked` is set and no `sort` was requested the results keep the text
+ * search order, and the cursor simply records an offset.
+ *
+ * `first` names a boolean field whose `true` items come before all others,
+ * whatever the sort. The cursor records which group the last item was in.
+ *
+ * Routes should also check the query against `pageQuery`, so these errors
+ * are reported along with those of their own fields.
+ *
+ * Throws a 422 validation error on invalid input, see `validationError`.
+ */
+function parsePageQuery(query, { sortFields, defaultSort, selectFields, ranked = false, first }) {
+  const page = { filter: {}, skip: 0 };
+
+  // A repeated query parameter arrives as an array
+  const repeated = PAGE_FIELDS.find(field => query[field] !== undefined && typeof query[field] !== 'string');
+  if (repeated) {
+    throw invalid(repeated, `The \`${repeated}\` is not valid`);
+  }
+
+  page.limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(page.limit) || page.limit < 1 || page.limit > MAX_LIMIT) {
+    throw invalid('limit', `The \`limit\` must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  page.ranked = ranked && !query.sort;
+  const sort = query.sort || defaultSort;
+  page.sortField = sort.replace(/^-/, '');
+  page.direction = sort.startsWith('-') ? -1 : 1;
+  if (!sortFields.includes(page.sortField)) {
+    throw invalid('sort', `The \`sort\` must be one of: ${sortFields.join(', ')}`);
+  }
+  page.first = first;
+  page.sort = page.ranked ? null : Object.assign(
+    first ? { [first]: -1 } : {},
+    { [page.sortField]: page.direction, _id: page.direction }
+  );
+
+  if (query.fields) {
+    const fields = query.fields.split(',').map(field => field.trim());
+    const invalidField = fields.find(field => !selectFields.includes(field));
+    if (invalidField) {
+      throw invalid('fields', `The field \`${invalidField}\` cannot be selected`);
+    }
+    // The sort field is always returned so clients can see the ordering
+    page.select = [...new Set([...fields, page.sortField, ...(first ? [first] : [])])].join(' ');
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (page.ranked) {
+      if (!Number.isInteger(cursor.offset) || cursor.offset < 0) {
+        throw invalidCursor();
+      }
+      page.skip = cursor.offset;
+    } else {
+      if (!isValidPosition(cursor, page.sortField)) {
+        throw invalidCursor();
+      }
+      const value = DATE_FIELDS.includes(page.sortField) ? new Date(cursor.value) : cursor.value;
+      const op = page.direction === 1 ? '$gt' : '$lt';
+      const after = [
+        { [page.sortField]: { [op]: value } },
+        { [page.sortField]: value, _id: { [op]: cursor.id } }
+      ];
+      if (!first) {
+        page.filter.$or = after;
+      } else if (cursor.first) {
+        // The rest of the first group, then everything else
+        page.filter.$or = [{ [first]: true, $or: after }, { [first]: { $ne: true } }];
+      } else {
+        page.filter[first] = { $ne: true };
+        page.filter.$or = after;
+      }
+    }
+  }
+
+  return page;
+}
+
+/**
+ * Trim the extra lookahead item fetched by the route, and when there are
+ * more results set a `Link` header pointing at the next page.
+ * Routes should query with `.limit(page.limit + 1)`.
+ */
+function setNextLink(req, res, results, page) {
+  if (results.length <= page.limit) {
+    return results;
+  }
+  const items = results.slice(0, page.limit);
+  const last = items[items.length - 1];
+
+  const cursor = page.ranked
+    ? { offset: page.skip + page.limit }
+    : { value: last[page.sortField], id: last.id };
+  if (page.first && !page.ranked) {
+    cursor.first = last[page.first] === true;
+  }
+
+  const query = Object.assign({}, req.query, {
+    limit: page.limit,
+    cursor: encodeCursor(cursor)
+  });
+  const url = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${querystring.stringify(query)}`;
+  res.links({ next: url });
+
+  return items;
+}
+
+module.exports = { pageQuery, parsePageQuery, setNextLink };
@@ -0,0 +1,260 @@
+'use strict';
+
+const { validationError } = require('./validate');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+// Keys that would reach `Object.prototype` rather than the document's own
+// members, so a patch could pollute every object in the process
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function patchError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function forbiddenKeyError(field, message) {
+  return validationError([{ location: 'body', field, message }]);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386): `null` removes a member, objects are
+ * merged recursively and anything else replaces the target's value.
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  const result = isObject(target) ? clone(target) : {};
+  Object.keys(patch).forEach(key => {
+    if (FORBIDDEN_KEYS.includes(key)) {
+      throw forbiddenKeyError(key, `Field: \`${key}\` cannot be changed`);
+    }
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+}
+
+// Split the JSON Pointer (RFC 6901) in `operation[field]` into its unescaped
+// reference tokens
+function parsePointer(operation, field, index) {
+  const pointer = operation[field];
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw patchError(`The \`${field}\` of operation ${index} is not a valid JSON Pointer`);
+  }
+  const tokens = pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const forbidden = tokens.find(token => FORBIDDEN_KEYS.includes(token));
+  if (forbidden) {
+    throw forbiddenKeyError(`[${index}].${field}`, `The \`${field}\` of operation ${index} cannot name \`${forbidden}\``);
+  }
+  return tokens;
+}
+
+// Resolve everything but the last token of `tokens` to the containing value
+function resolveParent(doc, tokens, index) {
+  let parent = doc;
+  tokens.slice(0, -1).forEach(token => {
+    if (parent === null || typeof parent !== 'object' || !has(parent, token)) {
+      throw patchError(`The path of operation ${index} does not exist`, 409);
+    }
+    parent = parent[token];
+  });
+  if (parent === null || typeof parent !== 'object') {
+    throw patchError(`The path of operation ${index} does not exist`, 409);
+  }
+  return parent;
+}
+
+function arrayIndex(array, token, index, allowEnd) {
+  const end = array.length + (allowEnd ? 1 : 0);
+  const position = token === '-' && allowEnd ? array.length : Number(token);
+  const isValid = /^(0|[1-9]\d*)$/.test(token) || (token === '-' && allowEnd);
+  if (!isValid || position >= end) {
+    throw patchError(`The path of operation ${index} does not exist`, 409);
+  }
+  return position;
+}
+
+function getValue(doc, tokens, index) {
+  if (!tokens.length) {
+    return doc;
+  }
+  const parent = resolveParent(doc, tokens, index);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, index, false)];
+  }
+  if (!has(parent, key)) {
+    throw patchError(`The path of operation ${index} does not exist`, 409);
+  }
+  return parent[key];
+}
+
+function addValue(doc, tokens, value, index) {
+  if (!tokens.length) {
+    return value;
+  }
+  const parent = resolveParent(doc, tokens, index);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, index, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, tokens, index) {
+  getValue(doc, tokens, index);
+  const parent = resolveParent(doc, tokens, index);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return doc;
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a copy of `target`. Either every
+ * operation applies or the patch is rejected: a malformed operation is a
+ * 400, a path through `__proto__`, `constructor` or `prototype` a 422, and
+ * a missing path or failed `test` a 409.
+ */
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError('A JSON Patch must be an array of operations');
+  }
+
+  return operations.reduce((doc, operation, index) => {
+    if (!isObject(operation)) {
+      throw patchError(`Operation ${index} must be an object`);
+    }
+    const { op, value } = operation;
+    const tokens = parsePointer(operation, 'path', index);
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    const needsFrom = ['move', 'copy'].includes(op);
+
+    if (needsValue && !('value' in operation)) {
+      throw patchError(`Operation ${index} is missing a \`value\``);
+    }
+
+    switch (op) {
+    case 'add':
+      return addValue(doc, tokens, clone(value), index);
+    case 'remove':
+      if (!tokens.length) {
+        throw patchError(`Operation ${index} cannot remove the whole document`);
+      }
+      return removeValue(doc, tokens, index);
+    case 'replace':
+      getValue(doc, tokens, index);
+      return addValue(tokens.length ? removeValue(doc, tokens, index) : doc, tokens, clone(value), index);
+    case 'test':
+      if (JSON.stringify(getValue(doc, tokens, index)) !== JSON.stringify(value)) {
+        throw patchError(`The \`test\` of operation ${index} failed`, 409);
+      }
+      return doc;
+    default:
+      if (!needsFrom) {
+        throw patchError(`The \`op\` of operation ${index} must be one of: \`add\`, \`remove\`, \`replace\`, \`move\`, \`copy\`, \`test\``);
+      }
+    }
+
+    const from = parsePointer(operation, 'from', index);
+    const moved = clone(getValue(doc, from, index));
+    if (op === 'move') {
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw patchError(`Operation ${index} cannot move a value into itself`);
+      }
+      doc = removeValue(doc, from, index);
+    }
+    return addValue(doc, tokens, moved, index);
+  }, clone(target));
+}
+
+/**
+ * Build middleware that applies the request body as a patch to the item
+ * loaded into `req[name]`. Only `fields`, or the fields returned by
+ * `fields(req)`, can be patched. Replaces `req.body` with the fields the
+ * patch changes, a removed field set to `undefined`, so
+ * `validate({ body, partial: true })` checks just those.
+ */
+function patchBody(name, fields) {
+  return (req, res, next) => {
+    const item = req[name];
+    const patchable = typeof fields === 'function' ? fields(req) : fields;
+    const current = {};
+    patchable.forEach(field => {
+      if (item[field] !== undefined && item[field] !== null) {
+        current[field] = clone(item[field]);
+      }
+    });
+
+    let patched;
+    try {
+      if (req.is(MERGE_PATCH)) {
+        if (!isObject(req.body)) {
+          throw patchError('A merge patch must be an object');
+        }
+        patched = applyMergePatch(current, req.body);
+      } else if (req.is(JSON_PATCH)) {
+        patched = applyJsonPatch(current, req.body);
+        if (!isObject(patched)) {
+          throw patchError(`The patched ${name} must be an object`, 409);
+        }
+      } else {
+        res.set('Accept-Patch', `${MERGE_PATCH}, ${JSON_PATCH}`);
+        throw patchError(`The patch must be sent as \`${MERGE_PATCH}\` or \`${JSON_PATCH}\``, 415);
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    const unknown = Object.keys(patched).filter(field => !patchable.includes(field));
+    if (unknown.length) {
+      return next(validationError(unknown.map(field => ({
+        location: 'body', field, message: `Field: \`${field}\` cannot be changed`
+      }))));
+    }
+
+    req.body = {};
+    patchable.forEach(field => {
+      if (JSON.stringify(patched[field]) !== JSON.stringify(current[field])) {
+        req.body[field] = patched[field];
+      }
+    });
+    next();
+  };
+}
+
+// Turn the changes left in `req.body` by `patchBody` into an update
+function patchUpdate(changes) {
+  const update = {};
+  Object.keys(changes).forEach(field => {
+    const [op, value] = changes[field] === undefined ? ['$unset', ''] : ['$set', changes[field]];
+    update[op] = Object.assign({}, update[op], { [field]: value });
+  });
+  return update;
+}
+
+module.exports = { applyMergePatch, applyJsonPatch, patchBody, patchUpdate };
@@ -0,0 +1,152 @@
+'use strict';
+
+const {
+  RATE_LIMIT_IP, RATE_LIMIT_AUTH, RATE_LIMIT_READ, RATE_LIMIT_WRITE, RATE_LIMIT_STORE
+} = require('../config');
+
+// Parse a `<requests>/<seconds>` limit
+function parseLimit(group, limit) {
+  const match = /^(\d+)\/(\d+)$/.exec(limit);
+  if (!match || !Number(match[1]) || !Number(match[2])) {
+    throw new Error(`The ${group} rate limit must look like \`<requests>/<seconds>\`, not \`${limit}\``);
+  }
+  return { capacity: Number(match[1]), window: Number(match[2]) * 1000 };
+}
+
+const LIMITS = {
+  ip: parseLimit('ip', RATE_LIMIT_IP),
+  auth: parseLimit('auth', RATE_LIMIT_AUTH),
+  read: parseLimit('read', RATE_LIMIT_READ),
+  write: parseLimit('write', RATE_LIMIT_WRITE)
+};
+
+/*
+ * A store keeps a token bucket per key and has one method:
+ *
+ *   take(key, { capacity, window })  takes a token from the bucket, which
+ *                                    holds `capacity` tokens and refills
+ *                                    over `window` ms. Resolves with
+ *                                    `{ allowed, remaining, reset, retry }`,
+ *                                    `reset` being the ms until the bucket
+ *                                    is full and `retry` the ms until the
+ *                                    next token when none was left.
+ *
+ * It returns a promise so a store shared by several processes fits in.
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  const buckets = new Map();
+  let swept = now();
+
+  // Forget buckets that have refilled, they are the same as new ones
+  function sweep(time) {
+    buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= time) {
+        buckets.delete(key);
+      }
+    });
+    swept = time;
+  }
+
+  function take(key, { capacity, window }) {
+    const time = now();
+    if (time - swept > 60 * 1000) {
+      sweep(time);
+    }
+
+    const rate = capacity / window;
+    const bucket = buckets.get(key);
+    let tokens = bucket ? Math.min(capacity, bucket.tokens + (time - bucket.updated) * rate) : capacity;
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+    const reset = Math.ceil((capacity - tokens) / rate);
+    buckets.set(key, { tokens, updated: time, fullAt: time + reset });
+
+    return Promise.resolve({
+      allowed,
+      remaining: Math.floor(tokens),
+      reset,
+      retry: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+    });
+  }
+
+  return { take };
+}
+
+const stores = {
+  memory: () => createMemoryStore(),
+  none: () => null
+};
+
+let store;
+
+// The store picked by `RATE_LIMIT_STORE`, created on first use. `null` when
+// rate limiting is off.
+function getRateLimitStore() {
+  if (store === undefined) {
+    const create = stores[RATE_LIMIT_STORE];
+    if (!create) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`);
+    }
+    store = create();
+  }
+  return store;
+}
+
+// Use another store, or `undefined` to go back to the configured one
+function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Build middleware that takes a token from the `group` bucket of whoever
+ * `identify(req)` returns, e.g. `rateLimit('read', req => req.user.id)`.
+ * `group` may also be a function of the request.
+ *
+ * Sets the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and
+ * `RateLimit-Policy` headers of the tightest limit the request is under, and
+ * responds with a 429 and `Retry-After` once the bucket is empty.
+ */
+function rateLimit(group, identify) {
+  return (req, res, next) => {
+    const store = getRateLimitStore();
+    if (!store) {
+      return next();
+    }
+    const name = typeof group === 'function' ? group(req) : group;
+    const limit = LIMITS[name];
+
+    store.take(`${name}:${identify(req)}`, limit)
+      .catch(err => {
+        // Better to serve everyone than no one when a shared store is down
+        console.error(`ERROR: rate limit store failed: ${err.message}`);
+        return null;
+      })
+      .then(result => {
+        if (!result) {
+          return next();
+        }
+        const { allowed, remaining, reset, retry } = result;
+        const current = res.get('RateLimit-Remaining');
+        if (!allowed || current === undefined || remaining < Number(current)) {
+          res.set({
+            'RateLimit-Limit': limit.capacity,
+            'RateLimit-Remaining': remaining,
+            'RateLimit-Reset': Math.ceil(reset / 1000),
+            'RateLimit-Policy': `${limit.capacity};w=${limit.window / 1000}`
+          });
+        }
+        if (!allowed) {
+          res.set('Retry-After', Math.ceil(retry / 1000));
+          const err = new Error('Too many requests, try again later');
+          err.status = 429;
+          return next(err);
+        }
+        next();
+      });
+  };
+}
+
+module.exports = { rateLimit, createMemoryStore, getRateLimitStore, setRateLimitStore };
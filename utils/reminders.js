@@ -0,0 +1,64 @@
+'use strict';
+
+const Note = require('../models/note');
+const ReminderDelivery = require('../models/reminder-delivery');
+const { postJson, attemptDelivery, claimDelivery, startSchedule } = require('./delivery');
+
+/**
+ * Mark every live note whose `remindAt` has passed as reminded, and queue a
+ * delivery of it to each of `urls`. Resolves with the number of reminders
+ * fired.
+ */
+function fireReminders(urls) {
+  const now = new Date();
+
+  return Note.find({ remindAt: { $lte: now }, remindedAt: null, deletedAt: null })
+    .then(notes => Promise.all(notes.map(note => {
+      // Marked on the collection directly: firing a reminder changes nothing
+      // clients can see, so it shouldn't bump the note's version
+      return Note.collection.updateOne({ _id: note._id, remindedAt: null }, { $set: { remindedAt: now } })
+        .then(result => {
+          if (!result.modifiedCount) {
+            return 0;
+          }
+          const payload = { type: 'note.reminder', firedAt: now, note: note.toObject() };
+          return ReminderDelivery.insertMany(urls.map(url => ({
+            noteId: note._id, userId: note.userId, url, payload, nextAttemptAt: now
+          }))).then(() => 1);
+        });
+    })))
+    .then(fired => fired.reduce((total, count) => total + count, 0));
+}
+
+/**
+ * Fire the reminders that are due, then attempt every delivery whose turn
+ * has come, claiming each one first so another process or an overlapping
+ * run never sends it too. Resolves with the number of reminders fired and
+ * deliveries attempted.
+ */
+function runReminders({ urls, maxAttempts, retryDelay }) {
+  return fireReminders(urls)
+    .then(fired => {
+      return ReminderDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .then(deliveries => Promise.all(deliveries.map(delivery => {
+          return claimDelivery(ReminderDelivery, delivery)
+            .then(claimed => {
+              if (!claimed) {
+                return 0;
+              }
+              const send = () => postJson(claimed.url, JSON.stringify(claimed.payload), {
+                'User-Agent': 'Noteful-Reminders'
+              });
+              return attemptDelivery(claimed, send, { maxAttempts, retryDelay }).then(() => 1);
+            });
+        })))
+        .then(attempted => ({ fired, attempted: attempted.reduce((total, count) => total + count, 0) }));
+    });
+}
+
+// Run `runReminders` every `options.interval` ms
+function startReminderSchedule(options) {
+  return startSchedule('reminders', () => runReminders(options), options.interval);
+}
+
+module.exports = { fireReminders, runReminders, startReminderSchedule };
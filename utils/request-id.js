@@ -0,0 +1,17 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Give every request an id as `req.id` and echo it in the `X-Request-Id`
+ * response header. A well-formed `X-Request-Id` set by a proxy in front is
+ * kept, so logs on both sides line up.
+ */
+function requestId(req, res, next) {
+  const header = req.get('X-Request-Id');
+  req.id = header && /^[\w.:-]{1,200}$/.test(header) ? header : crypto.randomBytes(12).toString('hex');
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * The `validate` rules for the fields of notes, folders and tags. The routes
+ * check requests against them, and the notebook import checks what it
+ * reads, so both accept the same data.
+ */
+
+const noteBody = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 250 },
+  content: { type: 'string', maxLength: 100000 },
+  folderId: { type: 'objectId', nullable: true, ref: 'Folder' },
+  tags: { type: 'array', maxLength: 100, items: { type: 'objectId', ref: 'Tag' } },
+  dueAt: { type: 'date', nullable: true },
+  remindAt: { type: 'date', nullable: true }
+};
+
+const folderBody = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  parentId: { type: 'objectId', nullable: true, ref: 'Folder' }
+};
+
+const tagBody = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  color: { type: 'string', nullable: true, pattern: /^#[0-9a-f]{6}$/i }
+};
+
+module.exports = { noteBody, folderBody, tagBody };
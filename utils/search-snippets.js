@@ -0,0 +1,77 @@
+'use strict';
+
+// How much surrounding text to keep around the first match in long fields
+const CONTEXT_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a `$text` search string into the words and phrases to highlight.
+ * Mirrors MongoDB's syntax: "quoted phrases" are kept whole and terms
+ * prefixed with `-` are negations, so they are never highlighted.
+ */
+function parseSearchTerms(searchTerm) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(searchTerm)) !== null) {
+    const term = match[1] || match[2];
+    if (match[2] && term.startsWith('-')) {
+      continue;
+    }
+    terms.push(term.trim());
+  }
+  return terms.filter(term => term.length);
+}
+
+/**
+ * Find every occurrence of the terms in `text`. MongoDB stems words, so a
+ * term also matches longer words that begin with it ("cat" -> "cats").
+ */
+function findHighlights(text, terms) {
+  if (!text || !terms.length) {
+    return [];
+  }
+  const pattern = terms.map(escapeRegExp).join('|');
+  const re = new RegExp(`\\b(?:${pattern})\\w*`, 'gi');
+  const highlights = [];
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    highlights.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return highlights;
+}
+
+function trimToSnippet(text, highlights) {
+  if (text.length <= SNIPPET_LENGTH) {
+    return { text, highlights };
+  }
+  const start = Math.max(0, highlights[0].start - CONTEXT_BEFORE);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return {
+    text: text.slice(start, end),
+    highlights: highlights
+      .filter(h => h.start >= start && h.end <= end)
+      .map(h => ({ start: h.start - start, end: h.end - start }))
+  };
+}
+
+/**
+ * Build the matched snippets for a note. Each snippet holds the field name,
+ * the (possibly shortened) text and `{ start, end }` offsets into that text.
+ */
+function buildSnippets(note, searchTerm) {
+  const terms = parseSearchTerms(searchTerm);
+  return ['title', 'content'].reduce((snippets, field) => {
+    const highlights = findHighlights(note[field], terms);
+    if (highlights.length) {
+      snippets.push(Object.assign({ field }, trimToSnippet(note[field], highlights)));
+    }
+    return snippets;
+  }, []);
+}
+
+module.exports = { buildSnippets, parseSearchTerms };
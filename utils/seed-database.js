@@ -4,10 +4,12 @@ const { MONGODB_URI } = require('../config');
 const Note = require('../models/note');
 const Folder = require('../models/folder');
 const Tag = require('../models/tag');
+const User = require('../models/user');
 
 const seedNotes = require('../db/seed/notes');
 const seedFolders = require('../db/seed/folders');
 const seedTags = require('../db/seed/tags');
+const seedUsers = require('../db/seed/users');
 
   mongoose.connect(MONGODB_URI)
     .then(() => mongoose.connection.db.dropDatabase())
@@ -16,8 +18,10 @@ const seedTags = require('../db/seed/tags');
         Note.insertMany(seedNotes),
         Folder.insertMany(seedFolders),
         Tag.insertMany(seedTags),
+        User.insertMany(seedUsers),
         Folder.createIndexes(),
-        Tag.createIndexes()
+        Tag.createIndexes(),
+        User.createIndexes()
       ]);
     })
     .then(() => mongoose.disconnect())
@@ -0,0 +1,50 @@
+'use strict';
+
+const {
+  STORAGE_DRIVER, STORAGE_LOCAL_ROOT,
+  S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+} = require('../../config');
+
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+/*
+ * A storage adapter keeps attachment files by key and has three methods:
+ *
+ *   put(key, buffer, contentType)  resolves once the file is stored
+ *   get(key)                       resolves with a readable stream, rejects
+ *                                  with a 404 error when there is no file
+ *   remove(key)                    resolves once the file is gone, also
+ *                                  when there was no file
+ */
+const drivers = {
+  local: () => createLocalStorage({ root: STORAGE_LOCAL_ROOT }),
+  s3: () => createS3Storage({
+    endpoint: S3_ENDPOINT,
+    region: S3_REGION,
+    bucket: S3_BUCKET,
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY
+  })
+};
+
+let storage = null;
+
+// The adapter picked by `STORAGE_DRIVER`, created on first use
+function getStorage() {
+  if (!storage) {
+    const driver = drivers[STORAGE_DRIVER];
+    if (!driver) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+    }
+    storage = driver();
+  }
+  return storage;
+}
+
+// Use another adapter, e.g. one for a different service
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = { getStorage, setStorage, createLocalStorage, createS3Storage };
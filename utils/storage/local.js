@@ -0,0 +1,52 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const mkdir = promisify(fs.mkdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const writeFile = promisify(fs.writeFile);
+
+function notFound() {
+  const err = new Error('Not Found');
+  err.status = 404;
+  return err;
+}
+
+/**
+ * Storage adapter that keeps each file at `root/<key>` on the local disk.
+ */
+function createLocalStorage({ root }) {
+  // Keys are generated by the server, but never let one escape `root`
+  const resolve = key => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    put(key, buffer) {
+      const file = resolve(key);
+      return mkdir(path.dirname(file), { recursive: true })
+        .then(() => writeFile(file, buffer));
+    },
+
+    get(key) {
+      const file = resolve(key);
+      return stat(file)
+        .then(() => fs.createReadStream(file))
+        .catch(err => Promise.reject(err.code === 'ENOENT' ? notFound() : err));
+    },
+
+    remove(key) {
+      return unlink(resolve(key))
+        .catch(err => (err.code === 'ENOENT' ? undefined : Promise.reject(err)));
+    }
+  };
+}
+
+module.exports = createLocalStorage;
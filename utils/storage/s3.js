@@ -0,0 +1,129 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// AWS wants every path segment encoded like RFC 3986, which also escapes
+// the few characters `encodeURIComponent` leaves alone
+function encodePath(pathname) {
+  return pathname.split('/')
+    .map(segment => encodeURIComponent(segment)
+      .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 for the `s3` service. Takes
+ * the already encoded `path` and `query`, and `headers` that must include
+ * `host`, `x-amz-date` and `x-amz-content-sha256`. Returns the
+ * `Authorization` header.
+ */
+function signRequest({ method, path, query = '', headers, region, accessKeyId, secretAccessKey }) {
+  const normalized = {};
+  Object.keys(headers).forEach(name => {
+    normalized[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+  });
+  const names = Object.keys(normalized).sort();
+  const signedHeaders = names.join(';');
+  const amzDate = normalized['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    names.map(name => `${name}:${normalized[name]}\n`).join(''),
+    signedHeaders,
+    normalized['x-amz-content-sha256']
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = [date, region, 's3', 'aws4_request'].reduce(hmac, `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    res.on('error', reject);
+  });
+}
+
+// Reject with the status and the service's own error message
+function failed(method, key, res) {
+  return readBody(res).then(body => {
+    const code = body.match(/<Code>([^<]*)<\/Code>/);
+    const err = new Error(`S3 ${method} ${key} failed with ${res.statusCode}${code ? ` ${code[1]}` : ''}`);
+    err.status = res.statusCode === 404 ? 404 : 502;
+    return Promise.reject(err);
+  });
+}
+
+/**
+ * Storage adapter for Amazon S3 or any service that speaks its API, such as
+ * MinIO. Objects are addressed path style, `endpoint/bucket/key`, which
+ * every S3-compatible service supports.
+ */
+function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+  const base = new URL(endpoint);
+  const transport = base.protocol === 'https:' ? https : http;
+
+  function request(method, key, body = Buffer.alloc(0), headers = {}) {
+    const path = encodePath(`${base.pathname.replace(/\/$/, '')}/${bucket}/${key}`);
+    const signed = Object.assign({}, headers, {
+      host: base.host,
+      'x-amz-content-sha256': sha256(body),
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+    });
+    const authorization = signRequest({ method, path, headers: signed, region, accessKeyId, secretAccessKey });
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method,
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port,
+        path,
+        headers: Object.assign({}, signed, { authorization, 'content-length': body.length })
+      }, resolve);
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  return {
+    put(key, buffer, contentType) {
+      return request('PUT', key, buffer, { 'content-type': contentType || 'application/octet-stream' })
+        .then(res => (res.statusCode === 200 ? res.resume() && undefined : failed('PUT', key, res)));
+    },
+
+    get(key) {
+      return request('GET', key)
+        .then(res => (res.statusCode === 200 ? res : failed('GET', key, res)));
+    },
+
+    // Deleting a missing object succeeds, like S3 itself
+    remove(key) {
+      return request('DELETE', key)
+        .then(res => ([200, 204, 404].includes(res.statusCode) ? res.resume() && undefined : failed('DELETE', key, res)));
+    }
+  };
+}
+
+module.exports = createS3Storage;
+module.exports.signRequest = signRequest;
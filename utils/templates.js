@@ -0,0 +1,53 @@
+'use strict';
+
+// `{{name}}`, spaces inside the braces allowed
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Placeholders the server fills in. Any other one is a prompt whose value
+// the client sends.
+const BUILT_INS = ['date', 'time', 'user'];
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * The values of the built-in placeholders for `user` at `now`: `date` as
+ * YYYY-MM-DD and `time` as HH:MM in the server's time zone, and `user` as
+ * the full name, or the username when there is none
+ */
+function builtInValues(user, now = new Date()) {
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    user: user.fullname || user.username
+  };
+}
+
+/**
+ * The prompts in `texts`, each once, in the order they first appear
+ */
+function findPrompts(...texts) {
+  const prompts = new Set();
+  texts.forEach(text => {
+    const re = new RegExp(PLACEHOLDER.source, 'g');
+    let match;
+    while ((match = re.exec(text || '')) !== null) {
+      if (!BUILT_INS.includes(match[1])) {
+        prompts.add(match[1]);
+      }
+    }
+  });
+  return [...prompts];
+}
+
+/**
+ * Replace every placeholder in `text` that has a value in `values`
+ */
+function fillTemplate(text, values) {
+  return (text || '').replace(PLACEHOLDER, (placeholder, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder;
+  });
+}
+
+module.exports = { builtInValues, findPrompts, fillTemplate };
@@ -0,0 +1,126 @@
+'use strict';
+
+const Note = require('../models/note');
+const NoteRevision = require('../models/note-revision');
+const Share = require('../models/share');
+const Collaborator = require('../models/collaborator');
+const Attachment = require('../models/attachment');
+const Folder = require('../models/folder');
+const Tag = require('../models/tag');
+const Template = require('../models/template');
+const SavedSearch = require('../models/saved-search');
+const { getStorage } = require('./storage');
+const { recordAudit } = require('./audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The matching items, in full when a request is purging them so their
+// removal can be audited
+function findItems(Model, filter, req) {
+  return req ? Model.find(filter) : Model.find(filter).select('_id');
+}
+
+// Scheduled purges have no one to record as the actor
+function auditPurge(req, resource, items) {
+  return req ? recordAudit(req, 'purge', resource, items.map(before => ({ before }))) : Promise.resolve();
+}
+
+// Remove the stored files before the attachments, so a failed purge leaves
+// nothing orphaned and the next one tries again
+function purgeAttachments(noteIds) {
+  return Attachment.find({ noteId: { $in: noteIds } }).select('key')
+    .then(attachments => Promise.all(attachments.map(attachment => getStorage().remove(attachment.key))))
+    .then(() => Attachment.deleteMany({ noteId: { $in: noteIds } }));
+}
+
+/**
+ * Permanently remove the matching notes along with their revisions, share
+ * links, collaborators and attachments. Resolves with the number of notes
+ * removed. Given the request that asked for it, the purge of each note is
+ * audited.
+ *
+ * The attachments go first and the notes last, so when anything fails the
+ * notes stay in the trash and the next purge finishes the job.
+ */
+function purgeNotes(filter, req) {
+  return findItems(Note, filter, req)
+    .then(notes => {
+      const ids = notes.map(note => note._id);
+      return purgeAttachments(ids)
+        .then(() => Promise.all([
+          NoteRevision.deleteMany({ noteId: { $in: ids } }),
+          Share.deleteMany({ noteId: { $in: ids } }),
+          Collaborator.deleteMany({ noteId: { $in: ids } })
+        ]))
+        .then(() => Note.deleteMany({ _id: { $in: ids } }))
+        .then(() => auditPurge(req, 'note', notes))
+        .then(() => ids.length);
+    });
+}
+
+/**
+ * Permanently remove the matching folders. Notes that went to the trash with
+ * them are removed too, and notes that were restored on their own are unfiled,
+ * as are templates. Saved searches stop looking in them. Audited like
+ * `purgeNotes`.
+ */
+function purgeFolders(filter, req) {
+  return findItems(Folder, filter, req)
+    .then(folders => {
+      const ids = folders.map(folder => folder._id);
+      return Promise.all([
+        Folder.deleteMany({ _id: { $in: ids } }).then(() => auditPurge(req, 'folder', folders)),
+        purgeNotes({ folderId: { $in: ids }, deletedAt: { $ne: null } }, req),
+        Note.updateMany({ folderId: { $in: ids }, deletedAt: null }, { $unset: { folderId: '' } }),
+        Template.updateMany({ folderId: { $in: ids } }, { folderId: null }),
+        SavedSearch.updateMany({ folderIds: { $in: ids } }, { $pullAll: { folderIds: ids } })
+      ]).then(() => ids.length);
+    });
+}
+
+/**
+ * Permanently remove the matching tags and pull them from every note,
+ * template and saved search. Audited like `purgeNotes`.
+ */
+function purgeTags(filter, req) {
+  return findItems(Tag, filter, req)
+    .then(tags => {
+      const ids = tags.map(tag => tag._id);
+      return Promise.all([
+        Tag.deleteMany({ _id: { $in: ids } }).then(() => auditPurge(req, 'tag', tags)),
+        Note.updateMany({ tags: { $in: ids } }, { $pullAll: { tags: ids } }),
+        Template.updateMany({ tags: { $in: ids } }, { $pullAll: { tags: ids } }),
+        ...SavedSearch.TAG_FIELDS.map(field => {
+          return SavedSearch.updateMany({ [field]: { $in: ids } }, { $pullAll: { [field]: ids } });
+        })
+      ]).then(() => ids.length);
+    });
+}
+
+/**
+ * Permanently remove everything that has been in the trash for longer than
+ * `days` days. Resolves with the number of notes, folders and tags removed.
+ */
+function purgeExpired(days) {
+  const filter = { deletedAt: { $lte: new Date(Date.now() - days * DAY) } };
+
+  return Promise.all([purgeNotes(filter), purgeFolders(filter), purgeTags(filter)])
+    .then(([notes, folders, tags]) => ({ notes, folders, tags }));
+}
+
+/**
+ * Run `purgeExpired` every `interval` ms. The timer does not keep the
+ * process alive on its own.
+ */
+function startPurgeSchedule({ days, interval }) {
+  const timer = setInterval(() => {
+    purgeExpired(days)
+      .catch(err => {
+        console.error(`ERROR: trash purge failed: ${err.message}`);
+      });
+  }, interval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { purgeNotes, purgeFolders, purgeTags, purgeExpired, startPurgeSchedule };
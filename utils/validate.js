@@ -0,0 +1,258 @@
+'use strict';
+
+const { URL } = require('url');
+const mongoose = require('mongoose');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const typeNames = {
+  string: 'String',
+  integer: 'Integer',
+  boolean: 'Boolean',
+  array: 'Array',
+  object: 'Object',
+  date: 'Date',
+  url: 'URL'
+};
+
+/**
+ * Build a 422 error listing every failing field as
+ * `{ location, field, message }`. The first message doubles as the error
+ * message so clients that only show `message` still say something useful.
+ */
+function validationError(errors) {
+  const err = new Error(errors[0].message);
+  err.status = 422;
+  err.errors = errors;
+  return err;
+}
+
+function missingMessage(field, location) {
+  return location === 'body'
+    ? `Missing \`${field}\` in request body`
+    : `Missing \`${field}\` in ${location === 'params' ? 'path' : 'query'}`;
+}
+
+// Body fields read "Field: `x` ...", path and query values "The `x` ..."
+function label(field, location) {
+  return location === 'body' ? `Field: \`${field}\`` : `The \`${field}\``;
+}
+
+function oneOf(values) {
+  const quoted = values.map(value => `\`${value}\``);
+  return quoted.length > 2 ? `one of: ${quoted.join(', ')}` : quoted.join(' or ');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Params and query values always arrive as strings, so integers and booleans
+// are accepted in their string form there
+function checkType(rule, value, location) {
+  const fromString = location !== 'body' && typeof value === 'string';
+
+  switch (rule.type) {
+  case 'string':
+    return typeof value === 'string';
+  case 'objectId':
+    return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value);
+  case 'integer':
+    return fromString ? /^-?\d+$/.test(value) : Number.isInteger(value);
+  case 'boolean':
+    return fromString ? value === 'true' || value === 'false' : typeof value === 'boolean';
+  case 'array':
+    return Array.isArray(value);
+  case 'object':
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  case 'date':
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+  case 'url':
+    return typeof value === 'string' && isHttpUrl(value);
+  default:
+    return true;
+  }
+}
+
+/**
+ * Check one value against its rule. Pushes any failures onto `errors` and
+ * any `ref` lookups onto `refs`.
+ */
+function checkValue(rule, value, field, location, errors, refs) {
+  const fail = message => errors.push({ location, field, message });
+
+  if (!checkType(rule, value, location)) {
+    return fail(rule.type === 'objectId' || rule.type === 'url' || location !== 'body'
+      ? `The \`${field}\` is not valid`
+      : `Field: \`${field}\` must be type ${typeNames[rule.type]}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`The \`${field}\` must be ${oneOf(rule.enum)}`);
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return fail(`${label(field, location)} is not valid`);
+  }
+
+  if (rule.trimmed && value.trim() !== value) {
+    return fail(`${label(field, location)} cannot start or end with whitespace`);
+  }
+
+  const length = rule.type === 'string' ? value.trim().length : value.length;
+  const unit = rule.type === 'array' ? 'items' : 'characters';
+  if ('minLength' in rule && length < rule.minLength) {
+    return fail(rule.minLength === 1
+      ? `${label(field, location)} cannot be empty`
+      : `${label(field, location)} must be at least ${rule.minLength} ${unit} long`);
+  }
+  if ('maxLength' in rule && length > rule.maxLength) {
+    return fail(`${label(field, location)} must be at most ${rule.maxLength} ${unit} long`);
+  }
+
+  const number = Number(value);
+  if ('min' in rule && number < rule.min) {
+    return fail(`${label(field, location)} must be at least ${rule.min}`);
+  }
+  if ('max' in rule && number > rule.max) {
+    return fail(`${label(field, location)} must be at most ${rule.max}`);
+  }
+
+  if (rule.items) {
+    value.forEach((item, index) => {
+      checkValue(rule.items, item, `${field}[${index}]`, location, errors, refs);
+    });
+  }
+
+  if (rule.values) {
+    Object.keys(value).forEach(key => {
+      checkValue(rule.values, value[key], `${field}.${key}`, location, errors, refs);
+    });
+  }
+
+  if (rule.ref) {
+    refs.push({ location, field, model: rule.ref, id: value });
+  }
+}
+
+/**
+ * Check the `values` of one location against their `rules`. Pushes any
+ * failures onto `errors` and any `ref` lookups onto `refs`.
+ */
+function checkFields(rules, values, location, partial, errors, refs) {
+  Object.keys(rules).forEach(field => {
+    const rule = rules[field];
+    const value = values[field];
+
+    if (partial && location === 'body' && !(field in values)) {
+      return;
+    }
+
+    if (rule.nullable && (value === null || value === '')) {
+      values[field] = null;
+      return;
+    }
+
+    if (value === undefined) {
+      if (rule.required) {
+        errors.push({ location, field, message: missingMessage(field, location) });
+      }
+      return;
+    }
+
+    checkValue(rule, value, field, location, errors, refs);
+  });
+}
+
+/**
+ * Check `values` that didn't come with a request, such as a record read
+ * from an import, against body `rules`. `ref` rules are not looked up.
+ * Returns the failing fields as `{ location, field, message }`.
+ */
+function checkValues(rules, values) {
+  const errors = [];
+  checkFields(rules, values, 'body', false, errors, []);
+  return errors;
+}
+
+// Every `ref` must name a live item of that model owned by the caller.
+// Resolves with an error for each one that doesn't.
+function checkRefs(refs, userId) {
+  const byModel = new Map();
+  refs.forEach(ref => {
+    byModel.set(ref.model, [...(byModel.get(ref.model) || []), ref]);
+  });
+
+  return Promise.all([...byModel].map(([model, modelRefs]) => {
+    const ids = modelRefs.map(ref => ref.id);
+    return mongoose.model(model).find({ _id: { $in: ids }, userId, deletedAt: null }).select('_id')
+      .then(results => {
+        const found = new Set(results.map(result => result.id));
+        return modelRefs
+          .filter(ref => !found.has(ref.id))
+          .map(({ location, field }) => ({ location, field, message: `The \`${field}\` does not exist` }));
+      });
+  }))
+    .then(results => [].concat(...results));
+}
+
+/**
+ * Build middleware that checks `req.params`, `req.query` and `req.body`
+ * against a schema of field rules, e.g.
+ *
+ *   validate({
+ *     params: { id: { type: 'objectId', required: true } },
+ *     body: {
+ *       title: { type: 'string', required: true, maxLength: 200 },
+ *       folderId: { type: 'objectId', nullable: true, ref: 'Folder' },
+ *       tags: { type: 'array', items: { type: 'objectId', ref: 'Tag' } }
+ *     }
+ *   })
+ *
+ * Rules support `type` (`string`, `objectId`, `integer`, `boolean`, `array`,
+ * `object`, `date`, an ISO 8601 string, or `url`, an http(s) URL),
+ * `required`, `nullable`, `enum`, `pattern` (a RegExp the value must match),
+ * `trimmed`, `minLength`, `maxLength`, `min`, `max`, `items` for array
+ * elements, `values` for the values of an object and `ref` for a model
+ * whose live, caller-owned item the value must name. A nullable field sent
+ * as an empty string is stored as `null`.
+ *
+ * With `partial: true` body fields left out of the request are not checked
+ * at all, for patches. A required field that a patch removes is still
+ * reported as missing.
+ *
+ * Every failing field is reported in one 422 error; see `validationError`.
+ * `ref` lookups only run once everything else passes.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const refs = [];
+
+    LOCATIONS.forEach(location => {
+      checkFields(schema[location] || {}, req[location] || {}, location, schema.partial, errors, refs);
+    });
+
+    if (errors.length) {
+      return next(validationError(errors));
+    }
+
+    if (!refs.length) {
+      return next();
+    }
+
+    checkRefs(refs, req.user.id)
+      .then(refErrors => {
+        next(refErrors.length ? validationError(refErrors) : undefined);
+      })
+      .catch(err => {
+        next(err);
+      });
+  };
+}
+
+module.exports = { validate, validationError, checkValues, checkRefs };
@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhook-delivery');
+const { onChange } = require('./events');
+const { isPublicUrl, postJson, attemptDelivery, claimedUntil, claimDelivery, startSchedule } = require('./delivery');
+const { WEBHOOK_ALLOW_PRIVATE_URLS } = require('../config');
+
+let allowPrivateUrls = WEBHOOK_ALLOW_PRIVATE_URLS;
+
+// Allow or refuse private addresses, or `undefined` to go back to the
+// configured setting
+function setAllowPrivateUrls(allow) {
+  allowPrivateUrls = allow === undefined ? WEBHOOK_ALLOW_PRIVATE_URLS : allow;
+}
+
+/**
+ * Whether a webhook may be sent to `url`. Unless `WEBHOOK_ALLOW_PRIVATE_URLS`
+ * is set, loopback, private and link-local hosts are refused, and deliveries
+ * also fail when the host resolves to one of them.
+ */
+function isAllowedUrl(url) {
+  return allowPrivateUrls || isPublicUrl(url);
+}
+
+/**
+ * The signature sent as `X-Noteful-Signature`: `sha256=` and the hex
+ * HMAC-SHA256 of the raw request body, keyed with the webhook's secret
+ */
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Make one attempt at a delivery, signed with the webhook's current secret,
+ * and record the outcome. Takes `{ maxAttempts, retryDelay }` like
+ * `attemptDelivery`.
+ */
+function deliver(delivery, webhook, options) {
+  const body = JSON.stringify(delivery.payload);
+  const send = () => postJson(webhook.url, body, {
+    'User-Agent': 'Noteful-Webhooks',
+    'X-Noteful-Event': delivery.event,
+    'X-Noteful-Delivery': delivery.id,
+    'X-Noteful-Signature': sign(webhook.secret, body)
+  }, { publicOnly: !allowPrivateUrls });
+  return attemptDelivery(delivery, send, options);
+}
+
+/**
+ * Queue a delivery of a change to every active webhook of its owner that
+ * subscribes to its type, and make the first attempt right away. The
+ * deliveries start out claimed, so retries leave them alone unless that
+ * attempt is never recorded. Resolves with the deliveries.
+ */
+function enqueue({ ownerId, type, data }, options) {
+  return Webhook.find({ userId: ownerId, active: true, events: type })
+    .then(webhooks => {
+      const payload = { event: type, created: new Date(), data: JSON.parse(JSON.stringify(data)) };
+      return Promise.all(webhooks.map(webhook => {
+        return WebhookDelivery.create({
+          webhookId: webhook._id, userId: ownerId, event: type, payload, nextAttemptAt: claimedUntil()
+        })
+          .then(delivery => deliver(delivery, webhook, options));
+      }));
+    });
+}
+
+/**
+ * Retry every delivery whose turn has come, claiming each one first so it
+ * is never sent twice at once. Deliveries of inactive webhooks wait until
+ * the webhook is active again. Resolves with the number of deliveries
+ * attempted.
+ */
+function retryDeliveries(options) {
+  return WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .then(deliveries => {
+      const webhookIds = [...new Set(deliveries.map(delivery => String(delivery.webhookId)))];
+      return Webhook.find({ _id: { $in: webhookIds }, active: true })
+        .then(webhooks => Promise.all(deliveries.map(delivery => {
+          const webhook = webhooks.find(item => item._id.equals(delivery.webhookId));
+          if (!webhook) {
+            return 0;
+          }
+          return claimDelivery(WebhookDelivery, delivery)
+            .then(claimed => (claimed ? deliver(claimed, webhook, options).then(() => 1) : 0));
+        })));
+    })
+    .then(attempted => attempted.reduce((total, count) => total + count, 0));
+}
+
+/**
+ * Send every change to the webhooks that subscribe to it, and retry failed
+ * deliveries every `interval` ms. Returns a function that stops both.
+ */
+function startWebhooks({ interval, maxAttempts, retryDelay }) {
+  const options = { maxAttempts, retryDelay };
+  const unsubscribe = onChange(change => {
+    enqueue(change, options)
+      .catch(err => {
+        console.error(`ERROR: webhook delivery failed: ${err.message}`);
+      });
+  });
+  const timer = startSchedule('webhook retries', () => retryDeliveries(options), interval);
+
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+  };
+}
+
+module.exports = { sign, isAllowedUrl, setAllowPrivateUrls, deliver, enqueue, retryDeliveries, startWebhooks };
@@ -0,0 +1,66 @@
+'use strict';
+
+// `[[Note Title]]` or `[[id]]`, optionally with a label: `[[Note Title|label]]`
+const LINK_PATTERN = /\[\[([^[\]|\n]+)(\|[^[\]\n]*)?\]\]/g;
+
+const ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * The key a link target is stored and matched by: the id of the note, or
+ * its title ignoring case and runs of whitespace
+ */
+function linkKey(target) {
+  return String(target).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function isIdKey(key) {
+  return ID_PATTERN.test(key);
+}
+
+/**
+ * The keys of the notes `content` links to, each once
+ */
+function parseLinks(content) {
+  const keys = new Set();
+  const re = new RegExp(LINK_PATTERN.source, 'g');
+  let match;
+  while ((match = re.exec(content || '')) !== null) {
+    const key = linkKey(match[1]);
+    if (key) {
+      keys.add(key);
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Point the `[[from]]` links in `content` to `[[to]]` instead, keeping
+ * their labels
+ */
+function rewriteLinks(content, from, to) {
+  const fromKey = linkKey(from);
+  return (content || '').replace(LINK_PATTERN, (link, target, label = '') => {
+    return linkKey(target) === fromKey ? `[[${to}${label}]]` : link;
+  });
+}
+
+/**
+ * Returns a function that finds the note a link key points to among
+ * `notes`, or null. When several notes share a title the oldest wins.
+ */
+function createLinkResolver(notes) {
+  const byId = new Map();
+  const byTitle = new Map();
+  [...notes]
+    .sort((a, b) => a.created - b.created)
+    .forEach(note => {
+      byId.set(note.id, note);
+      const key = linkKey(note.title || '');
+      if (key && !byTitle.has(key)) {
+        byTitle.set(key, note);
+      }
+    });
+  return key => (isIdKey(key) && byId.get(key)) || byTitle.get(key) || null;
+}
+
+module.exports = { linkKey, parseLinks, rewriteLinks, createLinkResolver };